@@ -17,6 +17,7 @@ import { configService } from '../services/config/index.js'
 import { getSystemCommand } from '../utils/system-commands.js'
 import { syncCommands } from '../services/commands/sync.js'
 import { syncSessions } from '../services/sessions/sync.js'
+import { fixturesDir } from '../utils/providers/fixtures.js'
 
 async function initializeDefaultProvider(stateManager) {
   // Providers usable via an env API key OR a configured gateway token.
@@ -36,12 +37,14 @@ async function start() {
   try {
     logger.debug('🚀 Starting AI Application - Pure Functional Style')
 
+    // Ensure the user config file exists and load provider overrides (gateway
+    // baseURL/token) and declared providers — first, because commands.toml
+    // model entries are validated against the provider ids it defines
+    await configService.bootstrap()
+
     // Ensure the user commands file exists (migrate legacy db once, or copy defaults)
     await commandService.bootstrap()
 
-    // Ensure the user config file exists and load provider overrides (gateway baseURL/token)
-    await configService.bootstrap()
-
     // Initialize core components through composition
     const stateManager = getStateManager()
 
@@ -103,8 +106,44 @@ async function start() {
   }
 }
 
+// Leading `--record` / `--record=<dir>`: capture every live stream of this run
+// into fixtures a mock provider can replay offline (utils/providers/recorder.js).
+// Only leading flags count, so a prompt may still mention "--record".
+const RECORD_FLAG = '--record'
+const SERVE_COMMAND = 'serve'
+const BATCH_COMMAND = 'batch'
+const COMPLETION_COMMAND = 'completion'
+
+function applyRecordFlag(argv) {
+  let rest = argv
+  while (rest.length > 0 && (rest[0] === RECORD_FLAG || rest[0].startsWith(`${RECORD_FLAG}=`))) {
+    const dir = rest[0].slice(RECORD_FLAG.length + 1)
+    process.env.OPENAI_CLI_RECORD = dir || process.env.OPENAI_CLI_RECORD || fixturesDir()
+    rest = rest.slice(1)
+  }
+  return rest
+}
+
 async function main() {
-  const argv = process.argv.slice(2)
+  const argv = applyRecordFlag(process.argv.slice(2))
+
+  // `ai serve`: long-running localhost HTTP API instead of the REPL (core/serve)
+  if (argv[0] === SERVE_COMMAND) {
+    const { runServe } = await import('../core/serve/index.js')
+    process.exit(await runServe(argv.slice(1)))
+  }
+
+  // `ai batch <command> <file>`: the command over every item of a file (core/batch)
+  if (argv[0] === BATCH_COMMAND) {
+    const { runBatch } = await import('../core/batch/index.js')
+    process.exit(await runBatch(argv.slice(1)))
+  }
+
+  // `ai completion bash|zsh|fish`: shell completion scripts (core/completion)
+  if (argv[0] === COMPLETION_COMMAND) {
+    const { runCompletion } = await import('../core/completion/index.js')
+    process.exit(await runCompletion(argv.slice(1)))
+  }
 
   // Onboarding/auth commands (login/logout) run headless before anything else —
   // they need no provider and must work from a plain shell.
@@ -1,5 +1,6 @@
 import { spawnSync } from 'node:child_process'
 import { configService } from '../../services/config/index.js'
+import { commandService } from '../../services/commands/index.js'
 import { configFilePath } from '../../services/config/paths.js'
 import { ANSI } from '../../config/ansi.js'
 import { outputHandler } from '../../core/print/index.js'
@@ -22,7 +23,8 @@ const showStatus = () => {
       ? `${ANSI.COLORS.YELLOW}via ${safeHost(p.baseURL)}${ANSI.COLORS.RESET}`
       : `${ANSI.COLORS.GREEN}direct${ANSI.COLORS.RESET}`
     const off = p.configured ? '' : ` ${ANSI.COLORS.RED}(no key/token)${ANSI.COLORS.RESET}`
-    return `  ${ANSI.COLORS.WHITE}${p.id}${ANSI.COLORS.RESET} — ${route}${off}`
+    const declared = p.custom ? ` ${ANSI.COLORS.GREY}(declared in config)${ANSI.COLORS.RESET}` : ''
+    return `  ${ANSI.COLORS.WHITE}${p.id}${ANSI.COLORS.RESET} — ${route}${off}${declared}`
   })
   const warn =
     status.errors.length > 0
@@ -46,6 +48,9 @@ const openEditor = (context) => {
   }
 
   configService.reload()
+  // commands.toml model entries are checked against the provider ids, which
+  // this edit may have added or removed
+  commandService.reload()
   const note = `${ANSI.COLORS.RESET}(routing changes apply to providers initialized after this point; restart to re-route active ones)`
   return `${showStatus()}\n${note}`
 }
@@ -1,6 +1,11 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
 import { getStateManager } from '../../core/StateManager.js'
 import { createStreamCommandRunner } from '../../core/response/stream-runner.js'
+import { isChainMiss } from '../../core/conversation/index.js'
 import { outputHandler } from '../../core/print/index.js'
+import { readStdin, exitCodeFor } from '../../core/oneshot/index.js'
 import { createNavigationMenu, createTextInput } from './ui/interactive-menu.js'
 import {
   createSessionRecord,
@@ -8,12 +13,29 @@ import {
   readSession,
   listSessions,
   removeSession,
+  matchSession,
 } from '../../services/sessions/store.js'
+import { exportSession, parseExportArgs, EXPORT_USAGE_OPTIONS } from '../../services/sessions/export.js'
 import { markSessionDeleted, syncSessions } from '../../services/sessions/sync.js'
 import { readSettings, writeSettings } from '../../services/dialogue/settings.js'
+import { formatRecord, splitRecord } from '../../services/dialogue/record.js'
+import { languageNames, resolveLanguage, detectLanguage } from '../../services/dialogue/languages.js'
+import { createLineParser, createLogFollower } from '../../services/dialogue/follow.js'
+import {
+  parseGlossary,
+  formatGlossary,
+  formatEntry,
+  mergeGlossaries,
+  glossaryClause,
+  glossaryMisses,
+  keptAsIs,
+} from '../../services/dialogue/glossary.js'
+import { readClipboard, setClipboardContent } from '../../services/input-processing/clipboard-content.js'
 import { configService } from '../../services/config/index.js'
+import { sanitizeMessage } from '../../core/error-system/index.js'
 import { createSpinner } from '../../utils/spinner.js'
-import { APP_CONSTANTS, DIALOGUE, SESSIONS } from '../../config/constants.js'
+import { logger } from '../../utils/logger.js'
+import { APP_CONSTANTS, DIALOGUE, SESSIONS, EXIT_CODES } from '../../config/constants.js'
 import { ANSI } from '../../config/ansi.js'
 
 // Stateful dialogue-translation mode: relays a live two-person conversation.
@@ -30,6 +52,10 @@ import { ANSI } from '../../config/ansi.js'
 // the chain is what weak models trip on (they echo the source back instead of
 // translating), so the model must be strong enough to carry it. Pinning also
 // means entering dd never disturbs the provider/model the user had selected.
+//
+// A chat/completions provider has no server-side chain; there dd carries the
+// context itself — a window of recent turns plus a rolling summary of the
+// older ones (see foldOlderTurns). The chain stays the preferred path.
 
 const fillTemplate = (template, pair, target = '') =>
   template
@@ -38,50 +64,29 @@ const fillTemplate = (template, pair, target = '') =>
     .split('{pivot}').join(DIALOGUE.PIVOT_LANGUAGE)
     .split('{target}').join(target)
 
-// The first configured provider whose conversation strategy carries context
-// server-side (Responses API). Found by capability, never by name — a second
-// such provider (Doubao) is planned.
-const findResponsesProvider = (stateManager) =>
-  configService
-    .availableProviders()
-    .find(
-      (id) => stateManager.getConversationStrategy(id).carriesServerContext,
-    ) || null
+const carriesChain = (stateManager, id) => stateManager.getConversationStrategy(id).carriesServerContext
+
+// The provider chosen in dd settings while it is still configured; else the
+// first one whose strategy carries context server-side (Responses API) — found
+// by capability, never by name; else any configured provider (local transcript).
+const findDialogueProvider = (stateManager, wanted) => {
+  const available = configService.availableProviders()
+  if (wanted && available.includes(wanted)) return wanted
+  return available.find((id) => carriesChain(stateManager, id)) || available[0] || null
+}
+
+const contextKind = (stateManager, id) =>
+  carriesChain(stateManager, id) ? 'server-side chain' : 'local transcript'
 
 const modelIds = (models) =>
   models.map((m) => (typeof m === 'string' ? m : m.id)).filter(Boolean)
 
-// Which side of the pair is this message written in? Code-point ranges, no regex.
-// Returns null when the answer is not clean (a language outside the table, an
-// emoji/digit-only message, a tie) — the caller then falls back to asking the
-// model to infer the direction, exactly as before.
-const detectLanguage = (text, pair) => {
-  const ranges = pair.map((lang) => DIALOGUE.LANGUAGE_SCRIPTS[lang])
-  if (ranges.some((r) => !r)) return null
-
-  const counts = [0, 0]
-  for (const ch of text) {
-    const code = ch.codePointAt(0)
-    for (let i = 0; i < pair.length; i++) {
-      if (ranges[i].some((range) => code >= range[0] && code <= range[1])) {
-        counts[i]++
-        break
-      }
-    }
-  }
-  if (counts[0] === counts[1]) return null
-  return counts[0] > counts[1] ? pair[0] : pair[1]
-}
-
 const proposeTitle = (transcript) => {
   const firstUser = transcript.find((entry) => entry.role === 'user')
   if (!firstUser || !firstUser.content) return ''
   return String(firstUser.content).split('\n').join(' ').trim().slice(0, SESSIONS.TITLE_MAX_LENGTH)
 }
 
-const isChainMiss = (error) =>
-  error && (error.statusCode === 404 || error.statusCode === 400)
-
 // A pivot through a language that IS one side of the pair would translate into
 // the target and then back again — degenerate. Such pairs must go direct.
 const pairIncludesPivot = (pair) =>
@@ -89,26 +94,63 @@ const pairIncludesPivot = (pair) =>
     (lang) => String(lang).toLowerCase() === DIALOGUE.PIVOT_LANGUAGE.toLowerCase(),
   )
 
-// Every unordered combination of the selectable languages.
-const languagePairs = () => {
-  const pairs = []
-  const langs = DIALOGUE.LANGUAGES
-  for (let i = 0; i < langs.length; i++) {
-    for (let j = i + 1; j < langs.length; j++) {
-      pairs.push([langs[i], langs[j]])
-    }
-  }
-  return pairs
+// Order does not matter: Russian ⇄ Chinese is Chinese ⇄ Russian.
+const samePair = (a, b) =>
+  (a[0] === b[0] && a[1] === b[1]) || (a[0] === b[1] && a[1] === b[0])
+
+// "Lena (female)" -> "Lena": the hint in parentheses is for the prompt only.
+const participantName = (entry) => {
+  const at = entry.indexOf(DIALOGUE.SPEAKER_HINT_OPEN)
+  return (at === -1 ? entry : entry.slice(0, at)).trim()
+}
+
+// The participant's own spelling of `name` (case-insensitive), or null.
+const findParticipant = (participants, name) => {
+  const wanted = name.toLowerCase()
+  const entry = participants.find((p) => participantName(p).toLowerCase() === wanted)
+  return entry ? participantName(entry) : null
 }
 
-const samePair = (a, b) => a[0] === b[0] && a[1] === b[1]
+// "Lena, 王伟 (male)" -> ['Lena', '王伟 (male)']; the full-width comma counts too.
+const parseParticipants = (text) =>
+  text
+    .split('，').join(',')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+
+const isClearAnswer = (answer) => DIALOGUE.CLEAR_ANSWERS.includes(answer.trim().toLowerCase())
 
-// `dd ru en` → full names for the prompt templates; unknown args pass through.
-export const resolveLanguage = (arg) => {
-  const code = String(arg).toLowerCase()
-  return DIALOGUE.LANGUAGE_CODES[code] || arg
+const isSpeakerSeparator = (ch) => DIALOGUE.SPEAKER_SEPARATORS.includes(ch)
+
+// Split a speaker prefix off a line: "@Name text" (any name; `mentioned` tells
+// the caller to add it to the participants) or "Name: text" for a known
+// participant. Anything else is an unattributed message, as before.
+const splitSpeaker = (input, participants) => {
+  const mention = DIALOGUE.SPEAKER_MENTION
+  if (input.startsWith(mention)) {
+    let end = mention.length
+    while (end < input.length && input[end].trim() && !isSpeakerSeparator(input[end])) end++
+    const name = input.slice(mention.length, end)
+    if (name && name.length <= DIALOGUE.SPEAKER_NAME_MAX) {
+      const rest = input.slice(end)
+      const text = (isSpeakerSeparator(rest[0]) ? rest.slice(1) : rest).trim()
+      return { speaker: findParticipant(participants, name) || name, text, mentioned: true }
+    }
+  }
+  for (let i = 1; i < input.length && i <= DIALOGUE.SPEAKER_NAME_MAX; i++) {
+    if (!isSpeakerSeparator(input[i])) continue
+    const known = findParticipant(participants, input.slice(0, i).trim())
+    if (known) return { speaker: known, text: input.slice(i + 1).trim(), mentioned: false }
+    break
+  }
+  return { speaker: null, text: input, mentioned: false }
 }
 
+// What the model sees for a message: the speaker's name travels inside the
+// text, so it is also part of the server-side chain later turns build on.
+const attributed = (text, speaker) => (speaker ? `${speaker}: ${text}` : text)
+
 export const createDialogueMode = ({
   stateManager,
   context,
@@ -117,11 +159,17 @@ export const createDialogueMode = ({
   provider,
   model,
   models = [],
+  // `ai dd --session`: no spinners or labels, warnings to stderr — the caller
+  // prints the translation alone
+  headless = false,
 }) => {
   const saved = readSettings()
   const startPair = session && session.pair ? session.pair : pair || saved.pair
   const startPivot =
     session && typeof session.pivot === 'boolean' ? session.pivot : saved.pivot
+  const startParticipants =
+    session && Array.isArray(session.participants) ? session.participants : saved.participants
+  const startGlossary = session && Array.isArray(session.glossary) ? session.glossary : []
 
   const mode = {
     // Pinned provider+model. A resumed dialogue deliberately does NOT restore the
@@ -133,8 +181,22 @@ export const createDialogueMode = ({
     pair: startPair,
     // A pair containing the pivot language can only go direct (see pairIncludesPivot)
     pivot: pairIncludesPivot(startPair) ? false : startPivot,
+    // Back-translation check after each turn — a preference, not part of a session
+    verify: saved.verify,
+    // Known speakers ("Name" or "Name (hint)"), see splitSpeaker
+    participants: [...startParticipants],
+    // Fixed translations: this dialogue's own (saved with it) over the global
+    // ones (dialogue settings file)
+    glossary: [...startGlossary],
+    globalGlossary: [...saved.glossary],
     transcript: session ? [...session.messages] : [],
-    tip: session ? session.lastResponseId : null,
+    // A chain belongs to the provider that stored it; on another one the next
+    // turn re-anchors from the transcript
+    tip: session && session.provider === provider ? session.lastResponseId : null,
+    // Local-transcript context: the rolling summary and how many transcript
+    // entries it already covers (those are no longer resent)
+    summary: session && typeof session.summary === 'string' ? session.summary : null,
+    summarized: session && Number.isInteger(session.summarized) ? session.summarized : 0,
     sessionId: session ? session.id : null,
     title: session ? session.title : null,
     createdAt: session ? session.createdAt : null,
@@ -147,19 +209,28 @@ export const createDialogueMode = ({
   // The pinned provider's conversation strategy shapes each leg's wire form
   // (chain off a parent vs re-anchor with history) and discards stored legs
   // that end up unwanted; the fork topology itself stays dd's business.
-  const strategy = stateManager.getConversationStrategy(provider)
+  // Replaced when the provider is switched in settings.
+  let strategy = stateManager.getConversationStrategy(provider)
+
+  const isLocal = () => !strategy.carriesServerContext
 
   // Column label rendered inline right after the spinner freezes ("✓ Xs ").
   const legLabel = (code) => ` ${ANSI.COLORS.GREY}${code}${ANSI.COLORS.RESET}  `
 
+  const warn = (text) =>
+    headless ? process.stderr.write(`${text}\n`) : console.log(outputHandler.formatWarning(text))
+
+  // On a local transcript every leg carries the recent window itself, and the
+  // summary of what came before rides in the instructions.
   const runLeg = async ({ instructions, input, parentTip, store, label, history = null }) => {
     const controller = stateManager.getCurrentRequestController()
+    const local = isLocal()
     const turn = strategy.buildTurn({
-      history: history || [],
+      history: local ? wireTranscript().slice(mode.summarized) : history || [],
       input,
       continuationToken: parentTip,
       store,
-      instructions,
+      instructions: local && mode.summary ? `${instructions} ${summaryClause()}` : instructions,
     })
     const result = await runStreamCommand({
       controller,
@@ -168,7 +239,9 @@ export const createDialogueMode = ({
       providerModel: { provider: mode.provider, model: mode.model },
       attachStreamProcessor: true,
       completionOptions: turn.options,
-      streamLabel: legLabel(label),
+      usageTag: 'dd',
+      renderMarkdown: false,
+      ...(headless ? { useSpinner: false, onChunk: () => {} } : { streamLabel: legLabel(label) }),
     })
     // An aborted stored leg still completes server-side — discard it so the
     // chain never sees it (unstored legs leave nothing behind).
@@ -178,21 +251,57 @@ export const createDialogueMode = ({
     return result
   }
 
+  // Who is in the room and who is speaking now — appended to the leg's
+  // instructions so gender agreement and terminology follow each person.
+  const speakerClauses = (speaker) => {
+    const clauses = []
+    if (mode.participants.length > 0) {
+      clauses.push(DIALOGUE.PARTICIPANTS_CLAUSE.split('{participants}').join(mode.participants.join(', ')))
+    }
+    if (speaker) clauses.push(DIALOGUE.SPEAKER_CLAUSE.split('{speaker}').join(speaker))
+    return clauses.map((clause) => ` ${clause}`).join('')
+  }
+
+  const activeGlossary = () => mergeGlossaries(mode.globalGlossary, mode.glossary)
+
+  // Who speaks, plus the glossary entries this message contains.
+  const turnClauses = (text, speaker, entries = activeGlossary()) => {
+    const glossary = glossaryClause(entries, text)
+    return `${speakerClauses(speaker)}${glossary ? ` ${glossary}` : ''}`
+  }
+
   // Name the target language outright when the source is unambiguous; fall back
   // to making the model infer the direction when it is not.
-  const instructionsFor = (template, targetedTemplate, text) => {
+  const instructionsFor = (template, targetedTemplate, text, speaker = null) => {
     const source = detectLanguage(text, mode.pair)
-    if (!source) return fillTemplate(template, mode.pair)
-    const target = source === mode.pair[0] ? mode.pair[1] : mode.pair[0]
-    return fillTemplate(targetedTemplate, mode.pair, target)
+    const base = source
+      ? fillTemplate(targetedTemplate, mode.pair, source === mode.pair[0] ? mode.pair[1] : mode.pair[0])
+      : fillTemplate(template, mode.pair)
+    return `${base}${turnClauses(text, speaker)}`
   }
 
+  // The local transcript as the model saw it (speaker names inlined, answers
+  // without the pivot leg) — the history a re-anchor or a local window resends.
+  const wireTranscript = () =>
+    mode.transcript.map((entry) =>
+      entry.role === 'user'
+        ? { role: entry.role, content: attributed(entry.content, entry.speaker) }
+        : { role: entry.role, content: splitRecord(entry).translation },
+    )
+
+  const summaryClause = () => DIALOGUE.LOCAL_SUMMARY_CLAUSE.split('{summary}').join(mode.summary)
+
+  const speakerLabel = (label, speaker) => (speaker ? `${label} ${speaker}` : label)
+
   // A turn is one direct stream by default, or two (pivot on) forked off the
   // SAME parent. On a stale tip (expired/deleted server chain) re-anchor once
   // with the full local transcript — the single sanctioned fallback.
-  const translateTurn = async (text, parentTip) => {
+  const translateTurn = async (text, speaker, parentTip) => {
     let anchored = parentTip
-    let history = null
+    // No chain yet over an existing transcript (resumed elsewhere, provider
+    // switched): this turn re-anchors with it
+    let history = parentTip ? null : wireTranscript()
+    const said = attributed(text, speaker)
 
     // Pivot off: one direct call, stored, becomes the new chain tip.
     const runDirect = async () => {
@@ -201,24 +310,29 @@ export const createDialogueMode = ({
           DIALOGUE.DIRECT_INSTRUCTIONS,
           DIALOGUE.DIRECT_TARGETED_INSTRUCTIONS,
           text,
+          speaker,
         ),
-        input: text,
+        input: said,
         parentTip: anchored,
         store: true,
-        label: DIALOGUE.TARGET_LABEL,
+        label: speakerLabel(DIALOGUE.TARGET_LABEL, speaker),
         history,
       })
       if (leg.aborted) return null
       return { en: '', target: leg.text, storedId: strategy.captureContinuation(leg) }
     }
 
+    // Leg 1 writes the pivot language, where a rule like 位面 → план would put
+    // Russian into the English; only keep-as-is terms go there, the full
+    // glossary goes to the leg that writes the target
     const runBothLegs = async () => {
+      const pivotClauses = turnClauses(text, speaker, keptAsIs(activeGlossary()))
       const leg1 = await runLeg({
-        instructions: fillTemplate(DIALOGUE.LEG1_INSTRUCTIONS, mode.pair),
-        input: text,
+        instructions: `${fillTemplate(DIALOGUE.LEG1_INSTRUCTIONS, mode.pair)}${pivotClauses}`,
+        input: said,
         parentTip: anchored,
         store: false,
-        label: DIALOGUE.PIVOT_LABEL,
+        label: speakerLabel(DIALOGUE.PIVOT_LABEL, speaker),
         history,
       })
       if (leg1.aborted) return null
@@ -227,11 +341,12 @@ export const createDialogueMode = ({
           DIALOGUE.LEG2_INSTRUCTIONS,
           DIALOGUE.LEG2_TARGETED_INSTRUCTIONS,
           text,
+          speaker,
         ),
-        input: `Original message:\n${text}\n\n${DIALOGUE.PIVOT_LANGUAGE} translation:\n${leg1.text}`,
+        input: `Original message:\n${said}\n\n${DIALOGUE.PIVOT_LANGUAGE} translation:\n${leg1.text}`,
         parentTip: anchored,
         store: true,
-        label: DIALOGUE.TARGET_LABEL,
+        label: speakerLabel(DIALOGUE.TARGET_LABEL, speaker),
         history,
       })
       if (leg2.aborted) return null
@@ -245,23 +360,130 @@ export const createDialogueMode = ({
     } catch (error) {
       if (!anchored || !isChainMiss(error)) throw error
       anchored = null
-      history = mode.transcript
+      history = wireTranscript()
       return await runTurn()
     }
   }
 
-  const handleTurn = async (text) => {
+  // The instructions ask for the glossary; this says when the model ignored it
+  // (redo tries again).
+  const warnGlossaryMisses = (text, translation) => {
+    const misses = glossaryMisses(activeGlossary(), text, translation)
+    if (misses.length === 0) return
+    warn(`Glossary not followed: ${misses.map(formatEntry).join(', ')} — redo to try again`)
+  }
+
+  // The check the user asked for in settings, for a translation they may not be
+  // able to read: a translation detected in the source language is flagged
+  // outright; otherwise an unstored leg forked off the turn's parent translates
+  // it back and judges the drift (the verdict is the leg's last line). Runs
+  // before the turn enters the transcript, so a local window does not show the
+  // model the original twice. A failed check only warns — the turn stands.
+  const verifyTurn = async (text, speaker, parentTip, translation) => {
+    const source = detectLanguage(text, mode.pair)
+    if (source && detectLanguage(translation, mode.pair) === source) {
+      warn(`Check: the translation is still in ${source} — redo to try again`)
+      return
+    }
+    const instructions = fillTemplate(DIALOGUE.VERIFY_INSTRUCTIONS, mode.pair, source || 'the language of the original')
+      .split('{ok}').join(DIALOGUE.VERIFY_OK)
+      .split('{drift}').join(DIALOGUE.VERIFY_DRIFT)
+    const runCheck = (tip) =>
+      runLeg({
+        instructions,
+        input: `Translation:\n${translation}\n\nOriginal:\n${attributed(text, speaker)}`,
+        parentTip: tip,
+        store: false,
+        label: DIALOGUE.VERIFY_LABEL,
+        history: tip ? null : wireTranscript(),
+      })
+    let leg = null
+    try {
+      try {
+        leg = await runCheck(parentTip)
+      } catch (error) {
+        // The turn itself re-anchored off a stale tip; so does its check
+        if (!parentTip || !isChainMiss(error)) throw error
+        leg = await runCheck(null)
+      }
+    } catch (error) {
+      warn('Check: the back-translation failed — the turn is kept unchecked')
+      return
+    }
+    if (leg.aborted) return
+    const lines = String(leg.text || '').trim().split('\n')
+    const verdict = lines[lines.length - 1].trim()
+    if (verdict.startsWith(DIALOGUE.VERIFY_OK)) return
+    if (!verdict.startsWith(DIALOGUE.VERIFY_DRIFT)) {
+      warn('Check: no verdict — compare the back-translation with the original yourself')
+      return
+    }
+    let reason = verdict.slice(DIALOGUE.VERIFY_DRIFT.length).trim()
+    if (reason.startsWith(':')) reason = reason.slice(1).trim()
+    warn(`Check: the meaning may have drifted${reason ? ` (${reason})` : ''} — redo to try again`)
+  }
+
+  // Local transcript only: once LOCAL_SUMMARY_BATCH turns have piled up past
+  // the window, fold them into the summary (the previous summary is updated,
+  // not replaced). A failure is not fatal — the window just stays longer and
+  // the next turn tries again.
+  const foldOlderTurns = async () => {
+    const shownTurns = (mode.transcript.length - mode.summarized) / 2
+    if (shownTurns <= DIALOGUE.LOCAL_WINDOW_TURNS + DIALOGUE.LOCAL_SUMMARY_BATCH) return
+    const upTo = mode.transcript.length - DIALOGUE.LOCAL_WINDOW_TURNS * 2
+    const older = wireTranscript()
+      .slice(mode.summarized, upTo)
+      .map((entry) => (entry.role === 'user' ? entry.content : `→ ${entry.content}`))
+      .join('\n')
+    const request = [
+      fillTemplate(DIALOGUE.LOCAL_SUMMARY_INSTRUCTIONS, mode.pair)
+        .split('{words}')
+        .join(String(DIALOGUE.LOCAL_SUMMARY_WORDS)),
+      `Notes so far:\n${mode.summary || '(none yet)'}`,
+      `New turns (each message, then → its translation):\n${older}`,
+    ].join('\n\n')
+
+    const parts = []
+    try {
+      const result = await runStreamCommand({
+        controller: stateManager.getCurrentRequestController(),
+        messages: [{ role: 'user', content: request }],
+        providerModel: { provider: mode.provider, model: mode.model },
+        useSpinner: false,
+        usageTag: 'dd',
+        markdown: false,
+        onChunk: ({ content }) => parts.push(content),
+      })
+      if (result.aborted) return
+    } catch (error) {
+      return
+    }
+    const summary = parts.join('').trim()
+    if (!summary) return
+    mode.summary = summary
+    mode.summarized = upTo
+  }
+
+  // Both halves of a turn carry the speaker, so a saved transcript shows who
+  // said what. Returns the turn, or null when it was cancelled.
+  const handleTurn = async (text, speaker = null) => {
     const parentTip = mode.tip
-    const turn = await translateTurn(text, parentTip)
-    if (!turn) return
-    const record = turn.en
-      ? `[${DIALOGUE.PIVOT_LANGUAGE.toLowerCase()}] ${turn.en}\n${turn.target}`
-      : turn.target
-    mode.transcript.push({ role: 'user', content: text })
-    mode.transcript.push({ role: 'assistant', content: record })
+    const turn = await translateTurn(text, speaker, parentTip)
+    if (!turn) return null
+    if (mode.verify) await verifyTurn(text, speaker, parentTip, turn.target)
+    const record = formatRecord(turn.en, turn.target)
+    // Speaker, time and the pivot leg are for exports; the wire takes only role/content
+    const who = speaker ? { speaker } : {}
+    const at = Date.now()
+    const pivotText = turn.en ? { pivotText: turn.en } : {}
+    mode.transcript.push({ role: 'user', content: text, at, ...who })
+    mode.transcript.push({ role: 'assistant', content: record, at, ...who, ...pivotText })
     mode.tip = turn.storedId
-    mode.lastTurn = { parentTip, text, storedId: turn.storedId }
+    mode.lastTurn = { parentTip, text, speaker, storedId: turn.storedId }
     mode.dirty = true
+    warnGlossaryMisses(text, turn.target)
+    if (isLocal()) await foldOlderTurns()
+    return turn
   }
 
   // Redo forks off the SAME parent as the rejected turn and deletes the reject,
@@ -271,26 +493,18 @@ export const createDialogueMode = ({
       console.log(outputHandler.formatWarning('Nothing to redo yet'))
       return
     }
-    const { parentTip, text, storedId } = mode.lastTurn
+    const { parentTip, text, speaker, storedId } = mode.lastTurn
     strategy.discard(storedId)
     mode.transcript.pop()
     mode.transcript.pop()
     mode.tip = parentTip
     mode.lastTurn = null
-    await handleTurn(text)
+    await handleTurn(text, speaker)
   }
 
-  const saveDialogue = async () => {
-    if (mode.transcript.length === 0) {
-      console.log(outputHandler.formatWarning('Nothing to save — the dialogue is empty'))
-      return
-    }
-    const proposed = mode.title || proposeTitle(mode.transcript)
-    const title = (await createTextInput('Dialogue title', proposed, context)).trim()
-    if (!title) {
-      console.log(outputHandler.formatWarning('Save cancelled — no title given'))
-      return
-    }
+  // Write the dialogue under `title` — over the record it was resumed from, or
+  // as a new one — and sync; resolves to the sync result.
+  const storeDialogue = async (title) => {
     let record = mode.sessionId ? readSession(mode.sessionId) : null
     if (record) {
       record.title = title
@@ -299,6 +513,10 @@ export const createDialogueMode = ({
       record.lastResponseId = mode.tip
       record.pair = mode.pair
       record.pivot = mode.pivot
+      record.participants = mode.participants
+      record.glossary = mode.glossary
+      record.summary = mode.summary
+      record.summarized = mode.summarized
       record.provider = mode.provider
       record.model = mode.model
     } else {
@@ -310,6 +528,10 @@ export const createDialogueMode = ({
         kind: 'dialogue',
         pair: mode.pair,
         pivot: mode.pivot,
+        participants: mode.participants,
+        glossary: mode.glossary,
+        summary: mode.summary,
+        summarized: mode.summarized,
         lastResponseId: mode.tip,
         messages: mode.transcript,
       })
@@ -318,7 +540,21 @@ export const createDialogueMode = ({
     mode.sessionId = record.id
     mode.title = title
     mode.dirty = false
-    const sync = await syncSessions()
+    return await syncSessions()
+  }
+
+  const saveDialogue = async () => {
+    if (mode.transcript.length === 0) {
+      console.log(outputHandler.formatWarning('Nothing to save — the dialogue is empty'))
+      return
+    }
+    const proposed = mode.title || proposeTitle(mode.transcript)
+    const title = (await createTextInput('Dialogue title', proposed, context)).trim()
+    if (!title) {
+      console.log(outputHandler.formatWarning('Save cancelled — no title given'))
+      return
+    }
+    const sync = await storeDialogue(title)
     const syncNote = sync.ok ? ' and synced' : ' (local only — sync unavailable)'
     console.log(outputHandler.formatSuccess(`Saved "${title}"${syncNote}`))
   }
@@ -330,7 +566,80 @@ export const createDialogueMode = ({
   }
 
   const persistDefaults = () =>
-    writeSettings({ pair: mode.pair, pivot: mode.pivot, model: mode.model })
+    writeSettings({
+      pair: mode.pair,
+      pivot: mode.pivot,
+      verify: mode.verify,
+      model: mode.model,
+      participants: mode.participants,
+      glossary: mode.globalGlossary,
+      provider: mode.provider,
+    })
+
+  // Participants are edited as one comma-separated line; new dialogues start
+  // with the same list. Names already used in the transcript stay there as is.
+  const editParticipants = async () => {
+    const answer = await createTextInput(
+      'Participants, comma-separated ("Name (hint)" adds e.g. a gender; "-" clears)',
+      mode.participants.join(', '),
+      context,
+    )
+    const participants = isClearAnswer(answer) ? [] : parseParticipants(answer)
+    if (participants.join(',') === mode.participants.join(',')) return
+    mode.participants = participants
+    persistDefaults()
+  }
+
+  // Same one-line editing for both glossaries. This dialogue's entries are
+  // saved with it (an unsaved change marks it dirty); global ones persist at once.
+  const editGlossary = async (global) => {
+    const current = global ? mode.globalGlossary : mode.glossary
+    const answer = await createTextInput(
+      `${global ? 'Glossary for all dialogues' : 'Glossary for this dialogue'}, comma-separated ("位面 → план"; a term alone stays as is; "-" clears)`,
+      formatGlossary(current),
+      context,
+    )
+    const glossary = isClearAnswer(answer) ? [] : parseGlossary(answer)
+    if (formatGlossary(glossary) === formatGlossary(current)) return
+    if (global) {
+      mode.globalGlossary = glossary
+      persistDefaults()
+      return
+    }
+    mode.glossary = glossary
+    mode.dirty = true
+  }
+
+  // Another provider brings its own models and strategy. Its chain cannot
+  // continue this one, so the next turn re-anchors from the transcript (or, on
+  // a local transcript, simply resends the window). Returns a note for after
+  // the menu, or ''.
+  const chooseProvider = async () => {
+    const ids = configService.availableProviders()
+    const current = ids.indexOf(mode.provider)
+    const index = await createNavigationMenu(
+      'Provider for dialogue mode',
+      ids.map((id) => `${id} — ${contextKind(stateManager, id)}`),
+      current === -1 ? 0 : current,
+      context,
+    )
+    if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX || ids[index] === mode.provider) return ''
+    const id = ids[index]
+    let ready = null
+    try {
+      ready = await stateManager.ensureProviderReady(id)
+    } catch (error) {
+      return `Could not reach the ${id} provider — still on ${mode.provider}`
+    }
+    mode.provider = id
+    mode.models = ready.models
+    const models = modelIds(ready.models)
+    if (models.length > 0 && !models.includes(mode.model)) mode.model = ready.config.defaultModel || models[0]
+    strategy = stateManager.getConversationStrategy(id)
+    mode.tip = null
+    persistDefaults()
+    return ''
+  }
 
   const chooseModel = async () => {
     const ids = modelIds(mode.models)
@@ -348,20 +657,33 @@ export const createDialogueMode = ({
     persistDefaults()
   }
 
+  // Two short menus — a language, then its partner — so the list stays usable
+  // however many languages config.toml adds.
+  const pickPair = async () => {
+    const names = languageNames()
+    const first = await createNavigationMenu(
+      'Language pair: first language',
+      names,
+      Math.max(0, names.indexOf(mode.pair[0])),
+      context,
+    )
+    if (first === APP_CONSTANTS.MENU_CANCELLED_INDEX) return null
+    const partners = names.filter((name) => name !== names[first])
+    const second = await createNavigationMenu(
+      `Language pair: ${names[first]} ⇄ …`,
+      partners,
+      Math.max(0, partners.indexOf(mode.pair[1])),
+      context,
+    )
+    if (second === APP_CONSTANTS.MENU_CANCELLED_INDEX) return null
+    return [names[first], partners[second]]
+  }
+
   // Switching the pair invalidates the accumulated chain and transcript — they
   // are in the old languages — so the dialogue restarts. Returns true if it did.
   const choosePair = async () => {
-    const pairs = languagePairs()
-    const current = pairs.findIndex((p) => samePair(p, mode.pair))
-    const index = await createNavigationMenu(
-      'Language pair',
-      pairs.map((p) => `${p[0]} ⇄ ${p[1]}`),
-      current === -1 ? 0 : current,
-      context,
-    )
-    if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX) return false
-    const chosen = pairs[index]
-    if (samePair(chosen, mode.pair)) return false
+    const chosen = await pickPair()
+    if (!chosen || samePair(chosen, mode.pair)) return false
 
     if (mode.dirty) {
       const confirm = await createNavigationMenu(
@@ -377,6 +699,8 @@ export const createDialogueMode = ({
     if (pairIncludesPivot(chosen)) mode.pivot = false
     mode.transcript = []
     mode.tip = null
+    mode.summary = null
+    mode.summarized = 0
     mode.sessionId = null
     mode.title = null
     mode.lastTurn = null
@@ -385,6 +709,11 @@ export const createDialogueMode = ({
     return true
   }
 
+  const toggleVerify = () => {
+    mode.verify = !mode.verify
+    persistDefaults()
+  }
+
   const togglePivot = () => {
     if (pairIncludesPivot(mode.pair)) return
     mode.pivot = !mode.pivot
@@ -392,18 +721,27 @@ export const createDialogueMode = ({
   }
 
   const stateLine = (suffix = '') =>
-    `Dialogue: ${mode.pair[0]} ⇄ ${mode.pair[1]} on ${mode.model}, pivot ${
+    `Dialogue: ${mode.pair[0]} ⇄ ${mode.pair[1]} on ${mode.provider}/${mode.model}${
+      isLocal() ? ' (local transcript)' : ''
+    }, pivot ${
       pairIncludesPivot(mode.pair)
         ? `unavailable (${DIALOGUE.PIVOT_LANGUAGE} is one side of the pair) — translating directly`
         : mode.pivot
           ? `on (via ${DIALOGUE.PIVOT_LANGUAGE})`
           : 'off (direct)'
+    }${mode.verify ? ', back-translation check on' : ''}${
+      mode.participants.length > 0
+        ? `, speakers: ${mode.participants.map(participantName).join(', ')}`
+        : ''
+    }${
+      activeGlossary().length > 0 ? `, glossary: ${activeGlossary().length} term(s)` : ''
     }${suffix}`
 
   // The menu clears the screen on every redraw, so nothing is printed inside the
   // loop — the resulting state is reported once, after the screen closes.
   const openSettings = async () => {
     let restarted = false
+    let note = ''
     while (true) {
       const pivotRow = pairIncludesPivot(mode.pair)
         ? `Pivot through ${DIALOGUE.PIVOT_LANGUAGE}: unavailable (pair includes ${DIALOGUE.PIVOT_LANGUAGE})`
@@ -411,28 +749,50 @@ export const createDialogueMode = ({
       const index = await createNavigationMenu(
         'Dialogue settings',
         [
+          `Provider: ${mode.provider} (${contextKind(stateManager, mode.provider)})`,
           `Model: ${mode.model}`,
           pivotRow,
+          `Back-translation check: ${mode.verify ? 'on' : 'off'}`,
           `Language pair: ${mode.pair[0]} ⇄ ${mode.pair[1]}`,
+          `Participants: ${mode.participants.length > 0 ? mode.participants.join(', ') : 'none'}`,
+          `Glossary (this dialogue): ${mode.glossary.length > 0 ? formatGlossary(mode.glossary) : 'none'}`,
+          `Glossary (all dialogues): ${mode.globalGlossary.length > 0 ? formatGlossary(mode.globalGlossary) : 'none'}`,
           'Back',
         ],
         0,
         context,
       )
-      if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX || index === 3) break
+      if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX || index === 8) break
       if (index === 0) {
-        await chooseModel()
+        note = await chooseProvider()
         continue
       }
       if (index === 1) {
+        await chooseModel()
+        continue
+      }
+      if (index === 2) {
         togglePivot()
         continue
       }
+      if (index === 3) {
+        toggleVerify()
+        continue
+      }
+      if (index === 5) {
+        await editParticipants()
+        continue
+      }
+      if (index === 6 || index === 7) {
+        await editGlossary(index === 7)
+        continue
+      }
       if (await choosePair()) restarted = true
     }
     console.log(
       outputHandler.formatInfo(stateLine(restarted ? ' — dialogue restarted' : '')),
     )
+    if (note) console.log(outputHandler.formatWarning(note))
   }
 
   const commands = {
@@ -443,6 +803,20 @@ export const createDialogueMode = ({
     settings: openSettings,
   }
 
+  // A message as typed ("@Lena ...", "Lena: ..."); resolves to the turn or null.
+  const translateLine = async (input) => {
+    const { speaker, text, mentioned } = splitSpeaker(input.trim(), mode.participants)
+    if (!text) {
+      warn(`Nothing to translate after "${speaker}"`)
+      return null
+    }
+    if (mentioned && !findParticipant(mode.participants, speaker)) {
+      mode.participants.push(speaker)
+      persistDefaults()
+    }
+    return await handleTurn(text, speaker)
+  }
+
   const handleLine = async (input) => {
     const word = input.trim().toLowerCase()
     const command = commands[word]
@@ -450,62 +824,384 @@ export const createDialogueMode = ({
       await command()
       return
     }
-    await handleTurn(input.trim())
+    await translateLine(input)
   }
 
   // Only live accessors leave the closure: exposing pair/pivot as values would
   // hand out a snapshot that goes stale the moment settings change them.
   return {
     prompt: `\n${ANSI.COLORS.GREEN}${DIALOGUE.PROMPT}`,
+    historyScope: DIALOGUE.HISTORY_SCOPE,
     stateLine,
     handleLine,
+    // A message from outside the prompt (`dd follow`): the same chain and
+    // rendering as a typed line; resolves to { en, target } or null.
+    relay: (text, speaker = null) => handleTurn(text, speaker),
+    // `ai dd --session`: a typed-style message, then a save under the same title
+    translate: translateLine,
+    save: () => storeDialogue(mode.title),
+    hasTurns: () => mode.transcript.length > 0,
+    participants: () => mode.participants,
+  }
+}
+
+// dd pins its own provider+model: preferably a Responses API provider (the
+// chain it relies on does not exist on chat/completions) and a model strong
+// enough to carry that chain. Nothing here changes the provider/model the user
+// has selected — the pin travels with each request instead. Returns
+// { provider, ready, model, modelNote } or { message } when dd cannot start.
+const prepareDialogue = async (stateManager) => {
+  const provider = findDialogueProvider(stateManager, readSettings().provider)
+  if (!provider) {
+    return {
+      message: outputHandler.formatWarning(
+        'Dialogue mode needs a configured provider — run: ai login, or set a provider API key',
+      ),
+    }
   }
+
+  const spinner = createSpinner('Preparing dialogue mode...')
+  spinner.start()
+  let ready = null
+  try {
+    ready = await stateManager.ensureProviderReady(provider)
+    spinner.stop('success')
+  } catch (error) {
+    spinner.stop('error')
+    return {
+      message: outputHandler.formatError(`Could not reach the ${provider} provider for dialogue mode`),
+    }
+  }
+
+  const ids = modelIds(ready.models)
+  const wanted = readSettings().model
+  let model = wanted
+  let modelNote = ''
+  if (ids.length > 0 && !ids.includes(wanted)) {
+    model = ready.config.defaultModel || ids[0]
+    modelNote = `\nNote: ${wanted} is not available on this account — using ${model} instead`
+  }
+  return { provider, ready, model, modelNote }
+}
+
+const MODE_HINTS = [
+  '  settings   provider, model, language pair, participants, glossary, the pivot and back-translation toggles',
+  '  @name msg  attribute a message to a speaker (or "Name: msg" for a known participant)',
+  '  save       keep this dialogue (it then appears in the dd menu)',
+  '  redo       translate the last message again',
+  '  exit       leave the mode (or q)',
+].join('\n')
+
+const FOLLOW_USAGE = 'Usage: dd follow <file> [--format <name>] [--out <file>]'
+
+const expandHome = (filePath) =>
+  filePath === '~' || filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(1)) : filePath
+
+// `follow <file> [--format <name>] [--out <file>]` — the file name may contain
+// spaces (the command line arrives split on them). Returns the options or null.
+const parseFollowArgs = (args) => {
+  const flags = { '--format': 'format', '--out': 'out' }
+  const options = { format: DIALOGUE.FOLLOW_DEFAULT_FORMAT, out: null }
+  const fileWords = []
+  for (let i = 0; i < args.length; i++) {
+    const flag = flags[args[i]]
+    if (!flag) {
+      fileWords.push(args[i])
+      continue
+    }
+    if (i + 1 >= args.length) return null
+    options[flag] = args[++i]
+  }
+  if (fileWords.length === 0) return null
+  return {
+    ...options,
+    file: path.resolve(expandHome(fileWords.join(' '))),
+    out: options.out ? path.resolve(expandHome(options.out)) : null,
+  }
+}
+
+// "[Party] Lena: " — how a relayed message is labelled on screen and in --out.
+const relayPrefix = ({ channel, speaker }) =>
+  `${channel ? `[${channel}] ` : ''}${speaker ? `${speaker}: ` : ''}`
+
+// Shared by follow and watch: relay each message `nextMessages()` yields
+// ({ speaker, channel, text }, possibly none) through the dialogue, one at a
+// time, polling every `pollMs` while it has nothing — until ESC. `delivered`
+// gets each finished translation. A failed message, or a translation that could
+// not be delivered, is reported and skipped so one error never ends a long
+// relay. Returns the number of messages relayed.
+const runRelay = async ({ context, stateManager, mode, pollMs, nextMessages, delivered }) => {
+  let stopped = false
+  let wake = null
+  const escId = context.esc.register(() => {
+    stopped = true
+    const controller = stateManager.getCurrentRequestController()
+    if (controller) controller.abort()
+    const streamProcessor = stateManager.getCurrentStreamProcessor()
+    if (streamProcessor) streamProcessor.forceTerminate()
+    if (wake) wake()
+  }, 'dd relay')
+
+  let relayed = 0
+  try {
+    while (!stopped) {
+      const messages = await nextMessages()
+      for (const message of messages) {
+        if (stopped) break
+        console.log(`\n${ANSI.COLORS.GREY}${relayPrefix(message)}${message.text}${ANSI.COLORS.RESET}`)
+        let turn
+        try {
+          turn = await mode.relay(message.text, message.speaker)
+        } catch (error) {
+          console.log(outputHandler.formatError(`Not translated: ${sanitizeMessage(error.message)}`))
+          continue
+        }
+        if (!turn) continue
+        relayed++
+        try {
+          await delivered(message, turn)
+        } catch (error) {
+          console.log(
+            outputHandler.formatError(`Translated, but could not copy/write: ${sanitizeMessage(error.message)}`),
+          )
+        }
+      }
+      if (!stopped && messages.length === 0) {
+        await new Promise((resolve) => {
+          wake = resolve
+          setTimeout(resolve, pollMs)
+        })
+        wake = null
+      }
+    }
+  } finally {
+    context.esc.unregister(escId)
+    // The aborted controller also mutes output; a fresh one lets the summary through
+    stateManager.setProcessingRequest(true, new AbortController())
+  }
+  return relayed
+}
+
+// After a relay the turns stay open in dialogue mode, so they can be saved.
+const relayFinished = (context, mode, summary) => {
+  if (!mode.hasTurns()) return outputHandler.formatInfo(summary)
+  context.modes.enter(mode)
+  return outputHandler.formatInfo(`${summary}; still in the dialogue (save keeps it, exit leaves)`)
+}
+
+// `dd follow <file>`: translate each message appended to a chat log as it
+// arrives — a relay for a game or chat client that can only write a log.
+const followFlow = async (args, context, stateManager) => {
+  const options = parseFollowArgs(args)
+  if (!options) return outputHandler.formatWarning(FOLLOW_USAGE)
+  if (!fs.existsSync(options.file) || !fs.statSync(options.file).isFile()) {
+    return outputHandler.formatError(`No such file: ${options.file}`)
+  }
+  const formats = configService.dialogueFormats()
+  const templates = formats[options.format.toLowerCase()]
+  if (!templates) {
+    return outputHandler.formatWarning(
+      `Unknown line format "${options.format}" — available: ${Object.keys(formats).join(', ')} (add more under [dialogue.formats] in config.toml)`,
+    )
+  }
+
+  const prepared = await prepareDialogue(stateManager)
+  if (prepared.message) return prepared.message
+  const { provider, ready, model, modelNote } = prepared
+
+  const parseLine = createLineParser(templates)
+  const follower = createLogFollower(options.file)
+  const mode = createDialogueMode({ stateManager, context, provider, model, models: ready.models })
+
+  const outNote = options.out ? `, translations appended to ${options.out}` : ''
+  console.log(
+    outputHandler.formatInfo(
+      `${mode.stateLine()}${modelNote}\nFollowing ${options.file} (format: ${options.format}${outNote}) — press ESC to stop`,
+    ),
+  )
+
+  const relayed = await runRelay({
+    context,
+    stateManager,
+    mode,
+    pollMs: DIALOGUE.FOLLOW_POLL_MS,
+    nextMessages: async () => follower.readNewLines().map(parseLine).filter(Boolean),
+    delivered: async (message, turn) => {
+      if (options.out) fs.appendFileSync(options.out, `${relayPrefix(message)}${turn.target}\n`)
+    },
+  })
+  return relayFinished(context, mode, `Stopped following ${options.file} — ${relayed} message(s) relayed`)
 }
 
-// `dd` — enter dialogue-translation mode (Responses-capable providers only):
+const WATCH_USAGE = 'Usage: dd watch [--copy]'
+
+// `dd watch [--copy]`: every text copied from now on is a turn — copy a message
+// in one chat window, and with --copy the translation is on the clipboard,
+// ready to paste into the other. The message just relayed is not resent when
+// copied again, and neither is the translation written back.
+const watchFlow = async (args, context, stateManager) => {
+  const unknown = args.filter((arg) => arg !== '--copy')
+  if (unknown.length > 0) return outputHandler.formatWarning(WATCH_USAGE)
+  const copyBack = args.includes('--copy')
+
+  let lastSeen
+  let lastSent = null
+  try {
+    lastSeen = await readClipboard() // already there before watch started — not a turn
+  } catch (error) {
+    return outputHandler.formatError(`Clipboard unavailable: ${sanitizeMessage(error.message)}`)
+  }
+
+  const prepared = await prepareDialogue(stateManager)
+  if (prepared.message) return prepared.message
+  const { provider, ready, model, modelNote } = prepared
+
+  const mode = createDialogueMode({ stateManager, context, provider, model, models: ready.models })
+  const copyNote = copyBack ? ', translations copied back' : ''
+  console.log(
+    outputHandler.formatInfo(
+      `${mode.stateLine()}${modelNote}\nWatching the clipboard${copyNote} — press ESC to stop`,
+    ),
+  )
+
+  const relayed = await runRelay({
+    context,
+    stateManager,
+    mode,
+    pollMs: DIALOGUE.WATCH_POLL_MS,
+    nextMessages: async () => {
+      let value
+      try {
+        value = await readClipboard()
+      } catch (error) {
+        return [] // a slow or busy clipboard — try again on the next poll
+      }
+      if (!value || value === lastSeen) return []
+      lastSeen = value
+      if (value === lastSent) return []
+      lastSent = value
+      const { speaker, text } = splitSpeaker(value, mode.participants())
+      return text ? [{ speaker, channel: null, text }] : []
+    },
+    delivered: async (message, turn) => {
+      if (!copyBack) return
+      await setClipboardContent(turn.target)
+      // Read back rather than compare: the clipboard may normalize what it got
+      lastSeen = await readClipboard()
+    },
+  })
+  return relayFinished(context, mode, `Stopped watching the clipboard — ${relayed} message(s) relayed`)
+}
+
+const SESSION_USAGE = 'Usage: ai dd --session <id|title> "text"   |   echo text | ai dd --session <id|title>'
+
+const fail = (message, code = EXIT_CODES.INVALID) => {
+  process.stderr.write(`${message}\n`)
+  return code
+}
+
+// `ai dd --session <id|title> "text"` (or the text piped in): one turn of a
+// saved dialogue without the REPL, for hotkeys and scripts. It runs on the
+// provider and model the dialogue was saved with, off its stored chain, prints
+// only the translation and saves the dialogue back. Sessions are pulled first,
+// so a turn taken on another device is not overwritten. Resolves to an exit code
+// (the one-shot ones: see EXIT_CODES).
+const headlessTurnFlow = async (args, stateManager) => {
+  const ref = (args[0] || '').trim()
+  const piped = await readStdin()
+  const input = [args.slice(1).join(' ').trim(), piped].filter(Boolean).join(' ').trim()
+  if (!ref || !input) return fail(SESSION_USAGE)
+
+  // stdout carries only the translation: bootstrap and sync notes stay off it
+  logger.setConsoleLogging(false)
+  await configService.bootstrap()
+  const sync = await syncSessions()
+  const saved = listSessions().filter((meta) => meta.kind === 'dialogue')
+  const byId = saved.find((meta) => meta.id === ref)
+  const found = byId ? { meta: byId } : matchSession(saved, ref)
+  if (!found.meta) {
+    return fail(
+      found.matches === 0
+        ? `No saved dialogue matches "${ref}"`
+        : `"${ref}" matches ${found.matches} dialogues — give more of the title`,
+    )
+  }
+  const session = readSession(found.meta.id)
+  if (!session) return fail(`Could not read the dialogue "${found.meta.title}"`, EXIT_CODES.ERROR)
+
+  // The saved provider while it is still configured; otherwise the dd default
+  // re-anchors the dialogue from its transcript
+  const available = configService.availableProviders()
+  const provider = available.includes(session.provider)
+    ? session.provider
+    : findDialogueProvider(stateManager, readSettings().provider)
+  if (!provider) {
+    return fail('Dialogue mode needs a configured provider — run: ai login, or set a provider API key', EXIT_CODES.AUTH)
+  }
+
+  const controller = new AbortController()
+  stateManager.setProcessingRequest(true, controller)
+  process.on('SIGINT', () => controller.abort())
+  try {
+    await stateManager.primeProvider(provider, provider === session.provider ? session.model : null)
+    const mode = createDialogueMode({
+      stateManager,
+      context: null,
+      session,
+      provider,
+      model: stateManager.getCurrentModel(),
+      headless: true,
+    })
+    const turn = await mode.translate(input)
+    if (controller.signal.aborted) return EXIT_CODES.SIGINT
+    if (!turn) return EXIT_CODES.INVALID
+    process.stdout.write(`${turn.target}\n`)
+    const stored = await mode.save()
+    // Not being logged in is the ordinary local-only case; a failing sync is news
+    if (!stored.ok && sync.ok) process.stderr.write(`Saved locally — sync failed (${stored.error})\n`)
+    return EXIT_CODES.SUCCESS
+  } catch (error) {
+    if (controller.signal.aborted) return EXIT_CODES.SIGINT
+    return fail(`Error: ${sanitizeMessage(error && error.message ? error.message : String(error))}`, exitCodeFor(error))
+  }
+}
+
+// `dd` — enter dialogue-translation mode:
 // no args → menu (new dialogue / resume a saved one); `dd <langA> <langB>`
-// → new dialogue for that pair; `dd rm` → delete a saved dialogue.
+// → new dialogue for that pair; `dd rm` → delete a saved dialogue;
+// `dd export [<title>]` → write a saved dialogue as Markdown, HTML or CSV;
+// `dd follow <file>` / `dd watch` → relay a chat log / the clipboard through
+// the dialogue chain. One-shot (`ai dd`, no REPL context) runs only
+// `--session`, and answers with an exit code.
 export const DialogueCommand = {
   async execute(args = [], context = {}) {
     const stateManager = getStateManager()
 
+    if (!context) {
+      if (args[0] === '--session') return await headlessTurnFlow(args.slice(1), stateManager)
+      return fail(`dd is interactive — run it in the REPL, or continue a saved dialogue:\n${SESSION_USAGE}`)
+    }
+    if (args[0] === '--session') {
+      return outputHandler.formatWarning('--session is for one-shot use (ai dd --session ...); here run dd and pick the dialogue')
+    }
+
     if (args[0] === 'rm') {
       return await removeDialogueFlow(context)
     }
-
-    // dd pins its own provider+model: it needs the Responses API (the chain it
-    // relies on does not exist on chat/completions) and a model strong enough to
-    // carry that chain. Nothing here changes the provider/model the user has
-    // selected — the pin travels with each request instead.
-    const provider = findResponsesProvider(stateManager)
-    if (!provider) {
-      return outputHandler.formatWarning(
-        'Dialogue mode needs a Responses API provider — run: ai login',
-      )
+    if (args[0] === 'export') {
+      return await exportDialogueFlow(args.slice(1), context)
     }
-
-    const spinner = createSpinner('Preparing dialogue mode...')
-    spinner.start()
-    let ready = null
-    try {
-      ready = await stateManager.ensureProviderReady(provider)
-      spinner.stop('success')
-    } catch (error) {
-      spinner.stop('error')
-      return outputHandler.formatError(
-        `Could not reach the ${provider} provider for dialogue mode`,
-      )
+    if (args[0] === 'follow') {
+      return await followFlow(args.slice(1), context, stateManager)
     }
-
-    const ids = modelIds(ready.models)
-    const wanted = readSettings().model
-    let model = wanted
-    let modelNote = ''
-    if (ids.length > 0 && !ids.includes(wanted)) {
-      model = ready.config.defaultModel
-      modelNote = `\nNote: ${wanted} is not available on this account — using ${model} instead`
+    if (args[0] === 'watch') {
+      return await watchFlow(args.slice(1), context, stateManager)
     }
 
+    const prepared = await prepareDialogue(stateManager)
+    if (prepared.message) return prepared.message
+    const { provider, ready, model, modelNote } = prepared
+
     let session = null
     let pair = null
     if (args.length >= 2) {
@@ -535,13 +1231,7 @@ export const DialogueCommand = {
     const resumed = session
       ? ` — resumed "${session.title}" (${Math.floor(session.messages.length / 2)} turns)`
       : ''
-    const hints = [
-      '  settings   model, language pair and the pivot toggle',
-      '  save       keep this dialogue (it then appears in the dd menu)',
-      '  redo       translate the last message again',
-      '  exit       leave the mode (or q)',
-    ].join('\n')
-    return outputHandler.formatInfo(`${mode.stateLine(resumed)}${modelNote}\n${hints}`)
+    return outputHandler.formatInfo(`${mode.stateLine(resumed)}${modelNote}\n${MODE_HINTS}`)
   },
 }
 
@@ -571,3 +1261,43 @@ const removeDialogueFlow = async (context) => {
   const syncNote = sync.ok ? ' (synced)' : ' (local only — sync unavailable)'
   return outputHandler.formatSuccess(`Deleted "${target.title}"${syncNote}`)
 }
+
+const exportDialogueFlow = async (args, context) => {
+  const options = parseExportArgs(args)
+  if (options.error) {
+    return outputHandler.formatWarning(`${options.error}\nUsage: dd export [<title>] ${EXPORT_USAGE_OPTIONS}`)
+  }
+  const saved = listSessions().filter((meta) => meta.kind === 'dialogue')
+  if (saved.length === 0) {
+    return outputHandler.formatWarning('No saved dialogues')
+  }
+  let target = null
+  if (options.ref) {
+    const found = matchSession(saved, options.ref)
+    if (!found.meta) {
+      return outputHandler.formatWarning(
+        found.matches === 0
+          ? `No saved dialogue matches "${options.ref}"`
+          : `"${options.ref}" matches ${found.matches} dialogues — give more of the title`,
+      )
+    }
+    target = found.meta
+  } else {
+    const index = await createNavigationMenu(
+      'Export which dialogue?',
+      saved.map((meta) => meta.title),
+      0,
+      context,
+    )
+    if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX) return outputHandler.formatInfo('Cancelled')
+    target = saved[index]
+  }
+  const session = readSession(target.id)
+  if (!session) return outputHandler.formatWarning('That dialogue is no longer on disk')
+  try {
+    const written = exportSession(session, options)
+    return outputHandler.formatSuccess(`Exported "${session.title}" to ${written}`)
+  } catch (error) {
+    return outputHandler.formatError(`Could not write the export: ${error.message}`)
+  }
+}
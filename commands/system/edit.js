@@ -0,0 +1,45 @@
+import { spawnSync } from 'node:child_process'
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { ANSI } from '../../config/ansi.js'
+import { COMPOSER } from '../../config/constants.js'
+import { outputHandler } from '../../core/print/index.js'
+
+// `edit [text]` (alias `e`) — compose a prompt in $EDITOR. The saved text goes
+// back to the loop as if typed, so command keys still route ("e doc" starts
+// the file with "doc" on its own line; write the body below it).
+export const EditCommand = {
+  async execute(args = [], context = {}) {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi'
+    const dir = mkdtempSync(path.join(os.tmpdir(), COMPOSER.TEMP_PREFIX))
+    const filePath = path.join(dir, COMPOSER.TEMP_FILE)
+    const seed = args.join(' ').trim()
+
+    let text = ''
+    try {
+      writeFileSync(filePath, seed ? `${seed}\n` : '')
+
+      context.ui.pauseReadline()
+      outputHandler.showCursor()
+      const result = spawnSync(editor, [filePath], { stdio: 'inherit' })
+      context.ui.resumeReadline()
+
+      if (result.error) {
+        return `${ANSI.COLORS.RED}Could not launch editor "${editor}": ${result.error.message}${ANSI.COLORS.RESET}`
+      }
+
+      text = readFileSync(filePath, 'utf8').trim()
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+
+    if (!text || text === seed) {
+      return outputHandler.formatWarning('Nothing to send — the file was left empty')
+    }
+
+    context.input.submit(text)
+    const lines = text.split('\n').length
+    return `${ANSI.COLORS.GREY}[Composed in editor: ${lines} line(s), ${text.length} chars]${ANSI.COLORS.RESET}`
+  },
+}
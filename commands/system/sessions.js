@@ -0,0 +1,202 @@
+import { createNavigationMenu, createTextInput } from './ui/interactive-menu.js'
+import { outputHandler } from '../../core/print/index.js'
+import {
+  readSession,
+  writeSession,
+  listSessions,
+  removeSession,
+  matchSession,
+} from '../../services/sessions/store.js'
+import {
+  exportSession,
+  parseExportArgs,
+  formatWhen,
+  EXPORT_USAGE_OPTIONS,
+} from '../../services/sessions/export.js'
+import { markSessionDeleted, syncSessions } from '../../services/sessions/sync.js'
+import { APP_CONSTANTS, SESSIONS } from '../../config/constants.js'
+import { ANSI } from '../../config/ansi.js'
+
+// `sessions` / `resume` — reopen chat sessions written by `save`. A restored
+// session replaces the current context; its lastResponseId continues the
+// server-side chain when the current provider+model produced it, otherwise
+// (or once the server has expired the chain) the next turn re-anchors from the
+// stored messages. Dialogue sessions stay in the dd menu.
+
+const chatSessions = () => listSessions().filter((meta) => meta.kind === 'chat')
+
+const oneLine = (text) => String(text || '').split('\n').join(' ').trim()
+
+const describe = (meta, index) => {
+  const where = [meta.provider, meta.model].filter(Boolean).join('/')
+  const details = [where, formatWhen(meta.updatedAt)].filter(Boolean).join(' · ')
+  return `  ${String(index + 1).padStart(3)}  ${ANSI.COLORS.WHITE}${meta.title}${ANSI.COLORS.RESET} ${ANSI.COLORS.GREY}${details}${ANSI.COLORS.RESET}`
+}
+
+const listAll = () => {
+  const saved = chatSessions()
+  if (saved.length === 0) {
+    return 'No saved chat sessions yet. Run "save" to keep a conversation.'
+  }
+  return `Chat sessions (${saved.length}):\n` + saved.map(describe).join('\n')
+}
+
+// "3" is the third row of `sessions list`; anything else matches titles.
+const findSession = (ref) => {
+  const { meta, matches } = matchSession(chatSessions(), ref)
+  if (meta) return { meta }
+  if (matches === 0) return { error: `No chat session matches "${ref}"` }
+  return { error: `"${ref}" matches ${matches} sessions — use its number from "sessions list"` }
+}
+
+// Ask with a menu when no reference was given.
+const pickSession = async (ref, title, context) => {
+  if (ref) return findSession(ref)
+  const saved = chatSessions()
+  if (saved.length === 0) return { error: 'No saved chat sessions yet' }
+  const index = await createNavigationMenu(
+    title,
+    saved.map((meta) => `${meta.title}  ${formatWhen(meta.updatedAt)}`),
+    0,
+    context,
+  )
+  if (index === APP_CONSTANTS.MENU_CANCELLED_INDEX) return { cancelled: true }
+  return { meta: saved[index] }
+}
+
+const snippet = (text, at, length) => {
+  const start = Math.max(0, at - Math.floor((SESSIONS.SNIPPET_LENGTH - length) / 2))
+  const piece = text.slice(start, start + SESSIONS.SNIPPET_LENGTH)
+  return `${start > 0 ? '…' : ''}${piece}${start + SESSIONS.SNIPPET_LENGTH < text.length ? '…' : ''}`
+}
+
+const search = (query) => {
+  if (!query) return 'Usage: sessions search <text>'
+  const wanted = query.toLowerCase()
+  const saved = chatSessions()
+  const lines = []
+  saved.forEach((meta, index) => {
+    const session = readSession(meta.id)
+    if (!session) return
+    if (meta.title.toLowerCase().includes(wanted)) {
+      lines.push(describe(meta, index))
+      return
+    }
+    for (const message of session.messages || []) {
+      const text = oneLine(message.content)
+      const at = text.toLowerCase().indexOf(wanted)
+      if (at !== -1) {
+        lines.push(describe(meta, index))
+        lines.push(`       ${ANSI.COLORS.GREY}${message.role}: ${snippet(text, at, query.length)}${ANSI.COLORS.RESET}`)
+        return
+      }
+    }
+  })
+  if (lines.length === 0) return `No chat session mentions "${query}"`
+  return lines.join('\n')
+}
+
+const syncNote = (sync) => (sync.ok ? ' (synced)' : ' (local only — sync unavailable)')
+
+const rename = async (ref, newTitle, context) => {
+  const found = await pickSession(ref, 'Rename which session?', context)
+  if (found.cancelled) return outputHandler.formatInfo('Cancelled')
+  if (found.error) return outputHandler.formatWarning(found.error)
+  const session = readSession(found.meta.id)
+  if (!session) return outputHandler.formatWarning('That session is no longer on disk')
+
+  const title = (newTitle || (await createTextInput('New title', session.title, context))).trim()
+  if (!title || title === session.title) return outputHandler.formatInfo('Title unchanged')
+
+  session.title = title
+  session.updatedAt = Date.now()
+  writeSession(session)
+  const sync = await syncSessions()
+  return outputHandler.formatSuccess(`Renamed to "${title}"${syncNote(sync)}`)
+}
+
+const remove = async (ref, context) => {
+  const found = await pickSession(ref, 'Delete which session?', context)
+  if (found.cancelled) return outputHandler.formatInfo('Cancelled')
+  if (found.error) return outputHandler.formatWarning(found.error)
+  const target = found.meta
+  const confirm = await createNavigationMenu(
+    `Delete "${target.title}"?`,
+    ['Cancel', 'Delete'],
+    0,
+    context,
+  )
+  if (confirm !== 1) return outputHandler.formatInfo('Cancelled')
+  markSessionDeleted(target.id)
+  removeSession(target.id)
+  const sync = await syncSessions()
+  return outputHandler.formatSuccess(`Deleted "${target.title}"${syncNote(sync)}`)
+}
+
+const exportOne = async (rest, context) => {
+  const options = parseExportArgs(rest)
+  if (options.error) {
+    return outputHandler.formatWarning(
+      `${options.error}\nUsage: sessions export [<n>|<title>] ${EXPORT_USAGE_OPTIONS}`,
+    )
+  }
+  const found = await pickSession(options.ref, 'Export which session?', context)
+  if (found.cancelled) return outputHandler.formatInfo('Cancelled')
+  if (found.error) return outputHandler.formatWarning(found.error)
+  const session = readSession(found.meta.id)
+  if (!session) return outputHandler.formatWarning('That session is no longer on disk')
+  try {
+    const written = exportSession(session, options)
+    return outputHandler.formatSuccess(`Exported "${session.title}" to ${written}`)
+  } catch (error) {
+    return outputHandler.formatError(`Could not write the export: ${error.message}`)
+  }
+}
+
+const resume = async (ref, context) => {
+  const found = await pickSession(ref, 'Resume which session?', context)
+  if (found.cancelled) return outputHandler.formatInfo('Cancelled')
+  if (found.error) return outputHandler.formatWarning(found.error)
+  const session = readSession(found.meta.id)
+  if (!session || !Array.isArray(session.messages)) {
+    return outputHandler.formatWarning('That session is no longer on disk')
+  }
+
+  context.conversation.restore(session.messages, {
+    provider: session.provider,
+    model: session.model,
+    lastResponseId: session.lastResponseId,
+  })
+
+  const turns = Math.floor(session.messages.length / 2)
+  const current = context.providers.getCurrent()
+  const currentKey = current && current.key ? current.key : ''
+  const chained = context.conversation.getLastResponseId()
+  const note = chained
+    ? 'continuing its server-side chain'
+    : `history is resent on the next message (saved on ${[session.provider, session.model].filter(Boolean).join('/')}, now ${[currentKey, context.models.getCurrent()].filter(Boolean).join('/')})`
+  const lastUser = [...session.messages].reverse().find((message) => message.role === 'user')
+  const recap = lastUser
+    ? `\n${ANSI.COLORS.GREY}  last: ${oneLine(lastUser.content).slice(0, SESSIONS.SNIPPET_LENGTH)}${ANSI.COLORS.RESET}`
+    : ''
+  return outputHandler.formatInfo(`Resumed "${session.title}" (${turns} turns) — ${note}`) + recap
+}
+
+const ACTIONS = {
+  list: async () => listAll(),
+  ls: async () => listAll(),
+  search: async (rest) => search(rest.join(' ').trim()),
+  rename: async (rest, context) => rename(rest[0] || '', rest.slice(1).join(' '), context),
+  rm: async (rest, context) => remove(rest.join(' ').trim(), context),
+  delete: async (rest, context) => remove(rest.join(' ').trim(), context),
+  export: exportOne,
+}
+
+export const SessionsCommand = {
+  async execute(args = [], context = {}) {
+    const sub = (args[0] || '').toLowerCase()
+    const action = ACTIONS[sub]
+    if (action) return await action(args.slice(1), context)
+    return await resume(args.join(' ').trim(), context)
+  },
+}
@@ -0,0 +1,192 @@
+import { spawnSync } from 'node:child_process'
+import { usageService } from '../../services/usage/index.js'
+import { sumTotals, emptyTotals, addTotals } from '../../services/usage/store.js'
+import { resolveGateway } from '../../services/config/gateway.js'
+import { USAGE } from '../../config/constants.js'
+import { ANSI } from '../../config/ansi.js'
+import { outputHandler } from '../../core/print/index.js'
+
+// Named windows for `usage <range>`; a bare number means that many days.
+const RANGES = {
+  today: 1,
+  week: 7,
+  month: 30,
+}
+
+const COLUMN = { LABEL: 28, NUMBER: 8 }
+
+// 1234 -> "1.2k", 2500000 -> "2.5M": token counts only need to be comparable.
+const compact = (n) => {
+  if (n >= 1000000) return `${(n / 1000000).toFixed(1)}M`
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`
+  return String(n)
+}
+
+const money = (totals) => {
+  const cost = `$${totals.cost.toFixed(4)}`
+  if (!totals.unpriced) return cost
+  const marker = `${ANSI.COLORS.YELLOW}+${totals.unpriced} unpriced${ANSI.COLORS.RESET}`
+  return totals.unpriced === totals.requests ? marker : `${cost} ${marker}`
+}
+
+const row = (label, totals) =>
+  [
+    `  ${label.padEnd(COLUMN.LABEL)}`,
+    String(totals.requests).padStart(4),
+    compact(totals.input).padStart(COLUMN.NUMBER),
+    compact(totals.cached).padStart(COLUMN.NUMBER),
+    compact(totals.output).padStart(COLUMN.NUMBER),
+    compact(totals.reasoning).padStart(COLUMN.NUMBER),
+    `  ${money(totals)}`,
+  ].join(' ')
+
+const header = () =>
+  `${ANSI.COLORS.GREY}${[
+    `  ${''.padEnd(COLUMN.LABEL)}`,
+    'req'.padStart(4),
+    'input'.padStart(COLUMN.NUMBER),
+    'cached'.padStart(COLUMN.NUMBER),
+    'output'.padStart(COLUMN.NUMBER),
+    'reason'.padStart(COLUMN.NUMBER),
+    '  cost',
+  ].join(' ')}${ANSI.COLORS.RESET}`
+
+// Most expensive first; token volume breaks ties between unpriced rows.
+const byCost = ([, a], [, b]) => b.cost - a.cost || b.input + b.output - (a.input + a.output)
+
+const table = (title, keyed) => {
+  const entries = Object.entries(keyed).sort(byCost)
+  const lines = entries.map(([key, totals]) => row(key, totals))
+  if (entries.length > 1) lines.push(row('total', sumTotals(keyed)))
+  return `${ANSI.COLORS.WHITE}${title}${ANSI.COLORS.RESET}\n${header()}\n${lines.join('\n')}`
+}
+
+const report = (title, bucket) => {
+  if (Object.keys(bucket.commands).length === 0) {
+    return `${ANSI.COLORS.WHITE}${title}${ANSI.COLORS.RESET}\n  no requests`
+  }
+  return [
+    table(`${title} — by command`, bucket.commands),
+    table(`${title} — by model`, bucket.models),
+  ].join('\n\n')
+}
+
+const ACCOUNT_FLAG = '--account'
+
+const percent = (used, limit) => `${Math.min(100, Math.round((used / limit) * 100))}%`
+
+// "today  12.3k tokens · 4 req · quota 100.0k (12%)"
+const accountLine = (label, totals, limit) => {
+  const used = totals.input + totals.output
+  const quota = limit === null ? 'no quota' : `quota ${compact(limit)} (${percent(used, limit)})`
+  return `  ${label.padEnd(12)}${compact(used).padStart(COLUMN.NUMBER)} tokens · ${totals.requests} req · ${quota}`
+}
+
+// Gateway rows are per UTC day and provider/model; prices come from the local
+// prices.toml, the same table the local report uses.
+const accountModels = (rows) => {
+  const keyed = {}
+  for (const row of rows) {
+    const key = `${row.provider}/${row.model}`
+    const priced = usageService.price({
+      provider: row.provider,
+      model: row.model,
+      usage: row,
+      requests: row.requests,
+    })
+    keyed[key] = addTotals(keyed[key] || emptyTotals(), { ...row, ...priced })
+  }
+  return keyed
+}
+
+// `usage --account [days]` — what the gateway metered for this login (every
+// device), with the account's quotas. Days are UTC on the gateway.
+const accountReport = async (days) => {
+  const gw = resolveGateway()
+  if (!gw) return 'Not logged in to a gateway. Run: ai login <gateway-url>'
+
+  let data
+  try {
+    const response = await fetch(`${gw.url}/usage?days=${days}`, {
+      headers: { authorization: `Bearer ${gw.token}` },
+    })
+    if (response.status === 401) return 'Session expired or invalid. Run: ai login'
+    if (response.status === 404) return 'This gateway does not meter usage yet (no /usage endpoint).'
+    if (!response.ok) return `Gateway: unexpected response (${response.status}).`
+    data = await response.json()
+  } catch (e) {
+    return 'Could not reach the gateway.'
+  }
+
+  const lines = [
+    `${ANSI.COLORS.WHITE}Gateway account (UTC)${ANSI.COLORS.RESET}`,
+    accountLine('today', data.today, data.quota.daily),
+    accountLine('this month', data.month, data.quota.monthly),
+  ]
+  const title = `Gateway account — ${windowTitle(data.days).toLowerCase()} by model`
+  const keyed = accountModels(data.rows)
+  const models = Object.keys(keyed).length === 0
+    ? `${ANSI.COLORS.WHITE}${title}${ANSI.COLORS.RESET}\n  no requests`
+    : table(title, keyed)
+  return `${lines.join('\n')}\n\n${models}${priceWarning()}`
+}
+
+const windowTitle = (days) => (days === 1 ? 'Today' : `Last ${days} days`)
+
+const priceWarning = () => {
+  const errors = usageService.getPriceErrors()
+  return errors.length > 0
+    ? `\n${ANSI.COLORS.YELLOW}${errors.length} prices.toml problem(s): ${errors[0]}${ANSI.COLORS.RESET}`
+    : ''
+}
+
+// Open prices.toml in the user's editor (created from the template first).
+// Headless there is no readline to pause.
+const openPrices = (context) => {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi'
+  const filePath = usageService.ensurePricesFile()
+
+  if (context) context.ui.pauseReadline()
+  outputHandler.showCursor()
+  const result = spawnSync(editor, [filePath], { stdio: 'inherit' })
+  if (context) context.ui.resumeReadline()
+
+  if (result.error) {
+    return `${ANSI.COLORS.RED}Could not launch editor "${editor}": ${result.error.message}${ANSI.COLORS.RESET}`
+  }
+  return `Prices saved (${filePath}) — they apply to requests from now on.${priceWarning()}`
+}
+
+// `usage` — this session plus the default window; `usage today|week|month|<days>`
+// — one window; `usage prices` — edit the price table; `usage --account [range]`
+// — the gateway's metering for this login.
+export const UsageCommand = {
+  async execute(args = [], context = null) {
+    const sub = (args[0] || '').toLowerCase()
+    if (sub === 'prices') {
+      return openPrices(context)
+    }
+    if (sub === ACCOUNT_FLAG) {
+      const range = (args[1] || '').toLowerCase()
+      const days = RANGES[range] || Number.parseInt(range, 10) || USAGE.DEFAULT_RANGE_DAYS
+      if (range && !(days > 0)) return `Usage: usage ${ACCOUNT_FLAG} [today|week|month|<days>]`
+      return await accountReport(days)
+    }
+
+    const days = RANGES[sub] || Number.parseInt(sub, 10) || null
+    if (sub && !(days > 0)) {
+      return `Usage: usage [today|week|month|<days>|prices|${ACCOUNT_FLAG}]`
+    }
+
+    const sections = []
+    if (!days) {
+      const session = usageService.getSessionTotals()
+      if (Object.keys(session.commands).length > 0) {
+        sections.push(report('This session', session))
+      }
+    }
+    const range = days || USAGE.DEFAULT_RANGE_DAYS
+    sections.push(report(windowTitle(range), usageService.getRangeTotals(range)))
+    return `${sections.join('\n\n')}${priceWarning()}`
+  },
+}
@@ -21,7 +21,18 @@ export const ANSI = {
     LIGHT_GOLDENROD: '\x1b[38;5;222m',
     GREY: '\x1b[90m',
     WHITE: '\x1b[37m',
-    BLUE: '\x1b[34m'
+    BLUE: '\x1b[34m',
+    MAGENTA: '\x1b[35m'
+  },
+
+  /**
+   * Text attributes (markdown rendering)
+   */
+  STYLES: {
+    DIM: '\x1b[2m',
+    ITALIC: '\x1b[3m',
+    UNDERLINE: '\x1b[4m',
+    STRIKE: '\x1b[9m'
   },
 
   /**
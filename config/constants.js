@@ -1,6 +1,5 @@
 export const APP_CONSTANTS = {
   MAX_INPUT_LENGTH: 30000, // Maximum length of user input
-  MAX_CONTEXT_HISTORY: 16, // Maximum number of messages in context
   MAX_LINKS_TO_DISPLAY: 20, // Maximum number of links to display from web pages
   MAX_CONTENT_LENGTH: 25000, // Maximum length of content to extract from web pages
 
@@ -12,6 +11,7 @@ export const APP_CONSTANTS = {
   CACHE_ENABLED: false, // Temporarily disabled - will implement history/conversation saving later
 
   CLIPBOARD_MARKER: '$$',
+  CLIPBOARD_TIMEOUT: 5000, // 5 seconds for a clipboard read or write
 
   SYSTEM_PROMPTS: {
     DISABLE_MARKDOWN:
@@ -37,19 +37,104 @@ export const USER_CONFIG = {
   LEGACY_DB: 'commands.db', // pre-TOML sqlite store, migrated once then renamed
   BACKUP_SUFFIX: '.bak',
   SESSIONS_DIR: 'sessions', // saved conversation records (JSON, machine-managed)
+  USAGE_FILE: 'usage.json', // per-day token/cost totals (machine-managed)
+  PRICES_FILE: 'prices.toml', // user-editable price table for usage costs
+  FIXTURES_DIR: 'fixtures', // recorded raw streams replayed by the mock provider
+  SERVE_TOKEN_FILE: 'serve-token', // bearer token for `ai serve` (created on first serve)
+  MODELS_CACHE_FILE: 'models.json', // last listed model ids per provider, for shell completion
+  HISTORY_FILE: 'history', // REPL input history per scope (JSON, machine-managed)
+}
+
+// Offline mock provider (type = "mock" in config.toml).
+export const MOCK = {
+  MODEL: 'mock-model', // offered when the config names no models
+  DELAY_MS: 15, // pause between streamed pieces, so ESC and spinners behave live
+  CHARS_PER_TOKEN: 4, // rough estimate for the usage a scripted answer reports
+}
+
+export const USAGE = {
+  PRICE_UNIT: 1000000, // prices.toml quotes USD per million tokens
+  RETENTION_DAYS: 400, // older daily totals are dropped on write
+  CHAT_COMMAND: 'chat', // bucket for plain chat (no instruction command)
+  DEFAULT_RANGE_DAYS: 7, // `usage` with no argument summarizes this window
+}
+
+// Conversation context is kept under a token budget (estimated locally); past
+// it, the older turns are compacted into one model-written summary.
+export const CONTEXT = {
+  DEFAULT_BUDGET: 12000, // tokens, for models missing from MODEL_BUDGETS
+  // Longest matching model-id prefix wins; config.toml contextBudget overrides.
+  MODEL_BUDGETS: {
+    'gpt-4.1': 24000,
+    'gpt-4o': 16000,
+    'gpt-5': 24000,
+    o3: 24000,
+    'o4-mini': 16000,
+    'deepseek-chat': 16000,
+    'deepseek-reasoner': 16000,
+    'claude-': 24000,
+  },
+  RECENT_SHARE: 0.5, // newest turns kept verbatim may fill up to this share of the budget
+  MESSAGE_OVERHEAD: 4, // role/framing tokens per message
+  // Characters per token by script — a tokenizer-free estimate
+  CHARS_PER_TOKEN: { LATIN: 4, CJK: 1, OTHER: 2 },
+  CJK_RANGES: [
+    [0x3040, 0x30ff], // Hiragana, Katakana
+    [0x3400, 0x4dbf], // CJK Extension A
+    [0x4e00, 0x9fff], // CJK Unified Ideographs
+    [0xac00, 0xd7af], // Hangul syllables
+    [0xf900, 0xfaff], // CJK Compatibility Ideographs
+    [0xff00, 0xffef], // Fullwidth forms
+  ],
+  SUMMARY_WORDS: 250,
+  SUMMARY_INSTRUCTIONS:
+    'Summarize the conversation below so it can replace it as context for continuing the chat. Keep facts, names, numbers, decisions, open questions and the user\'s preferences; drop pleasantries. Write in the language of the conversation, at most {words} words, as plain prose without a preamble.',
+  SUMMARY_PREFIX: 'Summary of our earlier conversation:',
+  SUMMARY_ACK: 'Understood — I will continue from that summary.',
+  USAGE_TAG: 'summary', // usage bucket for compaction requests
 }
 
 export const SESSIONS = {
   TITLE_MAX_LENGTH: 48, // auto-proposed title cut-off
   MAX_ROW_BYTES: 400000, // per-session sync payload guard (gateway caps POST at 512KB)
+  SNIPPET_LENGTH: 60, // `sessions search` context shown around a hit
+  EXPORT_DEFAULT_FORMAT: 'md', // `sessions export` / `dd export`: md, html or csv
 }
 
 // Stateful dialogue-translation mode (dd). Templates use {a}/{b}/{pivot}
 // placeholders — filled at runtime, languages never hardcoded in logic.
 export const DIALOGUE = {
   DEFAULT_PAIR: ['Russian', 'Chinese'],
-  LANGUAGES: ['Russian', 'English', 'Chinese'], // selectable set; the pair menu derives every combination
-  LANGUAGE_CODES: { ru: 'Russian', en: 'English', zh: 'Chinese' }, // quick form `dd ru en`; unknown args pass through
+  // Built-in languages by code (the `dd ru en` quick form). `name` is what the
+  // prompts and the pair menu say; `scripts` are the code-point ranges the
+  // language is written in, used to name the target outright instead of making
+  // the model infer the direction. Where a script is shared, `marks` are the
+  // characters only that language writes (kana; Kyrgyz ң ү ө; Ukrainian і ї є ґ)
+  // and settle the tie. config.toml [dialogue.languages.<code>] adds languages
+  // or overrides these. Ranges, not regex; a language without ranges is simply
+  // not detectable and the prompt falls back to the infer-the-direction wording.
+  LANGUAGES: {
+    ru: { name: 'Russian', scripts: [[0x0400, 0x04ff]] },
+    en: { name: 'English', scripts: [[0x41, 0x5a], [0x61, 0x7a]] },
+    zh: { name: 'Chinese', scripts: [[0x3400, 0x4dbf], [0x4e00, 0x9fff]] },
+    ja: {
+      name: 'Japanese',
+      scripts: [[0x3040, 0x30ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xff66, 0xff9f]],
+      marks: [[0x3040, 0x30ff], [0xff66, 0xff9f]],
+    },
+    ko: { name: 'Korean', scripts: [[0x1100, 0x11ff], [0x3130, 0x318f], [0xac00, 0xd7af]] },
+    ar: { name: 'Arabic', scripts: [[0x0600, 0x06ff], [0x0750, 0x077f], [0x08a0, 0x08ff]] },
+    ky: {
+      name: 'Kyrgyz',
+      scripts: [[0x0400, 0x04ff]],
+      marks: [[0x04a2, 0x04a3], [0x04ae, 0x04af], [0x04e8, 0x04e9]],
+    },
+    uk: {
+      name: 'Ukrainian',
+      scripts: [[0x0400, 0x04ff]],
+      marks: [[0x0404, 0x0404], [0x0406, 0x0407], [0x0454, 0x0454], [0x0456, 0x0457], [0x0490, 0x0491]],
+    },
+  },
 
   // dd pins its own model rather than riding the global current one. Measured
   // 2026-07-13 over 90 turns of two very different conversations: gpt-5.6-luna
@@ -60,15 +145,17 @@ export const DIALOGUE = {
   // so it stays and the model must be strong enough to carry it.
   MODEL: 'gpt-5.6-luna',
 
-  // Code-point ranges per language, used to name the target language outright
-  // instead of making the model infer the direction. Ranges, not regex.
-  // A language absent from this table is simply not detectable -> prompt falls
-  // back to the infer-the-direction wording.
-  LANGUAGE_SCRIPTS: {
-    Russian: [[0x0400, 0x04ff]],
-    English: [[0x41, 0x5a], [0x61, 0x7a]],
-    Chinese: [[0x4e00, 0x9fff]],
-  },
+  // On a chat/completions provider there is no server-side chain: each request
+  // resends the last LOCAL_WINDOW_TURNS turns, and once LOCAL_SUMMARY_BATCH more
+  // have piled up past them, those are folded into a rolling summary that rides
+  // in the instructions — the names, genders and terms the chain would carry.
+  LOCAL_WINDOW_TURNS: 8,
+  LOCAL_SUMMARY_BATCH: 4,
+  LOCAL_SUMMARY_WORDS: 200,
+  LOCAL_SUMMARY_INSTRUCTIONS:
+    'You keep the notes of a relayed {a} ⇄ {b} dialogue for the translator who continues it. Update the notes below with the new turns: who the speakers are (names, gender as their grammar shows), the terms established for recurring concepts with their translation in both languages, and the topic and open questions. Write in English, at most {words} words, as plain notes without a preamble.',
+  LOCAL_SUMMARY_CLAUSE: 'Notes on the earlier part of this dialogue (its older turns are not shown): {summary}',
+  MAX_CODE_POINT: 0x10ffff, // bound for the ranges config.toml may declare
   PIVOT_LANGUAGE: 'English',
   // Off by default: measured 2026-07-12 on gpt-5.4-mini, the pivot cost 1.4-3.3x
   // the wall-clock and drifted meaning (the English leg rephrases, the second leg
@@ -77,7 +164,58 @@ export const DIALOGUE = {
   PIVOT_LABEL: 'en', // per-turn leg1 marker (source -> pivot)
   TARGET_LABEL: '->', // final translation marker (direction is model-detected)
   PROMPT: '[dialogue] ', // in-mode prompt (dd is only the launch keyword)
+  HISTORY_SCOPE: 'dd', // in-mode lines have their own input history
   SETTINGS_FILE: 'dialogue.json', // persisted defaults under the user config dir
+  // Speaker attribution for group chats: "@Name text" names any speaker (and adds
+  // them to the participants); "Name: text" only a known participant, so an
+  // ordinary "Note: ..." is never taken for a name. A participant entry may carry
+  // a hint in parentheses — "Lena (female)" — which goes into the prompt.
+  SPEAKER_MENTION: '@',
+  SPEAKER_SEPARATORS: [':', '：'],
+  SPEAKER_NAME_MAX: 32,
+  SPEAKER_HINT_OPEN: ' (',
+  // `dd follow <file>`: poll a chat log for appended lines. A format is a list
+  // of line templates tried in order (services/dialogue/follow.js); config.toml
+  // [dialogue.formats] adds named ones. `wow` reads WoWChatLog.txt (/chatlog).
+  FOLLOW_POLL_MS: 500,
+  FOLLOW_MAX_READ_BYTES: 1024 * 1024, // per poll; a bigger burst is read over several
+  FOLLOW_DEFAULT_FORMAT: 'speaker',
+  FOLLOW_FORMATS: {
+    plain: ['{text}'],
+    speaker: ['{speaker}: {text}', '{text}'],
+    wow: [
+      '{time}  [{channel}] {speaker}: {text}',
+      '{time}  {speaker} says: {text}',
+      '{time}  {speaker} yells: {text}',
+      '{time}  {speaker} whispers: {text}',
+    ],
+  },
+  // `dd watch`: poll the clipboard and relay each newly copied text. A re-copy
+  // of the message just relayed, or the translation written back with --copy,
+  // is not sent again.
+  WATCH_POLL_MS: 1000,
+  // Glossary (dd settings): fixed translations, global and per dialogue. Only
+  // the entries a message contains are appended to its instructions, and each
+  // turn is checked for them afterwards.
+  GLOSSARY_ARROWS: ['→', '->', '='], // the first is how entries are shown
+  // An empty answer keeps the list shown in the prompt; one of these empties it
+  CLEAR_ANSWERS: ['-', 'none'],
+  GLOSSARY_CLAUSE:
+    'Glossary — these renderings are fixed and override any other wording: {entries}.',
+  // Back-translation check (dd settings, off by default — it costs a leg per
+  // turn): the translation is translated back into the source language on an
+  // unstored leg forked off the turn's parent, and the model ends with a verdict
+  // line. A translation detected in the source language is flagged without the
+  // extra leg.
+  VERIFY_ENABLED: false,
+  VERIFY_LABEL: 'back', // per-turn marker of the back-translation leg
+  VERIFY_OK: 'VERDICT: OK',
+  VERIFY_DRIFT: 'VERDICT: DRIFT',
+  VERIFY_INSTRUCTIONS:
+    'You check a translation in a relayed dialogue between a {a} speaker and a {b} speaker. The user message gives a translation and the original it was made from. First translate the translation back into {target} as literally as you can, as if you had not seen the original, and output that back-translation alone. Then compare its meaning with the original and end with one more line: "{ok}" if the meaning matches, or "{drift}: <what changed, in a few words>" if anything was added, lost or changed (names, numbers, negation, who does what to whom). Output nothing else.',
+  PARTICIPANTS_CLAUSE: 'The participants of this dialogue are: {participants}.',
+  SPEAKER_CLAUSE:
+    'The user message starts with its speaker\'s name ("{speaker}: "). Keep {speaker}\'s gender agreement, voice and established terminology consistent with their earlier messages. Do not output the name — output only the translation of the message.',
   // All templates share two measured clauses (2026-07-14, luna, live cases):
   // 1. term mirroring — "preserving the terminology" was too weak: the reply to
   //    an interlocutor who said 位面 rendered «слой» as the literal 层 in 4/10
@@ -100,9 +238,85 @@ export const DIALOGUE = {
     'You relay a live dialogue between a {a} speaker and a {b} speaker. You are given an original message and its {pivot} translation. Produce the final translation into {target}. Rely on the {pivot} version, checking the original for nuance. When this dialogue has already established a term for a concept — especially the other speaker\'s own wording — reuse that established {target} term instead of a more literal alternative. Write the entire translation in {target}: never leave source-language words or characters untranslated. Latin-script names, codes and identifiers stay as they are. Output nothing but the {target} translation.',
 }
 
+// Terminal markdown rendering (core/print/markdown.js)
+export const MARKDOWN = {
+  BULLET: '•',
+  GUTTER: '│ ', // left edge of code blocks and quotes
+  RULE: '─',
+  RULE_MAX_WIDTH: 60, // horizontal rules stop here even on wide terminals
+  TABLE_SEPARATOR: ' │ ',
+  // Comment openers per fenced-code language; unknown languages try them all.
+  COMMENTS: {
+    js: ['//'], javascript: ['//'], ts: ['//'], typescript: ['//'], jsx: ['//'], tsx: ['//'],
+    java: ['//'], c: ['//'], cpp: ['//'], cs: ['//'], go: ['//'], rust: ['//'], rs: ['//'],
+    swift: ['//'], kotlin: ['//'], php: ['//', '#'],
+    python: ['#'], py: ['#'], sh: ['#'], bash: ['#'], zsh: ['#'], shell: ['#'],
+    ruby: ['#'], rb: ['#'], yaml: ['#'], yml: ['#'], toml: ['#'], ini: [';', '#'],
+    sql: ['--'], lua: ['--'], haskell: ['--'],
+  },
+  DEFAULT_COMMENTS: ['//', '#', '--'],
+  // One shared keyword set: "basic highlighting" across the usual languages.
+  KEYWORDS: [
+    'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export',
+    'extends', 'false', 'False', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go',
+    'if', 'impl', 'import', 'in', 'interface', 'is', 'lambda', 'let', 'match', 'mut', 'new',
+    'nil', 'None', 'not', 'null', 'of', 'or', 'package', 'pass', 'pub', 'raise', 'return',
+    'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'trait', 'true', 'True',
+    'try', 'type', 'typeof', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+    'SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 'JOIN', 'ORDER', 'GROUP', 'BY',
+  ],
+}
+
+// Multi-line REPL input (""" blocks, Alt+Enter, `edit`)
+export const COMPOSER = {
+  FENCE: '"""', // opens and closes a block
+  CONTINUATION_PROMPT: '… ', // prompt for the lines after the first
+  TEMP_PREFIX: 'openai-cli-', // temp dir for `edit` (removed afterwards)
+  TEMP_FILE: 'prompt.md',
+}
+
+// REPL input history: persisted per scope (the main prompt, `dd`), newest
+// first, each line kept once. Up/Down and Ctrl+R search the current scope.
+export const HISTORY = {
+  MAX_ENTRIES: 500, // per scope; the oldest are dropped
+  MAIN_SCOPE: 'main',
+  // Lines that are never remembered: anything that looks like a credential —
+  // a word starting with a known key prefix, or "<keyword>=" / "<keyword>:"
+  SECRET_PREFIXES: ['sk-', 'ghp_', 'gho_', 'ghs_', 'github_pat_', 'xoxb-', 'xoxp-', 'AKIA', 'AIza', 'eyJ'],
+  SECRET_MIN_LENGTH: 20, // a prefixed word shorter than this is ordinary text
+  SECRET_KEYWORDS: ['password', 'passwd', 'secret', 'api_key', 'apikey', 'api-key', 'token', 'authorization'],
+  SEARCH_LABEL: 'reverse-i-search',
+  SEARCH_FAILED_LABEL: 'failed reverse-i-search',
+}
+
+// Local HTTP API (`ai serve`): loopback only, bearer-token guarded.
+export const SERVE = {
+  HOST: '127.0.0.1',
+  PORT: 8787,
+  TOKEN_ENV: 'OPENAI_CLI_SERVE_TOKEN', // overrides the token file
+  TOKEN_BYTES: 24,
+  MAX_BODY_BYTES: 256 * 1024,
+  CHAT_SESSION_TTL_MS: 6 * 60 * 60 * 1000, // idle in-memory /chat sessions are dropped
+}
+
+// `ai batch`: one command over every line/record/row of a file (core/batch)
+export const BATCH = {
+  CONCURRENCY: 4, // requests in flight; the provider rate limit still applies
+  RETRIES: 2, // extra attempts per item after a failure
+  RETRY_DELAY_MS: 2000, // doubled on each further attempt
+  JSONL_FIELD: 'text', // the record field sent by default
+}
+
 export const EXIT_CODES = {
   SUCCESS: 0,
   ERROR: 1,
+  // One-shot failures a script can branch on (see failureKind)
+  INVALID: 2, // bad flags, unknown command/provider/session, nothing to send
+  AUTH: 3, // no credentials, or the provider/gateway rejected them
+  NETWORK: 4, // the provider could not be reached
+  QUOTA: 5, // quota used up or rate-limited
+  PARTIAL: 6, // a multi-model command where some models answered and some failed
   SIGINT: 130, // 128 + SIGINT(2), conventional shell code for Ctrl+C
 }
 
@@ -125,6 +339,13 @@ export const CLIPBOARD_COMMANDS = {
   [SUPPORTED_PLATFORMS.WIN32]: 'powershell.exe -command "Get-Clipboard"',
 }
 
+// The text to copy arrives on stdin
+export const CLIPBOARD_WRITE_COMMANDS = {
+  [SUPPORTED_PLATFORMS.DARWIN]: 'pbcopy',
+  [SUPPORTED_PLATFORMS.LINUX]: 'xclip -selection clipboard -i',
+  [SUPPORTED_PLATFORMS.WIN32]: 'powershell.exe -command "Set-Clipboard -Value ([Console]::In.ReadToEnd())"',
+}
+
 export const BROWSER_COMMANDS = {
   [SUPPORTED_PLATFORMS.DARWIN]: 'open',
   [SUPPORTED_PLATFORMS.LINUX]: 'xdg-open',
@@ -11,6 +11,23 @@ export const PROVIDER_API = {
   RESPONSES: 'responses',
 }
 
+// Client implementations registered in the provider factory. A built-in
+// provider is created under its own id; a user-declared one (config.toml)
+// names the implementation it speaks through its `type`.
+export const PROVIDER_TYPES = {
+  OPENAI: 'openai', // OpenAI SDK: chat/completions or Responses (see PROVIDER_API)
+  ANTHROPIC: 'anthropic',
+  MOCK: 'mock', // offline: scripted answers or replayed fixtures, no network
+}
+
+// Which real stream a mock provider imitates. Responses and chat are the two
+// OpenAI-SDK shapes (the mock's `api` follows from it); anthropic is raw SSE.
+export const MOCK_WIRES = {
+  RESPONSES: 'responses',
+  CHAT: 'chat',
+  ANTHROPIC: 'anthropic',
+}
+
 export const PROVIDERS = {
   deepseek: {
     name: 'DeepSeek',
@@ -31,12 +31,31 @@ export const SYSTEM_COMMANDS = {
     usage: 'save [title]',
   },
 
+  sessions: {
+    aliases: ['resume'],
+    handler: 'SessionsCommand',
+    filePath: '../commands/system/sessions.js',
+    description: 'Resume a saved chat session; list, search, rename, export or delete them',
+    usage: 'sessions [<n>|<title>] | sessions list|search <text>|rename <n> [title]|rm <n>|export <n> [--format md|html|csv] [--out <file>]',
+  },
+
   dd: {
     aliases: ['dialogue'],
     handler: 'DialogueCommand',
     filePath: '../commands/system/dialogue.js',
     description: 'Dialogue-translation mode (stateful, resumable; in-mode: settings)',
-    usage: 'dd [ru zh] | dd rm',
+    usage: 'dd [ru zh] | dd rm | dd export [<title>] [--format md|html|csv] [--out <file>] | dd follow <file> [--format <name>] [--out <file>] | dd watch [--copy] | ai dd --session <id|title> "text"',
+    oneShot: true, // only `ai dd --session`; see DialogueCommand
+  },
+
+  usage: {
+    aliases: [],
+    handler: 'UsageCommand',
+    filePath: '../commands/system/usage.js',
+    description:
+      'Token usage and cost per command and model; "usage prices" edits the price table, "usage --account" shows the gateway account and its quota',
+    usage: 'usage [today|week|month|<days>|prices] | usage --account [<days>]',
+    oneShot: true,
   },
 
   exit: {
@@ -55,6 +74,14 @@ export const SYSTEM_COMMANDS = {
     usage: 'cmd [list]',
   },
 
+  edit: {
+    aliases: ['e'],
+    handler: 'EditCommand',
+    filePath: '../commands/system/edit.js',
+    description: 'Compose a multi-line prompt in your $EDITOR, then send it (""" blocks and Alt+Enter work inline)',
+    usage: 'edit [command key]',
+  },
+
   config: {
     aliases: ['cfg'],
     handler: 'ConfigCommand',
@@ -28,7 +28,8 @@ export const createRouter = (dependencies = {}) => {
         instruction: analysis.instructionCommand.instruction,
         commandId: analysis.instructionCommand.id,
         models: analysis.instructionCommand.models || [],
-        context: analysis.instructionCommand.context === true
+        context: analysis.instructionCommand.context === true,
+        markdown: analysis.instructionCommand.markdown
       })
 
       // Route based on model count (moved from CommandHandler)
@@ -93,7 +94,8 @@ export const createRouter = (dependencies = {}) => {
       instruction: options.instruction || null,
       commandId: options.commandId || null,
       models: options.models || [],
-      context: options.context === true
+      context: options.context === true,
+      markdown: typeof options.markdown === 'boolean' ? options.markdown : null
     }
   }
 
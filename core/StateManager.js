@@ -1,9 +1,16 @@
 import { logger } from '../utils/logger.js'
 import { createProviderFactory } from '../utils/providers/factory.js'
 import { configService } from '../services/config/index.js'
+import { cacheModels } from '../services/config/models-cache.js'
 import { APP_CONSTANTS } from '../config/constants.js'
-import { createConversationStrategy } from './conversation/index.js'
-import { createBaseError, isGatewaySessionError, AUTH_EXPIRED_MESSAGE } from './error-system/index.js'
+import { createConversationStrategy, createChainPointers } from './conversation/index.js'
+import {
+  createBaseError,
+  isGatewaySessionError,
+  isGatewayQuotaError,
+  quotaExceededMessage,
+  AUTH_EXPIRED_MESSAGE,
+} from './error-system/index.js'
 import { EventEmitter } from 'node:events'
 
 // Event emitter for StateManager events (Single Source of Truth)
@@ -38,13 +45,14 @@ function createStateManager() {
   }
 
   // Context and conversation history.
-  // lastResponseId = server-side chain pointer (Responses API previous_response_id).
-  // Valid ONLY while contextHistory is untouched by non-chained writers: ANY
-  // addToContext call nulls it, and the chained chat path re-sets it afterwards.
+  // revision counts history writes; chainPointers holds the server-side chain
+  // pointer (Responses API previous_response_id) per provider, each valid ONLY
+  // for the revision it was captured at: ANY addToContext call moves the
+  // revision on, and the chained chat path records a fresh pointer afterwards.
   const contextState = {
     contextHistory: [],
-    maxContextHistory: APP_CONSTANTS.MAX_CONTEXT_HISTORY,
-    lastResponseId: null,
+    revision: 0,
+    chainPointers: createChainPointers(),
   }
 
 
@@ -61,10 +69,17 @@ function createStateManager() {
     if (!config) {
       throw new Error(`Unknown provider: ${providerId}`)
     }
-    if (!config.token && !process.env[config.apiKeyEnv]) {
-      throw new Error(`${config.name} not configured (needs a gateway token or ${config.apiKeyEnv})`)
+    if (!configService.isConfigured(providerId)) {
+      // 401: missing credentials are an auth failure to callers that branch on it
+      throw createBaseError(
+        `${config.name} not configured (needs a gateway token or ${config.apiKeyEnv})`,
+        false,
+        401,
+      )
     }
-    const instance = providerFactory.createProvider(providerId, config)
+    // A built-in provider is registered under its own id; a config.toml-declared
+    // one names the implementation it speaks (config/providers.js PROVIDER_TYPES).
+    const instance = providerFactory.createProvider(config.type || providerId, config)
     await instance.initializeClient()
     return { instance, config }
   }
@@ -88,6 +103,7 @@ function createStateManager() {
       logger.debug(`StateManager: Lazy-loading provider ${providerId}`)
       const { instance, config } = await createProviderInstance(providerId)
       const models = await instance.listModels()
+      cacheModels(providerId, models)
       providerData = { instance, config, models }
       aiState.providers.set(providerId, providerData)
     }
@@ -95,20 +111,30 @@ function createStateManager() {
     return providerData
   }
 
-  // Fast provider setup for one-shot mode: create the client but skip listModels().
-  // The request path then cache-hits this entry instead of doing a network round-trip.
+  // Fast provider setup for one-shot mode: create the client but skip listModels()
+  // when the model is known. The request path then cache-hits this entry instead
+  // of doing a network round-trip.
   async function primeProvider(providerId, model = null) {
     let providerData = aiState.providers.get(providerId)
+    const declared = configService.getProviderConfig(providerId) || {}
+    if (!providerData && !model && !declared.defaultModel) {
+      // A provider declared without defaultModel: load its list and take the
+      // first model, as switchProvider does
+      providerData = await ensureProviderInitialized(providerId)
+    }
     if (!providerData) {
       const { instance, config } = await createProviderInstance(providerId)
       providerData = { instance, config, models: [] }
       aiState.providers.set(providerId, providerData)
     }
 
+    const first = providerData.models[0]
+    const fallback = first ? (typeof first === 'string' ? first : first.id) : null
+
     updateAIProvider({
       instance: providerData.instance,
       key: providerId,
-      model: model || providerData.config.defaultModel,
+      model: model || providerData.config.defaultModel || fallback,
       models: providerData.models,
       config: providerData.config,
     })
@@ -371,18 +397,14 @@ function createStateManager() {
   // === Context Management ===
 
   function addToContext(role, content) {
-    // Any history write invalidates the chain pointer by default — the chained
-    // chat path re-sets it via setLastResponseId after recording its turn.
-    contextState.lastResponseId = null
+    // Any history write invalidates every chain pointer by default — the
+    // chained chat path re-sets its own via setLastResponseId after recording
+    // its turn.
+    contextState.revision++
+    // No count cap: the history is held to a token budget by compaction
+    // (core/conversation/compaction.js) right before it is next sent
     contextState.contextHistory.push({ role, content })
 
-    // Trim history if too long
-    if (contextState.contextHistory.length > contextState.maxContextHistory) {
-      contextState.contextHistory = contextState.contextHistory.slice(
-        -contextState.maxContextHistory,
-      )
-    }
-
     stateManagerEvents.emit('context-updated', {
       role,
       content,
@@ -392,7 +414,8 @@ function createStateManager() {
 
   function clearContext() {
     contextState.contextHistory = []
-    contextState.lastResponseId = null
+    contextState.revision++
+    contextState.chainPointers.clear()
     stateManagerEvents.emit('context-cleared', {})
   }
 
@@ -400,17 +423,47 @@ function createStateManager() {
     return [...contextState.contextHistory]
   }
 
+  // Replace the conversation: a saved one (sessions/resume) or a compacted
+  // one. A given chain pointer is pinned to the provider+model that produced
+  // it, so it is handed out only while both are current; without one (or on a
+  // mismatch) the next turn re-anchors from this history.
+  function restoreContext(messages, { provider = null, model = null, lastResponseId = null } = {}) {
+    contextState.contextHistory = messages.map(({ role, content }) => ({ role, content }))
+    contextState.revision++
+    contextState.chainPointers.clear()
+    if (provider && lastResponseId) {
+      contextState.chainPointers.record(provider, {
+        token: lastResponseId,
+        model,
+        revision: contextState.revision,
+      })
+    }
+    stateManagerEvents.emit('context-restored', {
+      historyLength: contextState.contextHistory.length,
+    })
+  }
+
+  // The chain pointer the CURRENT provider+model may continue from, or null —
+  // after a provider/model switch or a foreign history write the chat path
+  // then re-anchors from contextHistory (see createChainPointers).
   function getLastResponseId() {
-    return contextState.lastResponseId
+    return contextState.chainPointers.resolve(aiState.currentProviderKey, {
+      model: aiState.currentModel,
+      revision: contextState.revision,
+    })
   }
 
   function setLastResponseId(responseId) {
-    contextState.lastResponseId = responseId || null
+    contextState.chainPointers.record(aiState.currentProviderKey, {
+      token: responseId,
+      model: aiState.currentModel,
+      revision: contextState.revision,
+    })
   }
 
   // Conversation strategy for a provider: HOW multi-turn context is carried
   // (Responses chaining vs full-history resend). The policy lives in the
-  // strategy — StateManager only stores the continuation pointer. Defaults to
+  // strategy — StateManager only stores the per-provider pointers. Defaults to
   // the current provider; callers that pin their own (dialogue mode) pass its
   // key. Built fresh per call from the effective config — `api` is runtime-
   // mutable (config command edits + reload), so caching here would freeze the
@@ -438,19 +491,25 @@ function createStateManager() {
 
   // === Create AI completion (main operation) ===
 
+  // markdown: a command's own choice (true/false); null falls back to the
+  // provider's flag. Answers are rendered in the terminal either way, so
+  // plain text is a preference, not a necessity.
   async function createChatCompletion(
     messages,
     options = {},
     providerModel = null,
+    markdown = null,
   ) {
     // Determine provider key for markdown setting
     const providerKey = providerModel
       ? providerModel.provider
       : aiState.currentProviderKey
 
-    // Check if markdown should be disabled for this provider
+    // Check if markdown should be disabled for this request
     const providerConfig = configService.getProviderConfig(providerKey)
-    if (providerConfig && !providerConfig.markdown) {
+    const wantsMarkdown =
+      typeof markdown === 'boolean' ? markdown : Boolean(providerConfig && providerConfig.markdown)
+    if (providerConfig && !wantsMarkdown) {
       // Add system prompt to disable markdown
       messages = [
         {
@@ -482,6 +541,9 @@ function createStateManager() {
           evictGatewayProviders()
           throw createBaseError(AUTH_EXPIRED_MESSAGE, true, 401, error)
         }
+        if (isGatewayQuotaError(error)) {
+          throw createBaseError(quotaExceededMessage(error), true, 429, error)
+        }
         logger.debug(
           `StateManager: Chat completion failed for current model ${aiState.currentModel}:`,
           error,
@@ -516,6 +578,9 @@ function createStateManager() {
         evictGatewayProviders()
         throw createBaseError(AUTH_EXPIRED_MESSAGE, true, 401, error)
       }
+      if (isGatewayQuotaError(error)) {
+        throw createBaseError(quotaExceededMessage(error), true, 429, error)
+      }
       logger.debug(
         `StateManager: Chat completion failed for ${targetProviderKey}:${targetModel}:`,
         error,
@@ -563,6 +628,7 @@ function createStateManager() {
     addToContext,
     clearContext,
     getContextHistory,
+    restoreContext,
     getLastResponseId,
     setLastResponseId,
     getConversationStrategy,
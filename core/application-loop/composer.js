@@ -0,0 +1,98 @@
+import { COMPOSER } from '../../config/constants.js'
+
+// Multi-line prompt composer. Collects REPL lines into one input before it
+// reaches the Router (or an active mode):
+//   - a line starting with """ opens a block that runs until a line ending
+//     with """ ("""one line""" is a block of one);
+//   - Alt+Enter submits the current line as a continuation, plain Enter then
+//     finishes the text;
+//   - `edit` queues text composed in $EDITOR for the next loop turn.
+// accept() returns the finished text, or null while composition continues.
+export const createComposer = () => {
+  const state = {
+    lines: [],
+    block: false,
+    continued: false, // set by Alt+Enter right before its line arrives
+    queued: null,
+  }
+
+  const reset = () => {
+    state.lines = []
+    state.block = false
+    state.continued = false
+  }
+
+  // A composition that ends up blank sends nothing — null, not '' (an empty
+  // line would clear the context)
+  const finish = () => {
+    const text = state.lines.join('\n')
+    reset()
+    return text.trim() ? text : null
+  }
+
+  const closeBlock = (line) => {
+    const body = line.trimEnd().slice(0, -COMPOSER.FENCE.length)
+    if (body.trim()) state.lines.push(body)
+    return finish()
+  }
+
+  const openBlock = (line) => {
+    const rest = line.trimStart().slice(COMPOSER.FENCE.length)
+    state.block = true
+    if (rest.trimEnd().endsWith(COMPOSER.FENCE)) return closeBlock(rest)
+    if (rest.trim()) state.lines.push(rest)
+    return null
+  }
+
+  const accept = (line) => {
+    if (state.block) {
+      state.continued = false
+      if (line.trimEnd().endsWith(COMPOSER.FENCE)) return closeBlock(line)
+      state.lines.push(line)
+      return null
+    }
+
+    if (state.continued) {
+      state.continued = false
+      state.lines.push(line)
+      return null
+    }
+
+    if (state.lines.length > 0) {
+      state.lines.push(line)
+      return finish()
+    }
+
+    if (line.trimStart().startsWith(COMPOSER.FENCE)) return openBlock(line)
+    return line
+  }
+
+  const isComposing = () => state.block || state.lines.length > 0
+
+  // ESC or Ctrl+C at the prompt: the lines so far are dropped, not carried
+  // into the next input
+  const cancel = () => reset()
+
+  const continueLine = () => {
+    state.continued = true
+  }
+
+  const submit = (text) => {
+    state.queued = text
+  }
+
+  const takeQueued = () => {
+    const text = state.queued
+    state.queued = null
+    return text
+  }
+
+  return {
+    accept,
+    isComposing,
+    cancel,
+    continueLine,
+    submit,
+    takeQueued,
+  }
+}
@@ -0,0 +1,99 @@
+import { ANSI } from '../../config/ansi.js'
+import { HISTORY } from '../../config/constants.js'
+
+// Ctrl+R incremental reverse search, which Node's readline lacks. Typing
+// narrows the search to the newest entry containing the query, Ctrl+R again
+// steps to older matches, Backspace widens it, Enter runs the match, Esc (or
+// Ctrl+G) puts the original line back, and any other key keeps the match on
+// the line and acts on it as usual.
+//
+// readline reads keys from the input's 'keypress' events; its listener is
+// taken off the input and called through a filter that holds keys back while
+// a search is open. Only public readline API draws the search.
+
+const isPrintable = (s, key) =>
+  typeof s === 'string' && s >= ' ' && s !== '\x7f' && !(key && (key.ctrl || key.meta))
+
+const isKey = (key, name, ctrl = false) => Boolean(key) && key.name === name && Boolean(key.ctrl) === ctrl
+
+// create() builds the interface; entries() is the history it searches, newest first.
+export const createSearchableInterface = (input, create, entries) => {
+  const before = input.listeners('keypress')
+  const rl = create()
+  const readlineKeys = input.listeners('keypress').filter((listener) => !before.includes(listener))
+  // Not a terminal: readline reads lines, not keys — nothing to search
+  if (readlineKeys.length === 0) return rl
+  readlineKeys.forEach((listener) => input.removeListener('keypress', listener))
+  const forward = (s, key) => readlineKeys.forEach((listener) => listener(s, key))
+
+  let search = null // { query, index, match, prompt, line, cursor } while open
+
+  const draw = () => {
+    const list = entries()
+    let found = -1
+    for (let i = search.index; search.query && i < list.length && found === -1; i++) {
+      if (list[i].includes(search.query)) found = i
+    }
+    // A miss keeps the last match on the line and as the place to step from
+    search.index = found === -1 ? search.match : found
+    if (found !== -1) {
+      search.match = found
+      rl.line = list[found]
+      rl.cursor = list[found].indexOf(search.query)
+    }
+    const label = found === -1 && search.query ? HISTORY.SEARCH_FAILED_LABEL : HISTORY.SEARCH_LABEL
+    rl.setPrompt(`${ANSI.COLORS.GREY}(${label})'${search.query}': ${ANSI.COLORS.GREEN}`)
+    rl.prompt(true)
+  }
+
+  const close = (restoreLine) => {
+    if (restoreLine) {
+      rl.line = search.line
+      rl.cursor = search.cursor
+    }
+    rl.setPrompt(search.prompt)
+    search = null
+    rl.prompt(true)
+  }
+
+  const onKeypress = (s, key) => {
+    if (!search) {
+      if (isKey(key, 'r', true)) {
+        search = { query: '', index: 0, match: 0, prompt: rl.getPrompt(), line: rl.line, cursor: rl.cursor }
+        draw()
+        return
+      }
+      forward(s, key)
+      return
+    }
+
+    if (isKey(key, 'r', true)) {
+      search.index++
+      draw()
+      return
+    }
+    if (isKey(key, 'backspace')) {
+      search.query = search.query.slice(0, -1)
+      search.index = 0
+      search.match = 0
+      draw()
+      return
+    }
+    if (isPrintable(s, key)) {
+      search.query += s
+      draw()
+      return
+    }
+    if (isKey(key, 'escape') || isKey(key, 'g', true)) {
+      close(true)
+      return
+    }
+    // Enter runs the match; Ctrl+C, arrows, Tab... act on it as usual
+    close(isKey(key, 'c', true))
+    forward(s, key)
+  }
+
+  input.on('keypress', onKeypress)
+  rl.on('close', () => input.removeListener('keypress', onKeypress))
+  return rl
+}
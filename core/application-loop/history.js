@@ -0,0 +1,74 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { APP_CONSTANTS, HISTORY, USER_CONFIG } from '../../config/constants.js'
+import { configDir } from '../../services/config/paths.js'
+
+// Input history kept across restarts in ~/.openai-cli/history:
+// { "scopes": { "main": [newest, ...], "dd": [...] } }. The list handed to
+// readline is the same array this store updates, so a new interface (menus
+// pause and recreate it) and Up/Down see every remembered line at once.
+
+const historyPath = () => path.join(configDir(), USER_CONFIG.HISTORY_FILE)
+
+const readScopes = () => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(historyPath(), 'utf8'))
+    return parsed && parsed.scopes && typeof parsed.scopes === 'object' ? parsed.scopes : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+const SECRET_MARKERS = HISTORY.SECRET_KEYWORDS.flatMap((keyword) => [`${keyword}=`, `${keyword}:`])
+
+const looksSecret = (line) => {
+  const lower = line.toLowerCase()
+  if (SECRET_MARKERS.some((marker) => lower.includes(marker))) return true
+  return line
+    .split(' ')
+    .map((word) => word.split('"').join('').split("'").join(''))
+    .some(
+      (word) =>
+        word.length >= HISTORY.SECRET_MIN_LENGTH && HISTORY.SECRET_PREFIXES.some((prefix) => word.startsWith(prefix)),
+    )
+}
+
+// A $$ line would paste whatever the clipboard holds when recalled, and a
+// credential must not land in a plain file
+export const isRecordable = (line) =>
+  Boolean(line) && !line.includes(APP_CONSTANTS.CLIPBOARD_MARKER) && !looksSecret(line)
+
+export const createHistoryStore = () => {
+  const scopes = {}
+
+  // The live list for a scope (newest first), loaded on first use
+  const entries = (scope) => {
+    if (!scopes[scope]) {
+      const saved = readScopes()[scope]
+      scopes[scope] = Array.isArray(saved) ? saved.filter((entry) => typeof entry === 'string') : []
+    }
+    return scopes[scope]
+  }
+
+  // Moves the line to the front (one copy per scope) and writes the file. The
+  // file is re-read first, so two open terminals do not drop each other's lines.
+  const add = (scope, line) => {
+    const text = line.trim()
+    if (!isRecordable(text)) return
+    const live = entries(scope)
+    const saved = readScopes()
+    const base = Array.isArray(saved[scope]) ? saved[scope] : live
+    const next = [text, ...base.filter((entry) => entry !== text)].slice(0, HISTORY.MAX_ENTRIES)
+    live.splice(0, live.length, ...next)
+    try {
+      fs.mkdirSync(configDir(), { recursive: true })
+      fs.writeFileSync(historyPath(), JSON.stringify({ scopes: { ...saved, [scope]: next } }, null, 2), {
+        mode: 0o600,
+      })
+    } catch (e) {
+      // history is a convenience; failing to persist must never break the prompt
+    }
+  }
+
+  return { entries, add }
+}
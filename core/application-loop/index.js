@@ -5,6 +5,7 @@ import { createInputProcessor } from './input-processor.js'
 import { createLifecycleManager } from './lifecycle-manager.js'
 import { createKeypressHandler } from './keypress-handler.js'
 import { createMainLoop } from './main-loop.js'
+import { createComposer } from './composer.js'
 
 export const createApplicationLoop = (app) => {
   // Get StateManager instance
@@ -28,6 +29,7 @@ export const createApplicationLoop = (app) => {
     currentEscapeResolve: null,
     globalKeyPressHandler: null,
     activeMode: null, // a mode object ({prompt?, handleLine}) captures REPL lines instead of the Router
+    composer: createComposer(), // multi-line input (""" blocks, Alt+Enter, `edit`)
   }
 
   const showInitializationSpinner = async (callback) => {
@@ -103,6 +105,9 @@ export const createApplicationLoop = (app) => {
     },
     getActiveMode: () => state.activeMode,
 
+    // Composed input (`edit`): runs on the next loop turn as if typed
+    submitInput: (text) => state.composer.submit(text),
+
     // Spinner functionality (using utils/spinner.js)
     showInitializationSpinner,
 
@@ -1,13 +1,16 @@
 import { ANSI } from '../../config/ansi.js'
-import { APP_CONSTANTS } from '../../config/constants.js'
-import { sanitizeString, validateString } from '../../utils/validation.js'
+import { APP_CONSTANTS, COMPOSER } from '../../config/constants.js'
+import { sanitizeString, sanitizeMultiline, validateString } from '../../utils/validation.js'
 import { errorHandler } from '../error-system/index.js'
 import { outputHandler } from '../print/index.js'
 
 export const createInputProcessor = (stateManager) => {
   const processUserInput = async (userInput) => {
     try {
-      userInput = sanitizeString(userInput)
+      // Composed input keeps its line breaks
+      userInput = userInput.includes('\n')
+        ? sanitizeMultiline(userInput)
+        : sanitizeString(userInput)
 
       if (userInput.length > APP_CONSTANTS.MAX_INPUT_LENGTH) {
         console.log(
@@ -48,9 +51,13 @@ export const createInputProcessor = (stateManager) => {
 ${colorInput}> `
   }
 
+  const getContinuationPrompt = () =>
+    `${ANSI.COLORS.GREY}${COMPOSER.CONTINUATION_PROMPT}${ANSI.COLORS.GREEN}`
+
   return {
     processUserInput,
     handleEmptyInput,
     getUserPrompt,
+    getContinuationPrompt,
   }
 }
\ No newline at end of file
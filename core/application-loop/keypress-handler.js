@@ -10,9 +10,35 @@ export const createKeypressHandler = (state) => {
       if (key && key.name === 'escape') {
         handleEscapeKey()
       }
+      if (key && key.meta && (key.name === 'return' || key.name === 'enter')) {
+        handleAltEnter()
+      }
     })
   }
 
+  // Alt+Enter: readline ignores meta+return, so submit the line ourselves and
+  // let the composer keep it as a continuation (plain Enter then sends)
+  const handleAltEnter = () => {
+    const rl = state.readlineManager.getReadlineInterface()
+    if (!rl || rl.closed || state.stateManager.isProcessingRequest()) return
+    state.composer.continueLine()
+    rl.write(null, { name: 'return' })
+  }
+
+  const cancelComposition = () => {
+    state.composer.cancel()
+    const rl = state.readlineManager.getReadlineInterface()
+    if (!rl || rl.closed) return
+    rl.line = ''
+    rl.cursor = 0
+    rl.setPrompt(
+      state.activeMode && state.activeMode.prompt
+        ? state.activeMode.prompt
+        : state.inputProcessor.getUserPrompt(state.screenWasCleared),
+    )
+    rl.prompt(true)
+  }
+
   const handleEscapeKey = () => {
     // If there's a specific handler registered, use it
     if (state.currentEscHandler) {
@@ -20,6 +46,12 @@ export const createKeypressHandler = (state) => {
       return
     }
 
+    // At the prompt ESC drops a half-composed input: the lines so far and the one typed
+    if (state.composer.isComposing() && !state.stateManager.isProcessingRequest()) {
+      cancelComposition()
+      return
+    }
+
     // Default ESC behavior for AI requests
     const controller = state.stateManager.getCurrentRequestController()
 
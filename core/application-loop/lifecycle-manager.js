@@ -31,6 +31,8 @@ export const createLifecycleManager = (state) => {
   }
 
   const handleInterrupt = async () => {
+    state.composer.cancel()
+
     // Check if we have active requests that need graceful cancellation
     const controller = state.stateManager.getCurrentRequestController()
 
@@ -2,6 +2,7 @@ import { logger } from '../../utils/logger.js'
 import { errorHandler, isCancellation } from '../error-system/index.js'
 import { inputProcessingService } from '../../services/input-processing/index.js'
 import { ANSI } from '../../config/ansi.js'
+import { HISTORY } from '../../config/constants.js'
 
 export const createMainLoop = (state, applicationLoopInstance) => {
   // Helper function to get router dynamically
@@ -33,15 +34,38 @@ export const createMainLoop = (state, applicationLoopInstance) => {
         break
       }
 
-      const prompt = state.activeMode && state.activeMode.prompt
-        ? state.activeMode.prompt
-        : state.inputProcessor.getUserPrompt(state.screenWasCleared)
-
-      // Get user input using standard readline
-      let userInput = await state.readlineManager.getReadlineInterface().question(prompt)
-      // Reset color after user input to ensure LLM response is not green
-      process.stdout.write(ANSI.COLORS.RESET)
-      userInput = (userInput || '').trim()
+      // Text composed in $EDITOR (`edit`) runs as if it had been typed
+      let userInput = state.composer.takeQueued()
+
+      if (userInput === null) {
+        const prompt = state.composer.isComposing()
+          ? state.inputProcessor.getContinuationPrompt()
+          : state.activeMode && state.activeMode.prompt
+            ? state.activeMode.prompt
+            : state.inputProcessor.getUserPrompt(state.screenWasCleared)
+
+        // A mode may keep its own input history (dd); Up/Down and Ctrl+R browse it
+        state.readlineManager.useHistoryScope(
+          state.activeMode && state.activeMode.historyScope ? state.activeMode.historyScope : HISTORY.MAIN_SCOPE,
+        )
+        const composing = state.composer.isComposing()
+
+        // Get user input using standard readline
+        const line = await state.readlineManager.getReadlineInterface().question(prompt)
+        // Reset color after user input to ensure LLM response is not green
+        process.stdout.write(ANSI.COLORS.RESET)
+
+        // Multi-line composition (""" blocks, Alt+Enter): null = keep reading
+        userInput = state.composer.accept(line || '')
+        if (userInput === null) {
+          continue
+        }
+        // A line typed on its own is remembered; pieces of a composition are not
+        if (!composing) {
+          state.readlineManager.rememberLine(line)
+        }
+      }
+      userInput = userInput.trim()
 
       // Reset screen cleared flag after prompt is shown
       state.screenWasCleared = false
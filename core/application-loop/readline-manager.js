@@ -1,5 +1,8 @@
 import readline from 'node:readline/promises'
+import { HISTORY } from '../../config/constants.js'
 import { getAllAvailableCommands } from './utils/completer.js'
+import { createHistoryStore } from './history.js'
+import { createSearchableInterface } from './history-search.js'
 
 // Create completer function for system commands autocomplete
 const createCompleter = () => {
@@ -17,12 +20,21 @@ export const createReadlineManager = (handleInterrupt) => {
     input: process.stdin,
     output: process.stdout,
     completer: createCompleter(),
+    // readline only browses the history; the main loop decides what is
+    // remembered (not menu answers, secrets or $$ lines) — see history.js
+    historySize: 0,
   }
 
+  const history = createHistoryStore()
+  let historyScope = HISTORY.MAIN_SCOPE
   let currentRl = null
 
   const createReadlineInterface = () => {
-    const rl = readline.createInterface(readlineConfig)
+    const rl = createSearchableInterface(
+      readlineConfig.input,
+      () => readline.createInterface({ ...readlineConfig, history: history.entries(historyScope) }),
+      () => rl.history,
+    )
 
     // CRITICAL: Redirect readline SIGINT to our graceful handler instead of default AbortError
     rl.on('SIGINT', () => {
@@ -47,6 +59,14 @@ export const createReadlineManager = (handleInterrupt) => {
 
   const getReadlineInterface = () => currentRl
 
+  // The main prompt and each mode (dd) browse and grow their own history
+  const useHistoryScope = (scope) => {
+    historyScope = scope
+    if (currentRl) currentRl.history = history.entries(scope)
+  }
+
+  const rememberLine = (line) => history.add(historyScope, line)
+
   // Initialize with first interface
   currentRl = createReadlineInterface()
 
@@ -55,5 +75,7 @@ export const createReadlineManager = (handleInterrupt) => {
     pauseReadline,
     resumeReadline,
     getReadlineInterface,
+    useHistoryScope,
+    rememberLine,
   }
 }
\ No newline at end of file
@@ -0,0 +1,281 @@
+import path from 'node:path'
+import { getStateManager } from '../StateManager.js'
+import { inputProcessingService } from '../../services/input-processing/index.js'
+import { commandService } from '../../services/commands/index.js'
+import { configService } from '../../services/config/index.js'
+import { createStreamCommandRunner } from '../response/stream-runner.js'
+import { sanitizeMessage, failureKind } from '../error-system/index.js'
+import { EXIT_BY_KIND, exitCodeFor } from '../oneshot/index.js'
+import { logger } from '../../utils/logger.js'
+import { ANSI } from '../../config/ansi.js'
+import { BATCH, EXIT_CODES } from '../../config/constants.js'
+import { PROVIDER_DEFAULTS } from '../../config/providers.js'
+import { parseBatchArgs, BATCH_USAGE } from './options.js'
+import { INPUT_FORMATS, formatOf, readItems, defaultResultsPath, openResults } from './items.js'
+
+// `ai batch <command> <file>` — the command over every item of a file, a few
+// requests at a time under the provider rate limit. Each answer is appended to
+// the results file as it lands, so an interrupted run picks up where it
+// stopped; a failed item is retried with backoff, then recorded with its error
+// and tried again on the next run. Progress and failures go to stderr.
+
+const errorText = (error) => sanitizeMessage(error && error.message ? error.message : String(error))
+
+// Resolves after `ms`, or at once when the signal aborts.
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal.aborted) return resolve()
+    const done = () => {
+      clearTimeout(timer)
+      signal.removeEventListener('abort', done)
+      resolve()
+    }
+    const timer = setTimeout(done, ms)
+    signal.addEventListener('abort', done)
+  })
+
+// At most `requests` starts in any `windowMs`; callers queue in order.
+const createRateLimiter = ({ requests, windowMs }) => {
+  const starts = []
+  let queue = Promise.resolve()
+
+  const wait = async (signal) => {
+    while (!signal.aborted) {
+      const now = Date.now()
+      while (starts.length > 0 && now - starts[0] >= windowMs) starts.shift()
+      if (starts.length < requests) {
+        starts.push(now)
+        return
+      }
+      await sleep(starts[0] + windowMs - now, signal)
+    }
+  }
+
+  return {
+    take(signal) {
+      const turn = queue.then(() => wait(signal))
+      queue = turn
+      return turn
+    },
+  }
+}
+
+// Flags beat the command's own model, as in one-shot; the model falls back to
+// the provider's default. -> { target } or { kind, message }
+const resolveTarget = async (options, command, stateManager) => {
+  const pinned = command.models && command.models.length > 0 ? command.models[0] : null
+  const available = configService.availableProviders()
+  const provider = options.provider || (pinned ? pinned.provider : available[0])
+  if (!provider) return { kind: 'auth', message: 'No AI providers available - set an API key or run: ai login' }
+  if (!available.includes(provider)) {
+    const known = configService.providerIds().includes(provider)
+    return {
+      kind: known ? 'auth' : 'invalid',
+      message: `Provider "${provider}" is ${known ? 'not set up (no API key or gateway login)' : 'unknown'}`,
+    }
+  }
+  const wanted = options.model || (pinned && pinned.provider === provider ? pinned.model : null)
+  if (wanted) return { target: { provider, model: wanted } }
+  try {
+    const ready = await stateManager.ensureProviderReady(provider)
+    const ids = (ready.models || []).map((model) => model.id || model).filter(Boolean)
+    return { target: { provider, model: ready.config.defaultModel || ids[0] } }
+  } catch (error) {
+    return { kind: failureKind(error) || 'error', message: `Error: ${errorText(error)}` }
+  }
+}
+
+// One line on a terminal, redrawn in place; nothing when stderr is a pipe.
+const createProgress = (label, total) => {
+  const live = process.stderr.isTTY
+  let shown = false
+  const clear = () => {
+    if (shown) process.stderr.write(`${ANSI.MOVE.CARRIAGE_RETURN}${ANSI.CLEAR.LINE}`)
+    shown = false
+  }
+  return {
+    show(finished, failed) {
+      if (!live) return
+      clear()
+      process.stderr.write(`${label}: ${finished}/${total}${failed > 0 ? ` · ${failed} failed` : ''}`)
+      shown = true
+    },
+    // A line of its own above the progress line
+    note(text) {
+      clear()
+      process.stderr.write(`${text}\n`)
+    },
+    clear,
+  }
+}
+
+export const runBatch = async (argv) => {
+  const parsed = parseBatchArgs(argv)
+  const usageError = (message) => {
+    process.stderr.write(`${message}\n${BATCH_USAGE}\n`)
+    return EXIT_CODES.INVALID
+  }
+  if (parsed.error) return usageError(parsed.error)
+  const { options, positional } = parsed
+  if (positional.length !== 2) return usageError('Name a command and an input file')
+  const [key, file] = positional
+  const invalid = (message) => {
+    process.stderr.write(`${message}\n`)
+    return EXIT_CODES.INVALID
+  }
+
+  await configService.bootstrap()
+  await commandService.bootstrap()
+  logger.setConsoleLogging(false)
+
+  const command = commandService.findByKey(key)
+  if (!command) return invalid(`No command with key "${key}"`)
+
+  const format = options.format || formatOf(file)
+  if (!INPUT_FORMATS.includes(format)) return invalid(`Unknown format "${format}" — use ${INPUT_FORMATS.join(', ')}`)
+  const read = readItems(file, {
+    format,
+    field: options.field || BATCH.JSONL_FIELD,
+    column: options.column,
+    header: !options.noHeader,
+  })
+  if (read.error) return invalid(read.error)
+  if (read.items.length === 0) return invalid(`${file} has nothing to send`)
+
+  // Results follow the input's shape (CSV in, CSV out) unless --out says otherwise
+  const shape = options.out ? formatOf(options.out) : format
+  const resultsFormat = shape === 'csv' ? 'csv' : 'jsonl'
+  const out = options.out || defaultResultsPath(file, key, resultsFormat)
+  if (path.resolve(out) === path.resolve(file)) return invalid('The results file cannot be the input file')
+  const results = openResults(out, resultsFormat)
+  if (results.error) return invalid(results.error)
+
+  const total = read.items.length
+  const pending = read.items.filter((item) => !results.done(item))
+  if (pending.length === 0) {
+    process.stderr.write(`All ${total} items already have results in ${out}\n`)
+    return EXIT_CODES.SUCCESS
+  }
+
+  const stateManager = getStateManager()
+  const resolved = await resolveTarget(options, command, stateManager)
+  if (resolved.kind) {
+    process.stderr.write(`${resolved.message}\n`)
+    return EXIT_BY_KIND[resolved.kind]
+  }
+  const target = resolved.target
+
+  const runStreamCommand = createStreamCommandRunner({ stateManager })
+  const limiter = createRateLimiter({
+    requests: options.rate,
+    windowMs: PROVIDER_DEFAULTS.RATE_LIMIT_WINDOW,
+  })
+  const progress = createProgress(`${key} → ${path.basename(out)}`, total)
+
+  // Ctrl+C stops taking items and aborts the requests in flight (their items
+  // stay unfinished for the next run); a second Ctrl+C quits at once
+  const stop = new AbortController()
+  const inFlight = new Set()
+  let interrupted = false
+  process.on('SIGINT', () => {
+    if (interrupted) process.exit(EXIT_CODES.SIGINT)
+    interrupted = true
+    stop.abort()
+    inFlight.forEach((controller) => controller.abort())
+  })
+
+  let finished = total - pending.length
+  let failed = 0
+  let firstFailure = null
+  let fatal = null
+
+  const ask = async (item) => {
+    const instruction = await inputProcessingService.findInstructionCommand(`${key} ${item.text}`)
+    const controller = new AbortController()
+    inFlight.add(controller)
+    const parts = []
+    try {
+      const result = await runStreamCommand({
+        controller,
+        messages: [{ role: 'user', content: instruction.content }],
+        providerModel: target,
+        useSpinner: false,
+        usageTag: instruction.id,
+        markdown: instruction.markdown,
+        onChunk: ({ content }) => parts.push(content),
+      })
+      return result.aborted ? null : parts.join('')
+    } finally {
+      inFlight.delete(controller)
+    }
+  }
+
+  const record = (item, output, error) => ({
+    n: item.n,
+    input: item.text,
+    output,
+    error,
+    provider: target.provider,
+    model: target.model,
+  })
+
+  const processItem = async (item) => {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.take(stop.signal)
+      if (stop.signal.aborted) return
+      try {
+        const output = await ask(item)
+        if (output === null) return
+        results.append(record(item, output, null))
+        finished++
+        return
+      } catch (error) {
+        if (stop.signal.aborted) return
+        // Rejected credentials would fail every other item the same way
+        if (failureKind(error) === 'auth') {
+          fatal = fatal || error
+          stop.abort()
+          return
+        }
+        if (attempt < options.retries) {
+          await sleep(BATCH.RETRY_DELAY_MS * 2 ** attempt, stop.signal)
+          continue
+        }
+        results.append(record(item, null, errorText(error)))
+        failed++
+        firstFailure = firstFailure || error
+        progress.note(`#${item.n}: ${errorText(error)}`)
+        return
+      }
+    }
+  }
+
+  let next = 0
+  const worker = async () => {
+    while (!stop.signal.aborted && next < pending.length) {
+      await processItem(pending[next++])
+      progress.show(finished, failed)
+    }
+  }
+
+  progress.show(finished, failed)
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, pending.length) }, worker))
+  progress.clear()
+  results.compact()
+
+  const summary = `${finished} of ${total} items have results in ${out}`
+  if (interrupted) {
+    process.stderr.write(`Stopped: ${summary} — run the same command again to resume\n`)
+    return EXIT_CODES.SIGINT
+  }
+  if (fatal) {
+    process.stderr.write(`Error: ${errorText(fatal)}\nStopped: ${summary}\n`)
+    return exitCodeFor(fatal)
+  }
+  if (failed > 0) {
+    process.stderr.write(`${summary}; ${failed} failed — run the same command again to retry them\n`)
+    return exitCodeFor(firstFailure)
+  }
+  process.stderr.write(`Done: ${summary}\n`)
+  return EXIT_CODES.SUCCESS
+}
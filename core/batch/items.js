@@ -0,0 +1,164 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { csvRow, parseCsv } from '../../utils/csv.js'
+
+// Items in, results out. An item is { n, text }: n is its line (JSONL, plain
+// text) or data row (CSV), 1-based, so a result points back at the input even
+// though blank lines and empty cells are skipped. The results file doubles as
+// the resume state: one record per finished attempt, appended as it lands.
+
+const FORMAT_BY_EXTENSION = { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv' }
+const RESULT_COLUMNS = ['n', 'input', 'output', 'error']
+
+export const INPUT_FORMATS = ['lines', 'jsonl', 'csv']
+export const OUTPUT_FORMATS = ['jsonl', 'csv']
+
+export const formatOf = (file) => FORMAT_BY_EXTENSION[path.extname(file).toLowerCase()] || 'lines'
+
+const splitLines = (text) => text.split('\n').map((line) => (line.endsWith('\r') ? line.slice(0, -1) : line))
+
+const fromLines = (text) =>
+  splitLines(text)
+    .map((line, index) => ({ n: index + 1, text: line.trim() }))
+    .filter((item) => item.text)
+
+// A record's `field`, or a bare JSON string line. Other values are sent as JSON.
+const fromJsonl = (text, { field }) => {
+  const items = []
+  const lines = splitLines(text)
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim()
+    if (!line) continue
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      return { error: `Line ${index + 1} is not valid JSON` }
+    }
+    const value = typeof record === 'string' ? record : record && typeof record === 'object' ? record[field] : undefined
+    if (value === undefined || value === null) {
+      return { error: `Line ${index + 1} has no "${field}" field — pick one with --field` }
+    }
+    const itemText = (typeof value === 'string' ? value : JSON.stringify(value)).trim()
+    if (itemText) items.push({ n: index + 1, text: itemText })
+  }
+  return { items }
+}
+
+// `column` is a header name or a 1-based number; the first column by default.
+const fromCsv = (text, { column, header }) => {
+  const rows = parseCsv(text)
+  const names = header && rows.length > 0 ? rows[0] : []
+  const data = header ? rows.slice(1) : rows
+  let at = 0
+  if (column) {
+    const byName = names.indexOf(column)
+    const byNumber = Number(column)
+    at = byName !== -1 ? byName : Number.isInteger(byNumber) && byNumber > 0 ? byNumber - 1 : -1
+    if (at === -1) {
+      return {
+        error: `No column "${column}"${names.length > 0 ? ` — the header has: ${names.join(', ')}` : ''}`,
+      }
+    }
+  }
+  const items = data
+    .map((row, index) => ({ n: index + 1, text: String(row[at] || '').trim() }))
+    .filter((item) => item.text)
+  return { items }
+}
+
+const READERS = { lines: (text) => ({ items: fromLines(text) }), jsonl: fromJsonl, csv: fromCsv }
+
+// file -> { items } or { error }
+export const readItems = (file, { format, field, column, header }) => {
+  let text
+  try {
+    text = fs.readFileSync(file, 'utf8')
+  } catch (error) {
+    return { error: `Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}` }
+  }
+  return READERS[format](text, { field, column, header })
+}
+
+// Next to the input: notes.txt + `rr` -> notes.rr.jsonl
+export const defaultResultsPath = (file, key, format) => {
+  const parsed = path.parse(file)
+  return path.join(parsed.dir, `${parsed.name}.${key}.${format}`)
+}
+
+const jsonlRecords = (text) => {
+  const lines = splitLines(text).filter((line) => line.trim())
+  const records = []
+  for (let index = 0; index < lines.length; index++) {
+    let record = null
+    try {
+      record = JSON.parse(lines[index])
+    } catch {
+      // A line cut short by a crash can only be the last one
+      if (index === lines.length - 1) break
+    }
+    if (!record || !Number.isInteger(record.n) || typeof record.input !== 'string') return null
+    records.push(record)
+  }
+  return records
+}
+
+const csvRecords = (text) => {
+  const rows = parseCsv(text)
+  if (rows.length === 0) return []
+  if (rows[0].join(',') !== RESULT_COLUMNS.join(',')) return null
+  return rows.slice(1).map(([n, input, output, error]) => ({
+    n: Number(n),
+    input: input || '',
+    output: output || null,
+    error: error || null,
+  }))
+}
+
+const PARSERS = { jsonl: jsonlRecords, csv: csvRecords }
+
+const RENDERERS = {
+  jsonl: (record) => `${JSON.stringify(record)}\n`,
+  csv: (record) => `${csvRow([record.n, record.input, record.output, record.error])}\r\n`,
+}
+
+// The latest record per item, in item order (a retried item appends again).
+const latestByItem = (records) => {
+  const latest = new Map()
+  records.forEach((record) => latest.set(record.n, record))
+  return [...latest.values()].sort((a, b) => a.n - b.n)
+}
+
+// Opens (or starts) a results file. `done(item)` is true once the item has an
+// output for this same input; failed items are tried again on the next run.
+// -> { done, append, compact } or { error } when the file is something else.
+export const openResults = (file, format) => {
+  let records = []
+  if (fs.existsSync(file)) {
+    records = PARSERS[format](fs.readFileSync(file, 'utf8'))
+    if (!records) return { error: `${file} exists and is not a batch results file — pick another --out` }
+  }
+  const finished = new Map()
+  latestByItem(records).forEach((record) => {
+    if (record.output !== null && record.output !== undefined && !record.error) finished.set(record.n, record.input)
+  })
+
+  // CSV: a BOM so spreadsheet apps read UTF-8, then the header once
+  const head = format === 'csv' ? `\ufeff${csvRow(RESULT_COLUMNS)}\r\n` : ''
+  if (head && records.length === 0) fs.writeFileSync(file, head)
+
+  return {
+    done: (item) => finished.get(item.n) === item.text,
+    append(record) {
+      fs.appendFileSync(file, RENDERERS[format](record))
+      records.push(record)
+    },
+    // Rewrite with one record per item, in input order
+    compact() {
+      const body = latestByItem(records).map(RENDERERS[format]).join('')
+      const temp = `${file}.tmp`
+      fs.writeFileSync(temp, `${head}${body}`)
+      fs.renameSync(temp, file)
+    },
+  }
+}
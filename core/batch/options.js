@@ -0,0 +1,89 @@
+import { BATCH } from '../../config/constants.js'
+import { PROVIDER_DEFAULTS } from '../../config/providers.js'
+
+// Arguments of `ai batch`: two positionals (command key, input file) and flags
+// anywhere around them; `--` ends the flags. Value flags take the next word or
+// `--flag=value`.
+
+const VALUE_FLAGS = {
+  '--provider': 'provider',
+  '--model': 'model',
+  '--format': 'format',
+  '--field': 'field',
+  '--column': 'column',
+  '--out': 'out',
+  '--concurrency': 'concurrency',
+  '--retries': 'retries',
+  '--rate': 'rate',
+}
+const SWITCHES = { '--no-header': 'noHeader' }
+
+// For shell completion
+export const BATCH_VALUE_FLAGS = Object.keys(VALUE_FLAGS)
+export const BATCH_SWITCHES = Object.keys(SWITCHES)
+
+// Numeric flags and the least each accepts
+const MINIMUMS = { concurrency: 1, retries: 0, rate: 1 }
+
+export const BATCH_USAGE = [
+  'Usage: ai batch [options] <command> <file>',
+  '  <file>               one item per line; .jsonl: one record per line; .csv: one row per line',
+  '  --field <name>       JSONL field to send (default: text)',
+  '  --column <name|n>    CSV column to send, by header name or number (default: the first)',
+  '  --no-header          the CSV has no header row',
+  '  --format <f>         read the file as lines, jsonl or csv (default: by extension)',
+  '  --out <file>         results file, .jsonl or .csv (default: next to the input)',
+  '  --provider <id>      provider to run on (default: the command\'s own, else the first available)',
+  '  --model <id>         model on that provider',
+  `  --concurrency <n>    requests in flight (default: ${BATCH.CONCURRENCY})`,
+  `  --retries <n>        extra attempts per failed item (default: ${BATCH.RETRIES})`,
+  `  --rate <n>           requests per minute (default: ${PROVIDER_DEFAULTS.RATE_LIMIT_REQUESTS})`,
+  'Run it again after an interruption to resume: items that already have a result are skipped.',
+].join('\n')
+
+// argv -> { options, positional } or { error }
+export const parseBatchArgs = (argv) => {
+  const options = {
+    provider: null,
+    model: null,
+    format: null,
+    field: null,
+    column: null,
+    out: null,
+    concurrency: BATCH.CONCURRENCY,
+    retries: BATCH.RETRIES,
+    rate: PROVIDER_DEFAULTS.RATE_LIMIT_REQUESTS,
+    noHeader: false,
+  }
+  const positional = []
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      positional.push(...argv.slice(i + 1))
+      break
+    }
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i])
+      continue
+    }
+    const at = argv[i].indexOf('=')
+    const flag = at === -1 ? argv[i] : argv[i].slice(0, at)
+    if (SWITCHES[flag] && at === -1) {
+      options[SWITCHES[flag]] = true
+      continue
+    }
+    if (!VALUE_FLAGS[flag]) return { error: `Unknown option ${argv[i]}` }
+    const value = at === -1 ? argv[++i] : argv[i].slice(at + 1)
+    if (!value || !value.trim()) return { error: `${flag} needs a value` }
+    const name = VALUE_FLAGS[flag]
+    if (MINIMUMS[name] === undefined) {
+      options[name] = value.trim()
+      continue
+    }
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < MINIMUMS[name]) {
+      return { error: `${flag} needs a whole number of at least ${MINIMUMS[name]}` }
+    }
+    options[name] = number
+  }
+  return { options, positional }
+}
@@ -0,0 +1,105 @@
+import { commandService } from '../../services/commands/index.js'
+import { configService } from '../../services/config/index.js'
+import { readCachedModels } from '../../services/config/models-cache.js'
+import { getAllSystemCommandNames } from '../../utils/system-commands.js'
+import { logger } from '../../utils/logger.js'
+import { EXIT_CODES } from '../../config/constants.js'
+import { ONESHOT_VALUE_FLAGS, ONESHOT_SWITCHES } from '../oneshot/options.js'
+import { BATCH_VALUE_FLAGS, BATCH_SWITCHES } from '../batch/options.js'
+import { INPUT_FORMATS } from '../batch/items.js'
+import { COMPLETION_SCRIPTS } from './scripts.js'
+
+// `ai completion bash|zsh|fish` prints the script for that shell; the script
+// calls `ai completion --words <words typed so far>` on every Tab, which prints
+// the candidates for the next word, one per line (the shell filters them by
+// what is already typed). Models come from the list each provider returned
+// last time (services/config/models-cache.js) — never from the network.
+
+const WORDS_FLAG = '--words'
+// Routed by bin/app.js before one-shot mode
+const BINARY_COMMANDS = ['serve', 'batch', 'completion']
+// A candidate the shell would expand or split is left out (the `?` help alias)
+const SHELL_SPECIAL = [' ', '?', '*', '[', ']', '$', '`', '\\', '"', "'", '(', ')', '&', ';', '|', '<', '>', '!', '{', '}']
+
+const USAGE = `Usage: ai completion ${Object.keys(COMPLETION_SCRIPTS).join('|')}`
+
+const userKeys = () => commandService.getAllKeys()
+
+// The flag's value among the words typed so far, if given
+const valueOf = (words, flag) => {
+  const at = words.lastIndexOf(flag)
+  return at !== -1 && at + 1 < words.length ? words[at + 1] : null
+}
+
+const modelsFor = (provider) => {
+  const cached = readCachedModels()
+  const lists = provider ? [cached[provider] || []] : Object.values(cached)
+  return [...new Set(lists.flat())].sort()
+}
+
+// Candidates for a flag's value; a flag missing here takes free text or a path
+const FLAG_VALUES = {
+  '--provider': () => configService.providerIds(),
+  '--model': (words) => modelsFor(valueOf(words, '--provider')),
+  '--format': () => INPUT_FORMATS,
+}
+
+// Positional words, with flags and their values skipped
+const positionals = (words, valueFlags) => {
+  const found = []
+  for (let i = 0; i < words.length; i++) {
+    if (words[i] === '--') return [...found, ...words.slice(i + 1)]
+    if (!words[i].startsWith('--')) found.push(words[i])
+    else if (valueFlags.includes(words[i])) i++
+  }
+  return found
+}
+
+// What may follow each first word; anything else (a user command, a REPL
+// command) takes free text, so the shell offers file names
+const AFTER_COMMAND = {
+  completion: (rest) => (rest.length === 0 ? Object.keys(COMPLETION_SCRIPTS) : []),
+  batch: (rest) =>
+    positionals(rest, BATCH_VALUE_FLAGS).length === 0 ? [...BATCH_VALUE_FLAGS, ...BATCH_SWITCHES, ...userKeys()] : [],
+  serve: (rest) => (rest.length === 0 ? ['--port'] : []),
+}
+
+const candidates = (words) => {
+  const last = words.length > 0 ? words[words.length - 1] : null
+  if (last && FLAG_VALUES[last]) return FLAG_VALUES[last](words)
+
+  // One-shot flags lead; the first other word is the command
+  let at = 0
+  while (at < words.length && words[at].startsWith('--')) {
+    at += ONESHOT_VALUE_FLAGS.includes(words[at]) ? 2 : 1
+  }
+  if (at > words.length) return []
+  if (at === words.length) {
+    return [...ONESHOT_VALUE_FLAGS, ...ONESHOT_SWITCHES, ...BINARY_COMMANDS, ...getAllSystemCommandNames(), ...userKeys()]
+  }
+  const next = AFTER_COMMAND[words[at]]
+  return next ? next(words.slice(at + 1)) : []
+}
+
+export const runCompletion = async (argv) => {
+  if (argv[0] !== WORDS_FLAG) {
+    const script = argv.length === 1 ? COMPLETION_SCRIPTS[argv[0]] : null
+    if (!script) {
+      process.stderr.write(`${USAGE}\n`)
+      return EXIT_CODES.INVALID
+    }
+    process.stdout.write(script)
+    return EXIT_CODES.SUCCESS
+  }
+
+  // stdout is the candidate list: nothing else may reach it
+  logger.setConsoleLogging(false)
+  await configService.bootstrap()
+  await commandService.bootstrap()
+
+  const words = [...new Set(candidates(argv.slice(1)))].filter(
+    (word) => word && !SHELL_SPECIAL.some((ch) => word.includes(ch)),
+  )
+  if (words.length > 0) process.stdout.write(`${words.join('\n')}\n`)
+  return EXIT_CODES.SUCCESS
+}
@@ -0,0 +1,53 @@
+// Shell glue for `ai completion <shell>`. Each script only collects the words
+// typed so far and asks `ai completion --words` for candidates, so edits to
+// commands.toml and newly listed models show up on the next Tab without
+// regenerating anything. No candidates falls back to file names.
+
+const BASH = `# ai completion for bash — add to ~/.bashrc:
+#   source <(ai completion bash)
+__ai_complete() {
+  local cur=\${COMP_WORDS[COMP_CWORD]} word
+  COMPREPLY=()
+  while IFS= read -r word; do
+    [[ $word == "$cur"* ]] && COMPREPLY+=("$word")
+  done < <(ai completion --words "\${COMP_WORDS[@]:1:COMP_CWORD-1}" 2>/dev/null)
+}
+complete -o default -F __ai_complete ai
+`
+
+const ZSH = `#compdef ai
+# ai completion for zsh — add to ~/.zshrc (after compinit):
+#   source <(ai completion zsh)
+# or save it as _ai somewhere on $fpath.
+_ai() {
+  local -a candidates
+  candidates=("\${(@f)$(ai completion --words "\${(@)words[2,CURRENT-1]}" 2>/dev/null)}")
+  candidates=(\${candidates:#})
+  if (( \${#candidates} )); then
+    compadd -a candidates
+  else
+    _files
+  fi
+}
+if [ "$funcstack[1]" = "_ai" ]; then
+  _ai "$@"
+else
+  compdef _ai ai
+fi
+`
+
+const FISH = `# ai completion for fish — save as ~/.config/fish/completions/ai.fish:
+#   ai completion fish > ~/.config/fish/completions/ai.fish
+function __ai_complete
+    set -l words (commandline -opc)
+    set -l candidates (ai completion --words $words[2..-1] 2>/dev/null)
+    if test (count $candidates) -gt 0
+        printf '%s\\n' $candidates
+    else
+        __fish_complete_path (commandline -ct)
+    end
+end
+complete -c ai -f -a '(__ai_complete)'
+`
+
+export const COMPLETION_SCRIPTS = { bash: BASH, zsh: ZSH, fish: FISH }
@@ -0,0 +1,134 @@
+import { configService } from '../../services/config/index.js'
+import { estimateTokens, estimateMessagesTokens } from '../../utils/token-estimator.js'
+import { logger } from '../../utils/logger.js'
+import { outputHandler } from '../print/index.js'
+import { CONTEXT } from '../../config/constants.js'
+
+// Context compaction: the history is held to a per-model token budget instead
+// of a message count. When the next request would exceed it, the older turns
+// are replaced by one model-written summary (a user/assistant pair, valid on
+// every wire) and the newest turns stay verbatim. Replacing the history moves
+// the revision on and clears the chain pointers, so on the Responses strategy
+// the next turn re-anchors a fresh server chain from the summary; the chat
+// strategy simply resends the shorter history.
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+}
+
+// The provider's contextBudget setting, else the longest matching model-id
+// prefix, else the default.
+export const contextBudget = (providerKey, model) => {
+  const config = configService.getProviderConfig(providerKey)
+  if (config && config.contextBudget) return config.contextBudget
+
+  const id = String(model || '')
+  let best = ''
+  for (const prefix of Object.keys(CONTEXT.MODEL_BUDGETS)) {
+    if (id.startsWith(prefix) && prefix.length > best.length) best = prefix
+  }
+  return best ? CONTEXT.MODEL_BUDGETS[best] : CONTEXT.DEFAULT_BUDGET
+}
+
+// Index where the verbatim tail starts: whole turns, newest first, while they
+// fit the recent share of the budget. Always lands on a user message.
+const splitRecent = (history, budget) => {
+  const limit = budget * CONTEXT.RECENT_SHARE
+  let split = history.length
+  let used = 0
+  while (split >= 2) {
+    const cost = estimateMessagesTokens(history.slice(split - 2, split))
+    if (used + cost > limit) break
+    used += cost
+    split -= 2
+  }
+  while (split < history.length && history[split].role !== 'user') split++
+  return split
+}
+
+const transcriptOf = (messages) =>
+  messages
+    .map((message) => `${ROLE_LABELS[message.role] || message.role}: ${message.content}`)
+    .join('\n\n')
+
+const summaryRequest = (older) => [
+  {
+    role: 'user',
+    content: `${CONTEXT.SUMMARY_INSTRUCTIONS.replaceAll('{words}', String(CONTEXT.SUMMARY_WORDS))}\n\n${transcriptOf(older)}`,
+  },
+]
+
+// The history held to the budget of the provider+model sending the next turn:
+// a shorter copy with the older turns summarized, or null when it already fits
+// (or could not be summarized). providerModel null summarizes on the current
+// provider, as the turn itself would run.
+export const compactHistory = async ({
+  history,
+  input,
+  providerKey,
+  model,
+  providerModel = null,
+  controller,
+  runStreamCommand,
+}) => {
+  if (history.length === 0) return null
+
+  const budget = contextBudget(providerKey, model)
+  const total = estimateMessagesTokens(history) + estimateTokens(input)
+  if (total <= budget) return null
+
+  const split = splitRecent(history, budget)
+  const older = history.slice(0, split)
+  if (older.length === 0) return null
+
+  outputHandler.writeInfo(
+    `Context ~${total} tokens is over the ${budget} budget — summarizing ${older.length} earlier messages`,
+  )
+
+  // Summary runs on the same provider+model as the turn it makes room for.
+  // A failure is not fatal: the turn then goes out with the full history.
+  const parts = []
+  try {
+    const result = await runStreamCommand({
+      controller,
+      messages: summaryRequest(older),
+      providerModel,
+      useSpinner: false,
+      usageTag: CONTEXT.USAGE_TAG,
+      markdown: false,
+      onChunk: ({ content }) => parts.push(content),
+    })
+    if (result.aborted) return null
+  } catch (error) {
+    logger.debug('Context compaction failed:', error)
+    outputHandler.writeWarning('Could not summarize the earlier context — sending it in full')
+    return null
+  }
+
+  const summary = parts.join('').trim()
+  if (!summary) return null
+
+  return [
+    { role: 'user', content: `${CONTEXT.SUMMARY_PREFIX}\n${summary}` },
+    { role: 'assistant', content: CONTEXT.SUMMARY_ACK },
+    ...history.slice(split),
+  ]
+}
+
+export const createContextCompactor = ({ stateManager, runStreamCommand }) =>
+  async function compactContext({ controller, input, providerModel = null }) {
+    const current = providerModel || stateManager.getCurrentProvider() || {}
+    const compacted = await compactHistory({
+      history: stateManager.getContextHistory(),
+      input,
+      providerKey: providerModel ? current.provider : current.key,
+      model: current.model,
+      providerModel,
+      controller,
+      runStreamCommand,
+    })
+    if (!compacted) return false
+    stateManager.restoreContext(compacted)
+    return true
+  }
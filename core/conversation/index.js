@@ -5,17 +5,23 @@ import { composeTurnMessages } from '../../utils/message-utils.js'
 // provider. Each strategy answers the same four questions — what does turn N
 // send, does the server hold the context, what token continues the chain, and
 // how is a stored-but-unwanted turn discarded. Consumers (the chat path,
-// dialogue mode) own the pointer and the turn topology; strategies own the
-// wire-level policy, so adding a provider means adding a strategy, not
-// threading endpoint checks through the stack.
+// dialogue mode) own the turn topology; strategies own the wire-level policy,
+// so adding a provider means adding a strategy, not threading endpoint checks
+// through the stack. The chat path's pointers are kept per provider by
+// createChainPointers below.
 
 // Full-history resend (chat/completions providers): every request carries the
 // whole context itself, so there is no continuation token and nothing to
-// discard server-side.
+// discard server-side. Instructions, which the Responses API takes as a
+// request field, travel here as a leading system message.
 const createChatStrategy = () => ({
   carriesServerContext: false,
-  buildTurn({ history = [], input }) {
-    return { messages: composeTurnMessages(history, input), options: null }
+  buildTurn({ history = [], input, instructions = null }) {
+    const messages = composeTurnMessages(history, input)
+    return {
+      messages: instructions ? [{ role: 'system', content: instructions }, ...messages] : messages,
+      options: null,
+    }
   },
   captureContinuation() {
     return null
@@ -66,6 +72,12 @@ const createResponsesStrategy = ({ resolveInstance }) => ({
   },
 })
 
+// A continuation token the server no longer knows (expired by TTL, deleted, or
+// from another account) fails the request with 404/400 — the caller's cue to
+// re-anchor once with the full local history.
+export const isChainMiss = (error) =>
+  Boolean(error) && (error.statusCode === 404 || error.statusCode === 400)
+
 const STRATEGY_FACTORIES = {
   [PROVIDER_API.CHAT]: createChatStrategy,
   [PROVIDER_API.RESPONSES]: createResponsesStrategy,
@@ -80,3 +92,46 @@ export const createConversationStrategy = ({
   const factory = STRATEGY_FACTORIES[api] || createChatStrategy
   return factory({ resolveInstance })
 }
+
+// Per-provider chain pointers. A continuation token is only meaningful to the
+// provider (and model) whose stream produced it, and only for the exact local
+// history it was captured against — any history write made elsewhere (another
+// provider's turn, a context-carrying command) is missing from that server
+// chain. Each pointer therefore remembers its provider, its model and the
+// history revision it anchors; resolve() hands out a token only when all three
+// still match. A miss means "re-anchor": the caller sends the full local
+// history without a token, and the fresh stored response becomes the pointer.
+// So a provider/model switch mid-chat never leaks a foreign
+// previous_response_id — it costs one full resend instead.
+export const createChainPointers = () => {
+  const pointers = new Map() // providerKey -> { token, model, revision }
+
+  const record = (providerKey, { token, model, revision }) => {
+    if (!token) {
+      pointers.delete(providerKey)
+      return
+    }
+    pointers.set(providerKey, { token, model, revision })
+  }
+
+  const resolve = (providerKey, { model, revision }) => {
+    const pointer = pointers.get(providerKey)
+    if (!pointer) {
+      return null
+    }
+    if (pointer.model !== model || pointer.revision !== revision) {
+      return null
+    }
+    return pointer.token
+  }
+
+  const clear = () => {
+    pointers.clear()
+  }
+
+  return {
+    record,
+    resolve,
+    clear,
+  }
+}
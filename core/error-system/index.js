@@ -1,6 +1,6 @@
 import { logger } from '../../utils/logger.js'
 import { ANSI } from '../../config/ansi.js'
-import { PROVIDERS } from '../../config/providers.js'
+import { configService } from '../../services/config/index.js'
 
 // Unified error system - Single Source of Truth for functional, Zero-Trust error handling.
 
@@ -27,6 +27,13 @@ export const AUTH_EXPIRED_MESSAGE = 'Session expired or invalid. Run: ai login'
 export const isGatewaySessionError = (error) =>
   Boolean(error) && error.gatewaySession === true
 
+// The gateway refused a request because the account's token quota is used up
+// (QUOTA_EXCEEDED). The providers keep the gateway's own wording (which window,
+// when it resets) in error.gatewayQuota; retrying or re-login would not help.
+export const isGatewayQuotaError = (error) =>
+  Boolean(error) && typeof error.gatewayQuota === 'string'
+export const quotaExceededMessage = (error) => `${error.gatewayQuota} See: ai usage --account`
+
 // The single cancellation predicate - replaces scattered 'AbortError' string checks.
 export const isCancellation = (error) => {
   if (!error) return false
@@ -43,12 +50,15 @@ export const isCancellation = (error) => {
 }
 
 // Zero-Trust sanitization without regex: redact the app's own known API keys
-// (exact values from env) plus any key-shaped tokens, so secrets never reach a user or log.
+// (exact values from env, config.toml-declared providers included) plus any
+// key-shaped tokens, so secrets never reach a user or log.
 const knownSecrets = () => {
   const secrets = []
-  for (const config of Object.values(PROVIDERS)) {
+  for (const id of configService.providerIds()) {
+    const config = configService.getProviderConfig(id)
     const value = process.env[config.apiKeyEnv]
     if (value && value.length >= 8) secrets.push(value)
+    if (config.token && config.token.length >= 8) secrets.push(config.token)
   }
   return secrets
 }
@@ -88,6 +98,30 @@ const isNetworkish = (error) => {
   return NETWORK_HINTS.some((hint) => message.includes(hint))
 }
 
+// What kind of failure a provider error is, for callers that branch on it
+// (one-shot exit codes): 'auth', 'quota', 'network', or null for anything else.
+// Wrapped provider errors keep the original on `cause`, so the whole chain is
+// checked for socket codes.
+const CONNECTION_HINTS = ['fetch failed', 'Connection error', 'timed out']
+
+const causeChain = (error) => {
+  const chain = []
+  for (let current = error; current && chain.length < 5; current = current.cause) chain.push(current)
+  return chain
+}
+
+export const failureKind = (error) => {
+  if (!error) return null
+  if (isGatewayQuotaError(error) || error.statusCode === 429) return 'quota'
+  if (isGatewaySessionError(error) || error.statusCode === 401 || error.statusCode === 403) return 'auth'
+  const chain = causeChain(error)
+  if (chain.some((item) => NETWORK_CODES.includes(item.code))) return 'network'
+  if (chain.some((item) => CONNECTION_HINTS.some((hint) => String(item.message || '').includes(hint)))) {
+    return 'network'
+  }
+  return null
+}
+
 // Classify a raw error into a safe user message + log level (dictionary flow, no switch).
 const describe = (error) => {
   if (isCancellation(error)) {
@@ -2,12 +2,19 @@ import { getStateManager } from '../StateManager.js'
 import { inputProcessingService } from '../../services/input-processing/index.js'
 import { commandService } from '../../services/commands/index.js'
 import { configService } from '../../services/config/index.js'
+import { listSessions, readSession, matchSession } from '../../services/sessions/store.js'
+import { isListedModel } from '../../services/config/models-cache.js'
 import { createStreamCommandRunner } from '../response/stream-runner.js'
+import { isChainMiss } from '../conversation/index.js'
 import { prepareStreamingMessages } from '../../utils/message-utils.js'
 import { EXIT_CODES } from '../../config/constants.js'
-import { sanitizeMessage } from '../error-system/index.js'
+import { logger } from '../../utils/logger.js'
+import { sanitizeMessage, failureKind } from '../error-system/index.js'
+import { parseOneShotArgs, ONESHOT_USAGE } from './options.js'
+import { runMultiModel } from './multi-model.js'
 
-const readStdin = async () => {
+// Piped input, or '' on a terminal (shared with `ai dd --session`).
+export const readStdin = async () => {
   if (process.stdin.isTTY) return ''
   const chunks = []
   for await (const chunk of process.stdin) {
@@ -16,25 +23,88 @@ const readStdin = async () => {
   return Buffer.concat(chunks).toString('utf8').trim()
 }
 
-const firstAvailableProvider = () => {
-  const available = configService.availableProviders()
-  return available.length > 0 ? available[0] : null
+export const EXIT_BY_KIND = {
+  invalid: EXIT_CODES.INVALID,
+  auth: EXIT_CODES.AUTH,
+  network: EXIT_CODES.NETWORK,
+  quota: EXIT_CODES.QUOTA,
+  partial: EXIT_CODES.PARTIAL,
+  error: EXIT_CODES.ERROR,
 }
 
-// Non-interactive run: "ai rr text" or "echo text | ai rr".
-// Streams the raw answer to stdout (no spinner/headers) so it pipes cleanly.
+// The exit code a failed request should end a one-shot run with.
+export const exitCodeFor = (error) => EXIT_BY_KIND[failureKind(error) || 'error']
+
+// Where the answer goes: raw text (streamed, or whole with --no-stream), one
+// JSON object (--json) or JSON lines (--ndjson). Errors always go to stderr —
+// as a JSON line when the caller asked for JSON.
+const createReporter = (options) => {
+  const structured = options.json || options.ndjson
+  const line = (value) => process.stdout.write(`${JSON.stringify(value)}\n`)
+  let wrote = false
+
+  return {
+    fail(kind, message) {
+      process.stderr.write(structured ? `${JSON.stringify({ error: { kind, message } })}\n` : `${message}\n`)
+      return EXIT_BY_KIND[kind]
+    },
+    start(meta) {
+      if (options.ndjson) line({ type: 'start', ...meta })
+    },
+    chunk(text) {
+      if (options.ndjson && !options.noStream) line({ type: 'chunk', text })
+      if (structured || options.noStream) return
+      process.stdout.write(text)
+      wrote = true
+    },
+    done(body) {
+      if (options.ndjson) return line({ type: 'done', ...body })
+      if (options.json) return line(body)
+      if (options.noStream && body.text) process.stdout.write(body.text)
+      if (wrote || (options.noStream && body.text)) process.stdout.write('\n')
+    },
+  }
+}
+
+// --context: a saved chat session by id, list number or title.
+const findChatSession = (ref) => {
+  const saved = listSessions().filter((meta) => meta.kind === 'chat')
+  const byId = saved.find((meta) => meta.id === ref)
+  const found = byId ? { meta: byId } : matchSession(saved, ref)
+  if (!found.meta) {
+    return {
+      error:
+        found.matches === 0
+          ? `No saved chat session matches "${ref}"`
+          : `"${ref}" matches ${found.matches} sessions — use its id or number from "sessions list"`,
+    }
+  }
+  const session = readSession(found.meta.id)
+  return session && Array.isArray(session.messages)
+    ? { session }
+    : { error: `The session "${found.meta.title}" is no longer on disk` }
+}
+
+// Non-interactive run: "ai rr text" or "echo text | ai rr", with leading
+// options (see options.js). Streams the raw answer to stdout (no spinner or
+// headers) so it pipes cleanly; the exit code tells a script what went wrong.
 export const runOneShot = async (argv) => {
-  await commandService.bootstrap()
+  const parsed = parseOneShotArgs(argv)
+  const options = parsed.options || {}
+  const report = createReporter(options)
+  if (parsed.error) return report.fail('invalid', `${parsed.error}\n${ONESHOT_USAGE}`)
+
+  // stdout carries only the answer (bootstrap notes included); failures are
+  // reported on stderr by this run itself
+  logger.setConsoleLogging(false)
   await configService.bootstrap()
+  await commandService.bootstrap()
 
-  const positional = argv.join(' ').trim()
+  const positional = parsed.rest.join(' ').trim()
   const piped = await readStdin()
   const input = [positional, piped].filter(Boolean).join(' ').trim()
 
-  if (!input) {
-    process.stderr.write('Usage: ai <command> <text>   |   echo text | ai <command>\n')
-    return EXIT_CODES.ERROR
-  }
+  if (!input) return report.fail('invalid', ONESHOT_USAGE)
 
   const stateManager = getStateManager()
   const controller = new AbortController()
@@ -44,64 +114,115 @@ export const runOneShot = async (argv) => {
   try {
     const instruction = await inputProcessingService.findInstructionCommand(input)
 
-    if (instruction && instruction.isInvalid) {
-      process.stderr.write(`${instruction.error}\n`)
-      return EXIT_CODES.ERROR
-    }
+    if (instruction && instruction.isInvalid) return report.fail('invalid', instruction.error)
 
-    let content = input
-    let includeContext = false
-    let providerModel = null
-    let providerId = firstAvailableProvider()
-
-    if (instruction) {
-      content = instruction.content
-      includeContext = instruction.context === true
-      if (instruction.models.length > 0) {
-        providerModel = {
-          provider: instruction.models[0].provider,
-          model: instruction.models[0].model,
-        }
-        providerId = instruction.models[0].provider
+    // A multi-model command runs all its models, as in the REPL — unless a
+    // flag picks one target
+    if (instruction && instruction.models.length > 1 && !options.provider && !options.model) {
+      if (options.context) {
+        return report.fail('invalid', '--context continues one conversation — pick a model with --provider/--model')
       }
+      const kind = await runMultiModel({ instruction, options, stateManager })
+      if (controller.signal.aborted) return EXIT_CODES.SIGINT
+      return kind ? EXIT_BY_KIND[kind] : EXIT_CODES.SUCCESS
     }
 
+    // Flags beat the command's own model; a --model alone stays on the
+    // command's (or the default) provider
+    const pinned = instruction && instruction.models.length > 0 ? instruction.models[0] : null
+    const available = configService.availableProviders()
+    const providerId = options.provider || (pinned ? pinned.provider : available[0])
     if (!providerId) {
-      process.stderr.write('No AI providers available - check your API keys\n')
-      return EXIT_CODES.ERROR
+      return report.fail('auth', 'No AI providers available - set an API key or run: ai login')
+    }
+    // A known provider without credentials is an auth failure; an unknown id a typo
+    if (!available.includes(providerId)) {
+      const known = configService.providerIds().includes(providerId)
+      return report.fail(
+        known ? 'auth' : 'invalid',
+        `Provider "${providerId}" is ${known ? 'not set up (no API key or gateway login)' : 'unknown'}${
+          available.length > 0 ? ` — available: ${available.join(', ')}` : ''
+        }`,
+      )
     }
+    // Checked against the provider's last model list (saved whenever the REPL
+    // loads it); a typo would otherwise surface as a provider error mid-request
+    if (options.model && !isListedModel(providerId, options.model)) {
+      return report.fail(
+        'invalid',
+        `Model "${options.model}" is not in the ${providerId} model list (refreshed when the REPL loads the provider)`,
+      )
+    }
+    const wantedModel = options.model || (pinned && pinned.provider === providerId ? pinned.model : null)
+
+    const context = options.context ? findChatSession(options.context) : null
+    if (context && context.error) return report.fail('invalid', context.error)
+
+    await stateManager.primeProvider(providerId, wantedModel)
+    const model = stateManager.getCurrentModel() || null
 
-    await stateManager.primeProvider(
-      providerId,
-      providerModel ? providerModel.model : null,
-    )
+    const content = instruction ? instruction.content : input
+    const includeContext = instruction ? instruction.context === true : false
+    const command = instruction ? instruction.id : null
+    report.start({ provider: providerId, model, command })
+
+    // A saved session continues its chain only on the provider+model that
+    // stored it; anywhere else (or once the chain expired) its history is resent
+    const strategy = stateManager.getConversationStrategy(providerId)
+    const session = context ? context.session : null
+    let token =
+      session && session.provider === providerId && session.model === model ? session.lastResponseId : null
+    const buildTurn = () =>
+      session
+        ? strategy.buildTurn({ history: session.messages, input: content, continuationToken: token })
+        : { messages: prepareStreamingMessages(stateManager, content, includeContext), options: null }
 
     const runStreamCommand = createStreamCommandRunner({ stateManager })
-    const messages = prepareStreamingMessages(stateManager, content, includeContext)
-
-    let wrote = false
-    await runStreamCommand({
-      controller,
-      messages,
-      providerModel,
-      useSpinner: false,
-      onChunk: ({ content: chunk }) => {
-        if (chunk) {
-          process.stdout.write(chunk)
-          wrote = true
-        }
+    const startedAt = Date.now()
+    let firstChunkAt = null
+    const parts = []
+    const run = (turn) =>
+      runStreamCommand({
+        controller,
+        messages: turn.messages,
+        completionOptions: turn.options,
+        useSpinner: false,
+        usageTag: command,
+        markdown: instruction ? instruction.markdown : null,
+        onChunk: ({ content: chunk }) => {
+          if (!chunk) return
+          if (firstChunkAt === null) firstChunkAt = Date.now()
+          parts.push(chunk)
+          report.chunk(chunk)
+        },
+      })
+
+    let result
+    try {
+      result = await run(buildTurn())
+    } catch (error) {
+      if (!token || !isChainMiss(error)) throw error
+      token = null
+      result = await run(buildTurn())
+    }
+
+    if (controller.signal.aborted || result.aborted) return EXIT_CODES.SIGINT
+    report.done({
+      text: parts.join(''),
+      provider: providerId,
+      model,
+      command,
+      responseId: result.responseId || null,
+      usage: result.usage || null,
+      timing: {
+        firstChunkMs: firstChunkAt === null ? null : firstChunkAt - startedAt,
+        totalMs: Date.now() - startedAt,
       },
     })
-
-    if (controller.signal.aborted) return EXIT_CODES.SIGINT
-    if (wrote) process.stdout.write('\n')
     return EXIT_CODES.SUCCESS
   } catch (error) {
     if (controller.signal.aborted) return EXIT_CODES.SIGINT
-    const message = sanitizeMessage(
-      error && error.message ? error.message : String(error),
-    )
-    process.stderr.write(`Error: ${message}\n`)
-    return EXIT_CODES.ERROR
+    const message = sanitizeMessage(error && error.message ? error.message : String(error))
+    return report.fail(failureKind(error) || 'error', `Error: ${message}`)
   }
 }
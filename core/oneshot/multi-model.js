@@ -0,0 +1,122 @@
+import { createMultiModelCommand } from '../response/multi-model/index.js'
+
+// One-shot output for a multi-model command: the REPL's multi-model path with
+// this UI in place of the spinners. Text mode prints a section per model — the
+// first to answer streams live, the others follow as they finish; --no-stream,
+// --json and --ndjson report every model in the command's own order once all
+// are done (JSON: one object per model per line). NDJSON uses the single-model
+// events, each naming its provider and model: a `start` per model up front,
+// the first model's `chunk`s as they stream, then a `done` per model (with
+// `success` and `error`). A failed model also gets a line on stderr.
+
+const SECTION_MARK = '==='
+
+const modelName = (model) => `${model.provider}/${model.model}`
+
+const createOneShotUI = (options, command, models) => {
+  const structured = options.json || options.ndjson
+  const live = !structured && !options.noStream
+  const line = (value) => process.stdout.write(`${JSON.stringify(value)}\n`)
+  let sections = 0
+  let results = []
+
+  const header = (model, failed) => {
+    const separator = sections > 0 ? '\n' : ''
+    sections++
+    return `${separator}${SECTION_MARK} ${modelName(model)}${failed ? ' — failed' : ''} ${SECTION_MARK}\n`
+  }
+
+  const reportFailure = (result) => {
+    const message = result.error
+    process.stderr.write(
+      structured
+        ? `${JSON.stringify({ error: { kind: result.errorKind || 'error', message, ...result.model } })}\n`
+        : `${modelName(result.model)}: ${message}\n`,
+    )
+  }
+
+  const writeSection = (result) => {
+    if (!result.success) {
+      process.stdout.write(header(result.model, true))
+      return
+    }
+    process.stdout.write(`${header(result.model, false)}${result.response}\n`)
+  }
+
+  const describe = (result) => ({
+    provider: result.model.provider,
+    model: result.model.model,
+    command,
+    success: result.success,
+    text: result.success ? result.response : null,
+    error: result.success ? null : result.error,
+    errorKind: result.success ? null : result.errorKind || 'error',
+    responseId: result.responseId || null,
+    usage: result.usage || null,
+    timing: { totalMs: Math.round(result.timing * 1000) },
+  })
+
+  let winner = null
+
+  return {
+    ui: {
+      startInitialSpinner: () => {
+        if (!options.ndjson) return
+        models.forEach((model) => line({ type: 'start', provider: model.provider, model: model.model, command }))
+      },
+      showRemainingSpinner: () => {},
+      cleanup: () => {},
+      createWinnerWriter: () => ({
+        write: (text) => {
+          if (options.ndjson && !options.noStream) line({ type: 'chunk', ...winner, text })
+          if (live) process.stdout.write(text)
+        },
+        end: () => {},
+      }),
+      displayWinnerHeader: (model) => {
+        winner = { provider: model.provider, model: model.model }
+        if (live) process.stdout.write(header(model, false))
+      },
+      displayWinnerTiming: () => {
+        if (live) process.stdout.write('\n')
+      },
+      displayModelResult: (result) => {
+        if (live) writeSection(result)
+      },
+      displaySummary: (successfulCount, totalCount, stateManager, all) => {
+        results = all
+        results.filter((result) => !result.success).forEach(reportFailure)
+        if (live) return
+        if (options.ndjson) results.forEach((result) => line({ type: 'done', ...describe(result) }))
+        else if (options.json) results.forEach((result) => line(describe(result)))
+        else results.forEach(writeSection)
+      },
+    },
+    // null when every model answered, 'partial' when only some did, else the
+    // first failure's kind
+    failureKind: () => {
+      if (results.every((result) => result.success)) return null
+      if (results.some((result) => result.success)) return 'partial'
+      const failed = results.find((result) => result.errorKind)
+      return failed ? failed.errorKind : 'error'
+    },
+  }
+}
+
+// Every model of the command, as the REPL runs them. Resolves to null on
+// success, else the failure kind for the exit code.
+export const runMultiModel = async ({ instruction, options, stateManager }) => {
+  const output = createOneShotUI(options, instruction.id, instruction.models)
+  const multiModelCommand = createMultiModelCommand({ createUI: () => output.ui })
+  await multiModelCommand.execute(
+    {
+      content: instruction.content,
+      commandId: instruction.id,
+      models: instruction.models,
+      context: instruction.context === true,
+      markdown: instruction.markdown,
+    },
+    { stateManager },
+  )
+  return output.failureKind()
+}
@@ -0,0 +1,51 @@
+// Leading flags of one-shot mode: `ai [flags] <command> <text>`. Only flags
+// before the first other word count (and `--` ends them), so a prompt may still
+// mention "--json". Value flags take the next word or `--flag=value`.
+
+const VALUE_FLAGS = { '--provider': 'provider', '--model': 'model', '--context': 'context' }
+const SWITCHES = { '--no-stream': 'noStream', '--json': 'json', '--ndjson': 'ndjson' }
+
+// For shell completion
+export const ONESHOT_VALUE_FLAGS = Object.keys(VALUE_FLAGS)
+export const ONESHOT_SWITCHES = Object.keys(SWITCHES)
+
+export const ONESHOT_USAGE = [
+  'Usage: ai [options] <command> <text>   |   echo text | ai [options] <command>',
+  '  --provider <id>      provider to run on (default: the command\'s own, else the first available)',
+  '  --model <id>         model on that provider',
+  '  --context <session>  continue a saved chat session (id, list number or title); it is not modified',
+  '  --no-stream          print the answer once it is complete',
+  '  --json               one JSON object: text, provider, model, command, responseId, usage, timing',
+  '  --ndjson             one JSON event per line: start, chunk..., done',
+].join('\n')
+
+// argv -> { options, rest } or { error }
+export const parseOneShotArgs = (argv) => {
+  const options = {
+    provider: null,
+    model: null,
+    context: null,
+    noStream: false,
+    json: false,
+    ndjson: false,
+  }
+  let i = 0
+  for (; i < argv.length && argv[i].startsWith('--'); i++) {
+    if (argv[i] === '--') {
+      i++
+      break
+    }
+    const at = argv[i].indexOf('=')
+    const flag = at === -1 ? argv[i] : argv[i].slice(0, at)
+    if (SWITCHES[flag] && at === -1) {
+      options[SWITCHES[flag]] = true
+      continue
+    }
+    if (!VALUE_FLAGS[flag]) return { error: `Unknown option ${argv[i]}` }
+    const value = at === -1 ? argv[++i] : argv[i].slice(at + 1)
+    if (!value || !value.trim()) return { error: `${flag} needs a value` }
+    options[VALUE_FLAGS[flag]] = value.trim()
+  }
+  if (options.json && options.ndjson) return { error: '--json and --ndjson cannot be combined' }
+  return { options, rest: argv.slice(i) }
+}
@@ -6,6 +6,10 @@
 
 import { stdout } from './stdout.js'
 import { ui } from './ui.js'
+import { createMarkdownRenderer, renderMarkdown } from './markdown.js'
+
+// Markdown is rendered only for a terminal; piped output keeps the raw text.
+const rendersMarkdown = () => Boolean(process.stdout.isTTY)
 
 export const outputHandler = {
   // Re-export all stdout functions
@@ -23,6 +27,21 @@ export const outputHandler = {
   // Stream output for real-time responses (using raw stdout)
   writeStream: (chunk) => stdout.writeRaw(chunk),
 
+  /**
+   * Streamed answer writer: markdown is rendered chunk by chunk on a terminal.
+   * end() must be called once the stream is over to release held text.
+   */
+  createStreamWriter() {
+    if (!rendersMarkdown()) {
+      return { write: (chunk) => stdout.writeRaw(chunk), end: () => {} }
+    }
+    const renderer = createMarkdownRenderer((text) => stdout.writeRaw(text))
+    return { write: renderer.push, end: renderer.end }
+  },
+
+  // Complete (buffered) answer, rendered the same way as a streamed one
+  formatMarkdown: (text) => (rendersMarkdown() ? renderMarkdown(text).trimEnd() : text),
+
   // Format functions (for components that need formatted strings)
   formatSuccess: (text) => ui.success(text),
   formatError: (text) => ui.error(text),
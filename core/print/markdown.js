@@ -0,0 +1,467 @@
+/**
+ * Incremental markdown -> ANSI renderer for streamed answers
+ * Text is pushed chunk by chunk and written as soon as its meaning is known:
+ * ordinary text goes out immediately, a marker waits for the one or two
+ * characters that decide it (`*` vs `**`), a line start waits until its block
+ * type is clear (`#`, `-`, `1.`), and code lines and tables — which need whole
+ * lines — are held until those lines complete. No regex: char scanning only.
+ */
+
+import { ANSI } from '../../config/ansi.js'
+import { MARKDOWN } from '../../config/constants.js'
+
+const { COLORS, STYLES } = ANSI
+
+const HEADING_STYLES = [
+  COLORS.BOLD + STYLES.UNDERLINE + COLORS.GOLD,
+  COLORS.BOLD + COLORS.GOLD,
+  COLORS.BOLD,
+]
+
+const CODE_SPAN_STYLE = COLORS.ORANGE_LIGHT
+const QUOTE_STYLE = COLORS.GREY + STYLES.ITALIC
+const KEYWORDS = new Set(MARKDOWN.KEYWORDS)
+const QUOTES = ['"', "'", '`']
+
+const isDigit = (ch) => ch >= '0' && ch <= '9'
+const isWordChar = (ch) =>
+  Boolean(ch) && (isDigit(ch) || ch === '_' || ch.toLowerCase() !== ch.toUpperCase())
+const isBlank = (text) => text.trim() === ''
+
+// Terminal cell width: East Asian wide characters take two cells.
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f], [0xff00, 0xff60], [0xffe0, 0xffe6], [0x20000, 0x3fffd],
+]
+
+// Visible width of a rendered string (ANSI escapes take no cells).
+const displayWidth = (text) => {
+  let width = 0
+  let inEscape = false
+  for (const ch of text) {
+    if (inEscape) {
+      if (ch === 'm') inEscape = false
+      continue
+    }
+    if (ch === '\x1b') {
+      inEscape = true
+      continue
+    }
+    const code = ch.codePointAt(0)
+    width += WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1
+  }
+  return width
+}
+
+const createInlineState = () => ({
+  bold: false,
+  italic: false,
+  strike: false,
+  code: false,
+  prev: '', // last consumed character of the line (word-boundary checks)
+})
+
+const activeStyles = (inline, lineStyle) =>
+  COLORS.RESET +
+  lineStyle +
+  (inline.bold ? COLORS.BOLD : '') +
+  (inline.italic ? STYLES.ITALIC : '') +
+  (inline.strike ? STYLES.STRIKE : '') +
+  (inline.code ? CODE_SPAN_STYLE : '')
+
+const anyStyle = (inline) => inline.bold || inline.italic || inline.strike || inline.code
+
+// Render inline markup (`code`, **bold**, *italic*, _italic_, ~~strike~~) from
+// the start of `text` up to a newline. Returns { out, consumed }; without
+// `final` it stops short of a marker whose meaning depends on unseen input.
+const renderInline = (text, inline, lineStyle, final) => {
+  let out = ''
+  let i = 0
+
+  const toggle = (style, length) => {
+    inline[style] = !inline[style]
+    out += activeStyles(inline, lineStyle)
+    inline.prev = text[i + length - 1]
+    i += length
+  }
+
+  while (i < text.length) {
+    const ch = text[i]
+    if (ch === '\n') break
+
+    if (inline.code) {
+      if (ch === '`') {
+        toggle('code', 1)
+        continue
+      }
+      out += ch
+      inline.prev = ch
+      i++
+      continue
+    }
+
+    if (ch === '`') {
+      toggle('code', 1)
+      continue
+    }
+
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const next = text[i + 1]
+      if (next === undefined && !final) break
+
+      if (next === ch) {
+        const after = text[i + 2]
+        if (after === undefined && !final) break
+        const style = ch === '~' ? 'strike' : 'bold'
+        const closes = inline[style] && !(ch === '_' && isWordChar(after))
+        const opens =
+          !inline[style] && after !== undefined && after !== ' ' && after !== '\n' &&
+          !(ch !== '~' && isWordChar(inline.prev))
+        if (closes || opens) {
+          toggle(style, 2)
+          continue
+        }
+        // An intraword run stays text whole, so its second half cannot open italic
+        if (ch !== '~' && !inline.italic && isWordChar(inline.prev)) {
+          out += ch + ch
+          inline.prev = ch
+          i += 2
+          continue
+        }
+      } else if (ch !== '~') {
+        // Emphasis opens only at a word's start, so snake_case and a*b stay
+        // intact; `_` also closes only at a word's end
+        const closes = inline.italic && !(ch === '_' && isWordChar(next))
+        const opens =
+          !inline.italic && next !== undefined && next !== ' ' && next !== '\n' &&
+          !isWordChar(inline.prev)
+        if (closes || opens) {
+          toggle('italic', 1)
+          continue
+        }
+      }
+    }
+
+    out += ch
+    inline.prev = ch
+    i++
+  }
+
+  return { out, consumed: i }
+}
+
+// Whole-string inline render (table cells).
+const renderInlineText = (text) => {
+  const inline = createInlineState()
+  const { out } = renderInline(text, inline, '', true)
+  return anyStyle(inline) ? out + COLORS.RESET : out
+}
+
+// Basic highlighting for one line of fenced code: comments, strings, numbers
+// and a shared keyword set. Multi-line strings/comments are not tracked.
+const highlightCode = (line, lang) => {
+  const comments = MARKDOWN.COMMENTS[lang] || MARKDOWN.DEFAULT_COMMENTS
+  let out = ''
+  let i = 0
+  while (i < line.length) {
+    const ch = line[i]
+    const comment = comments.find((marker) => line.startsWith(marker, i))
+    if (comment) {
+      out += COLORS.GREY + line.slice(i) + COLORS.RESET
+      break
+    }
+    if (QUOTES.includes(ch)) {
+      let end = i + 1
+      while (end < line.length && line[end] !== ch) {
+        end += line[end] === '\\' ? 2 : 1
+      }
+      out += COLORS.GREEN + line.slice(i, end + 1) + COLORS.RESET
+      i = end + 1
+      continue
+    }
+    if (isWordChar(ch)) {
+      let end = i
+      while (end < line.length && (isWordChar(line[end]) || (isDigit(ch) && line[end] === '.'))) {
+        end++
+      }
+      const word = line.slice(i, end)
+      if (isDigit(ch)) out += COLORS.YELLOW + word + COLORS.RESET
+      else if (KEYWORDS.has(word)) out += COLORS.MAGENTA + word + COLORS.RESET
+      else out += word
+      i = end
+      continue
+    }
+    out += ch
+    i++
+  }
+  return out
+}
+
+// Split "| a | b |" into trimmed cells.
+const tableCells = (line) => {
+  let body = line.trim()
+  if (body.startsWith('|')) body = body.slice(1)
+  if (body.endsWith('|')) body = body.slice(0, -1)
+  return body.split('|').map((cell) => cell.trim())
+}
+
+// The |---|:--:| row under a table header.
+const isSeparatorRow = (cells) =>
+  cells.length > 0 &&
+  cells.every((cell) => cell.length > 0 && [...cell].every((ch) => ch === '-' || ch === ':'))
+
+const renderTable = (lines) => {
+  const rows = lines.map(tableCells)
+  const hasHeader = rows.length > 1 && isSeparatorRow(rows[1])
+  const body = rows.filter((cells, index) => !(hasHeader && index === 1))
+  const rendered = body.map((cells) => cells.map(renderInlineText))
+  const columns = Math.max(...rendered.map((cells) => cells.length))
+  const widths = []
+  for (let c = 0; c < columns; c++) {
+    widths.push(Math.max(...rendered.map((cells) => displayWidth(cells[c] || ''))))
+  }
+
+  const formatRow = (cells, style) =>
+    widths
+      .map((width, c) => {
+        const cell = cells[c] || ''
+        return style + cell + COLORS.RESET + ' '.repeat(width - displayWidth(cell))
+      })
+      .join(COLORS.GREY + MARKDOWN.TABLE_SEPARATOR + COLORS.RESET)
+      .trimEnd()
+
+  const out = []
+  rendered.forEach((cells, index) => {
+    const isHeader = hasHeader && index === 0
+    out.push(formatRow(cells, isHeader ? COLORS.BOLD : ''))
+    if (isHeader) {
+      const rule = widths.map((width) => MARKDOWN.RULE.repeat(width))
+      out.push(COLORS.GREY + rule.join(MARKDOWN.RULE + '┼' + MARKDOWN.RULE) + COLORS.RESET)
+    }
+  })
+  return out.join('\n') + '\n'
+}
+
+const ruleLine = () => {
+  const columns = process.stdout.columns || MARKDOWN.RULE_MAX_WIDTH
+  return COLORS.GREY + MARKDOWN.RULE.repeat(Math.min(columns, MARKDOWN.RULE_MAX_WIDTH)) + COLORS.RESET
+}
+
+// Block type of a line from its beginning. `complete` = the whole line is
+// known. Returns null while the prefix could still become several things.
+const classifyLine = (line, complete) => {
+  const indentLength = line.length - line.trimStart().length
+  const body = line.slice(indentLength)
+  const indent = line.slice(0, indentLength)
+  const undecided = complete ? { type: 'paragraph', skip: 0 } : null
+
+  if (body === '') return complete ? { type: 'blank' } : null
+
+  const first = body[0]
+
+  if (first === '`') {
+    if (body.length < 3 && !complete) return null
+    if (body.startsWith('```')) {
+      return complete ? { type: 'fence', lang: body.slice(3).trim().toLowerCase() } : null
+    }
+    return { type: 'paragraph', skip: 0 }
+  }
+
+  if (first === '|') return complete ? { type: 'table' } : null
+
+  if (first === '#') {
+    let level = 0
+    while (body[level] === '#') level++
+    if (level === body.length) return undecided
+    if (body[level] === ' ' && level <= 6) {
+      return { type: 'heading', level, skip: indentLength + level + 1 }
+    }
+    return { type: 'paragraph', skip: 0 }
+  }
+
+  if (first === '>') {
+    if (body.length < 2 && !complete) return null
+    return { type: 'quote', skip: indentLength + (body[1] === ' ' ? 2 : 1) }
+  }
+
+  if (first === '-' || first === '*' || first === '_' || first === '+') {
+    // a run of one marker (spaces allowed) is a horizontal rule
+    const marks = [...body].filter((ch) => ch !== ' ')
+    const isRun = marks.every((ch) => ch === first)
+    if (isRun && !complete) return null
+    if (isRun && marks.length >= 3 && first !== '+') return { type: 'rule' }
+    if (first !== '_' && body[1] === ' ') {
+      return { type: 'bullet', indent, skip: indentLength + 2 }
+    }
+    if (body.length < 2 && !complete) return null
+    return { type: 'paragraph', skip: 0 }
+  }
+
+  if (isDigit(first)) {
+    let end = 0
+    while (isDigit(body[end])) end++
+    if (end === body.length) return undecided
+    if ((body[end] === '.' || body[end] === ')') && end + 1 === body.length) return undecided
+    if ((body[end] === '.' || body[end] === ')') && body[end + 1] === ' ') {
+      return { type: 'ordered', indent, marker: body.slice(0, end + 1), skip: indentLength + end + 2 }
+    }
+    return { type: 'paragraph', skip: 0 }
+  }
+
+  return { type: 'paragraph', skip: 0 }
+}
+
+export const createMarkdownRenderer = (write) => {
+  const state = {
+    buffer: '',
+    atLineStart: true,
+    lineStyle: '',
+    inline: createInlineState(),
+    code: null, // { lang } while inside a fenced block
+    table: [], // pending table lines
+  }
+
+  const endLine = () => {
+    const out = anyStyle(state.inline) || state.lineStyle ? COLORS.RESET + '\n' : '\n'
+    state.inline = createInlineState()
+    state.lineStyle = ''
+    state.atLineStart = true
+    return out
+  }
+
+  const flushTable = () => {
+    if (state.table.length === 0) return ''
+    const out = renderTable(state.table)
+    state.table = []
+    return out
+  }
+
+  // Take the next complete line off the buffer (or the rest when final).
+  const takeLine = (final) => {
+    const newline = state.buffer.indexOf('\n')
+    if (newline < 0 && !final) return null
+    const end = newline < 0 ? state.buffer.length : newline
+    const line = state.buffer.slice(0, end)
+    state.buffer = state.buffer.slice(newline < 0 ? end : end + 1)
+    return line
+  }
+
+  const blockStarts = {
+    blank: () => {
+      takeLine(true)
+      return '\n'
+    },
+    fence: (kind) => {
+      takeLine(true)
+      state.code = { lang: kind.lang }
+      return kind.lang ? `${COLORS.GREY}${kind.lang}${COLORS.RESET}\n` : ''
+    },
+    rule: () => {
+      takeLine(true)
+      return ruleLine() + '\n'
+    },
+    table: () => {
+      state.table.push(takeLine(true))
+      return ''
+    },
+    heading: (kind) => {
+      state.buffer = state.buffer.slice(kind.skip)
+      state.lineStyle = HEADING_STYLES[Math.min(kind.level, HEADING_STYLES.length) - 1]
+      state.atLineStart = false
+      return state.lineStyle
+    },
+    quote: (kind) => {
+      state.buffer = state.buffer.slice(kind.skip)
+      state.lineStyle = QUOTE_STYLE
+      state.atLineStart = false
+      return COLORS.GREY + MARKDOWN.GUTTER + state.lineStyle
+    },
+    bullet: (kind) => {
+      state.buffer = state.buffer.slice(kind.skip)
+      state.atLineStart = false
+      return `${kind.indent}${COLORS.YELLOW}${MARKDOWN.BULLET}${COLORS.RESET} `
+    },
+    ordered: (kind) => {
+      state.buffer = state.buffer.slice(kind.skip)
+      state.atLineStart = false
+      return `${kind.indent}${COLORS.YELLOW}${kind.marker}${COLORS.RESET} `
+    },
+    paragraph: () => {
+      state.atLineStart = false
+      return ''
+    },
+  }
+
+  // Render as much of the buffer as is decidable; returns the output.
+  const drain = (final) => {
+    let out = ''
+    while (state.buffer.length > 0) {
+      if (state.code) {
+        const line = takeLine(final)
+        if (line === null) break
+        if (line.trimStart().startsWith('```')) {
+          state.code = null
+          continue
+        }
+        out += COLORS.GREY + MARKDOWN.GUTTER + COLORS.RESET + highlightCode(line, state.code.lang) + '\n'
+        continue
+      }
+
+      if (state.atLineStart) {
+        const newline = state.buffer.indexOf('\n')
+        const complete = newline >= 0 || final
+        const line = newline < 0 ? state.buffer : state.buffer.slice(0, newline)
+        const kind = classifyLine(line, complete)
+        if (!kind) break
+        if (kind.type !== 'table') out += flushTable()
+        out += blockStarts[kind.type](kind)
+        continue
+      }
+
+      const { out: text, consumed } = renderInline(state.buffer, state.inline, state.lineStyle, final)
+      out += text
+      state.buffer = state.buffer.slice(consumed)
+      if (state.buffer[0] === '\n') {
+        state.buffer = state.buffer.slice(1)
+        out += endLine()
+        continue
+      }
+      if (consumed === 0 || state.buffer.length === 0) break
+    }
+    return out
+  }
+
+  const push = (chunk) => {
+    if (!chunk) return
+    state.buffer += chunk
+    const out = drain(false)
+    if (out) write(out)
+  }
+
+  // End of stream: render whatever is still held and close open styles.
+  const end = () => {
+    let out = drain(true) + flushTable()
+    if (anyStyle(state.inline) || state.lineStyle) out += COLORS.RESET
+    state.inline = createInlineState()
+    state.lineStyle = ''
+    state.atLineStart = true
+    state.code = null
+    if (out) write(out)
+  }
+
+  return {
+    push,
+    end,
+  }
+}
+
+// Render a complete markdown text in one go (buffered results).
+export const renderMarkdown = (text) => {
+  let out = ''
+  const renderer = createMarkdownRenderer((chunk) => {
+    out += chunk
+  })
+  renderer.push(text)
+  renderer.end()
+  return out
+}
@@ -24,8 +24,9 @@ export function createChatHandler(app) {
             process.stdout.write('\n')
           }
 
-          // Order matters: addToContext (inside updateContext) nulls the chain
-          // pointer, then the confirmed continuation token re-arms it.
+          // Order matters: addToContext (inside updateContext) invalidates
+          // every chain pointer, then the confirmed continuation token re-arms
+          // this provider's at the new history revision.
           updateContext(stateManager, input, result.text)
           stateManager.setLastResponseId(strategy.captureContinuation(result))
           outputHandler.writeContextDots(stateManager)
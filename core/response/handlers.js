@@ -1,5 +1,8 @@
 import { prepareStreamingMessages } from '../../utils/message-utils.js'
 import { createStreamCommandRunner } from './stream-runner.js'
+import { isChainMiss } from '../conversation/index.js'
+import { createContextCompactor } from '../conversation/compaction.js'
+import { outputHandler } from '../print/index.js'
 
 export const createStreamResponder = ({
   stateManager,
@@ -11,6 +14,7 @@ export const createStreamResponder = ({
   }
 
   const runStreamCommand = createStreamCommandRunner({ stateManager })
+  const compactContext = createContextCompactor({ stateManager, runStreamCommand })
 
   return async function respond({
     input,
@@ -18,6 +22,8 @@ export const createStreamResponder = ({
     onComplete,
     includeContext = true,
     chain = false,
+    usageTag = null,
+    markdown = null,
   }) {
     const controller = stateManager.getCurrentRequestController()
     if (!controller) {
@@ -26,30 +32,54 @@ export const createStreamResponder = ({
 
     // Interactive chat opt-in only: the current provider's conversation
     // strategy decides what the turn sends — only the new message when the
-    // server holds the context, the full history otherwise.
+    // server holds the context, the full history otherwise. A null pointer
+    // right after a provider/model switch re-anchors the chain the same way.
     const strategy =
       chain && !providerModel ? stateManager.getConversationStrategy() : null
 
+    // Over budget: older turns become a summary first (and, on Responses, the
+    // chain re-anchors from it because the pointer is gone)
+    if (includeContext) {
+      await compactContext({ controller, input, providerModel })
+      if (controller.signal.aborted) {
+        return { text: '', chunks: [], aborted: true, responseId: null, usage: null }
+      }
+    }
+
+    const history = includeContext ? stateManager.getContextHistory() : []
+    const continuationToken = strategy ? stateManager.getLastResponseId() : null
+
     const turn = strategy
-      ? strategy.buildTurn({
-          history: includeContext ? stateManager.getContextHistory() : [],
-          input,
-          continuationToken: stateManager.getLastResponseId(),
-        })
+      ? strategy.buildTurn({ history, input, continuationToken })
       : {
           messages: prepareStreamingMessages(stateManager, input, includeContext),
           options: null,
         }
 
-    const result = await runStreamCommand({
-      controller,
-      messages: turn.messages,
-      providerModel,
-      attachStreamProcessor,
-      showModelHeader,
-      onComplete,
-      completionOptions: turn.options,
-    })
+    const run = (built) =>
+      runStreamCommand({
+        controller,
+        messages: built.messages,
+        providerModel,
+        attachStreamProcessor,
+        showModelHeader,
+        onComplete,
+        completionOptions: built.options,
+        usageTag,
+        markdown,
+      })
+
+    let result
+    try {
+      result = await run(turn)
+    } catch (error) {
+      // The server lost the chain (e.g. a resumed session older than the
+      // provider's retention): drop the pointer and re-anchor once from history.
+      if (!continuationToken || !isChainMiss(error)) throw error
+      stateManager.setLastResponseId(null)
+      outputHandler.writeInfo('Server-side context expired — resending the conversation')
+      result = await run(strategy.buildTurn({ history, input, continuationToken: null }))
+    }
 
     // An aborted stream still completes and stays stored server-side (verified
     // live) — discard it so the chain never sees it.
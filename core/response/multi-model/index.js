@@ -3,8 +3,12 @@ import { createUIManager } from './ui-manager.js'
 import { createModelExecutor } from './model-executor.js'
 import { prepareStreamingMessages } from '../../../utils/message-utils.js'
 import { updateContext } from '../../../utils/context-utils.js'
+import { createStreamCommandRunner } from '../stream-runner.js'
+import { createContextCompactor } from '../../conversation/compaction.js'
 
-export const createMultiModelCommand = () => {
+// createUI: the REPL's spinners and markdown by default; one-shot mode passes
+// its own plain/JSON output with the same interface (see ui-manager.js).
+export const createMultiModelCommand = ({ createUI = createUIManager } = {}) => {
   const executeModels = async (
     models,
     commandData,
@@ -12,7 +16,7 @@ export const createMultiModelCommand = () => {
     controller,
   ) => {
     const coordinator = createMultiModelCoordinator()
-    const uiManager = createUIManager()
+    const uiManager = createUI()
     const modelExecutor = createModelExecutor(stateManager)
 
 
@@ -40,13 +44,24 @@ export const createMultiModelCommand = () => {
       uiManager.cleanup()
     }, { once: true })
 
+    // A command that keeps history holds it to the token budget, as the
+    // single-model path does — measured against its first model, which also
+    // writes the summary
+    if (commandData.context === true) {
+      const compactContext = createContextCompactor({
+        stateManager,
+        runStreamCommand: createStreamCommandRunner({ stateManager }),
+      })
+      await compactContext({ controller, input: commandData.content, providerModel: models[0] })
+      if (controller.signal.aborted) return 0
+    }
+
     // Prepare messages for streaming
     const messages = prepareStreamingMessages(stateManager, commandData.content, commandData.context === true)
 
     // Start initial spinner
     uiManager.startInitialSpinner(controller)
 
-    let successfulCount = 0
     const successfulResults = []
 
     // Collect successful results as they complete
@@ -58,13 +73,15 @@ export const createMultiModelCommand = () => {
 
     try {
       // Execute models race - simple Promise.all approach that waits for all models
-      successfulCount = await modelExecutor.executeModelsRace(
+      const results = await modelExecutor.executeModelsRace(
         models,
         messages,
         coordinator,
         uiManager,
         controller,
+        { usageTag: commandData.commandId, markdown: commandData.markdown },
       )
+      const successfulCount = results.filter((result) => result.success).length
 
       // Update context with successful responses (only when the command keeps history)
       if (commandData.context === true && successfulResults.length > 0) {
@@ -72,8 +89,8 @@ export const createMultiModelCommand = () => {
         updateContext(stateManager, commandData.content, allResponses)
       }
 
-      // Display final summary
-      uiManager.displaySummary(successfulCount, models.length, stateManager)
+      // Display final summary (results in the command's model order)
+      uiManager.displaySummary(successfulCount, models.length, stateManager, results)
 
       return successfulCount
     } catch (error) {
@@ -1,6 +1,5 @@
 import { logger } from '../../../utils/logger.js'
-import { outputHandler } from '../../print/index.js'
-import { errorHandler, isCancellation } from '../../error-system/index.js'
+import { errorHandler, isCancellation, failureKind } from '../../error-system/index.js'
 import { createStreamCommandRunner } from '../stream-runner.js'
 
 export const createModelExecutor = (stateManager) => {
@@ -12,21 +11,33 @@ export const createModelExecutor = (stateManager) => {
     coordinator,
     uiManager,
     controller,
+    request,
   ) => {
     const startTime = Date.now()
     let isThisModelWinner = false
     const responseBuffer = []
+    // The winner streams live through the UI's writer (the markdown renderer
+    // in the terminal)
+    let winnerWriter = null
+    const endWinnerWriter = () => {
+      if (winnerWriter) {
+        winnerWriter.end()
+        winnerWriter = null
+      }
+    }
 
     try {
       logger.debug(
         `ModelExecutor: Starting model ${coordinator.getModelKey(model)}`,
       )
 
-      const { aborted } = await runStreamCommand({
+      const { aborted, usage, responseId } = await runStreamCommand({
         controller,
         messages,
         providerModel: model,
         useSpinner: false,
+        usageTag: request.usageTag,
+        markdown: request.markdown,
         onChunk: ({ content }) => {
           if (!content || controller.signal.aborted) {
             return
@@ -39,14 +50,16 @@ export const createModelExecutor = (stateManager) => {
 
             if (isThisModelWinner) {
               uiManager.displayWinnerHeader(model)
+              winnerWriter = uiManager.createWinnerWriter()
             }
           }
 
           if (isThisModelWinner) {
-            outputHandler.writeStream(content)
+            winnerWriter.write(content)
           }
         },
       })
+      endWinnerWriter()
 
       const timing = (Date.now() - startTime) / 1000
       const fullResponse = responseBuffer.join('')
@@ -69,6 +82,8 @@ export const createModelExecutor = (stateManager) => {
             timing,
             success: true,
             isWinner: isThisModelWinner,
+            usage: usage || null,
+            responseId: responseId || null,
           }
 
       coordinator.completeModel(model, result)
@@ -79,9 +94,11 @@ export const createModelExecutor = (stateManager) => {
 
       return result
     } catch (error) {
+      endWinnerWriter()
       const timing = (Date.now() - startTime) / 1000
 
       let errorMessage = 'Model request failed'
+      let errorKind = null
       if (isCancellation(error)) {
         errorMessage = 'Request cancelled'
       } else {
@@ -93,6 +110,7 @@ export const createModelExecutor = (stateManager) => {
         if (processedError.userMessage) {
           errorMessage = processedError.userMessage
         }
+        errorKind = failureKind(error)
       }
 
       const result = {
@@ -100,6 +118,7 @@ export const createModelExecutor = (stateManager) => {
         timing,
         success: false,
         error: errorMessage,
+        errorKind,
         isWinner: isThisModelWinner,
       }
 
@@ -119,6 +138,7 @@ export const createModelExecutor = (stateManager) => {
     coordinator,
     uiManager,
     controller,
+    request = {},
   ) => {
     logger.debug(`ModelExecutor: Starting race with ${models.length} models`)
 
@@ -129,6 +149,7 @@ export const createModelExecutor = (stateManager) => {
         coordinator,
         uiManager,
         controller,
+        request,
       )
       coordinator.registerModel(model, promise)
       return promise
@@ -142,7 +163,7 @@ export const createModelExecutor = (stateManager) => {
       `ModelExecutor: Race completed - ${successfulCount}/${models.length} successful`,
     )
 
-    return successfulCount
+    return results
   }
 
   return {
@@ -85,6 +85,9 @@ export const createUIManager = () => {
     }
   }
 
+  // The first model to answer streams through the markdown renderer
+  const createWinnerWriter = () => outputHandler.createStreamWriter()
+
   const displayWinnerHeader = (model) => {
     ensureSpinnerStopped('success')
     winnerActive = true
@@ -126,7 +129,7 @@ export const createUIManager = () => {
       ensureSpinnerStopped('success')
       outputHandler.writeModel(model)
       if (response) {
-        outputHandler.write(response)
+        outputHandler.write(outputHandler.formatMarkdown(response))
       }
       outputHandler.write(`finished: ${timing.toFixed(1)}s`)
     } else {
@@ -183,6 +186,7 @@ export const createUIManager = () => {
     showRemainingSpinner,
     cleanup,
     // Display methods
+    createWinnerWriter,
     displayWinnerHeader,
     displayWinnerTiming,
     displayModelResult,
@@ -1,6 +1,7 @@
 import { EventEmitter } from 'node:events'
 import { createStreamProcessor } from '../../utils/stream-processor.js'
 import { isCancellation } from '../error-system/index.js'
+import { usageService } from '../../services/usage/index.js'
 
 export const createResponseSessionFactory = ({ stateManager }) => {
   if (!stateManager) {
@@ -13,6 +14,8 @@ export const createResponseSessionFactory = ({ stateManager }) => {
     providerModel = null,
     attachStreamProcessor = false,
     completionOptions = null,
+    usageTag = null,
+    markdown = null,
   }) {
     if (!controller) {
       throw new Error('AbortController is required to start response session')
@@ -36,6 +39,15 @@ export const createResponseSessionFactory = ({ stateManager }) => {
       })
 
       let responseId = null
+      let usage = null
+
+      // Resolved up front: the request is billed to whoever served it, even if
+      // the user switches provider while it streams.
+      const current = providerModel || stateManager.getCurrentProvider() || {}
+      const billedTo = {
+        provider: providerModel ? current.provider : current.key,
+        model: current.model,
+      }
 
       try {
         const stream = await stateManager.createChatCompletion(
@@ -46,6 +58,7 @@ export const createResponseSessionFactory = ({ stateManager }) => {
             ...(completionOptions || {}),
           },
           providerModel || undefined,
+          markdown,
         )
 
         let firstChunk = true
@@ -69,8 +82,15 @@ export const createResponseSessionFactory = ({ stateManager }) => {
           (id) => {
             responseId = id
           },
+          (reported) => {
+            usage = reported
+          },
         )
 
+        if (usage && billedTo.provider) {
+          usageService.record({ ...billedTo, command: usageTag, usage })
+        }
+
         const text = chunks.join('')
 
         return {
@@ -78,6 +98,7 @@ export const createResponseSessionFactory = ({ stateManager }) => {
           chunks,
           aborted: false,
           responseId,
+          usage,
         }
       } catch (error) {
         if (controller.signal.aborted || isCancellation(error)) {
@@ -88,6 +109,7 @@ export const createResponseSessionFactory = ({ stateManager }) => {
             chunks: [],
             aborted: true,
             responseId,
+            usage: null,
           }
         }
 
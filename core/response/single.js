@@ -31,19 +31,33 @@ export function createSingleModelCommand(app) {
         ? extractProviderModel(data.models[0])
         : null
 
-      return await processSingleModelRequest(data.content, providerModel, data.context === true)
+      return await processSingleModelRequest(
+        data.content,
+        providerModel,
+        data.context === true,
+        data.commandId,
+        data.markdown,
+      )
     } catch (error) {
       await errorHandler.handleError(error, { component: 'SingleModelCommand' })
       return []
     }
   }
 
-  async function processSingleModelRequest(content, providerModel = null, includeContext = true) {
+  async function processSingleModelRequest(
+    content,
+    providerModel = null,
+    includeContext = true,
+    commandId = null,
+    markdown = null,
+  ) {
     try {
       const { text, aborted } = await respond({
         input: content,
         providerModel,
         includeContext,
+        usageTag: commandId,
+        markdown,
         onComplete: async ({ text }) => {
           if (text.trim()) {
             process.stdout.write('\n')
@@ -21,6 +21,10 @@ export const createStreamCommandRunner = ({ stateManager }) => {
       onComplete,
       completionOptions = null,
       streamLabel = null,
+      usageTag = null,
+      markdown = null,
+      // Rendered answers by default; dd streams translations verbatim
+      renderMarkdown = true,
     } = options
 
     if (!controller) {
@@ -33,8 +37,23 @@ export const createStreamCommandRunner = ({ stateManager }) => {
       providerModel,
       attachStreamProcessor,
       completionOptions,
+      usageTag,
+      markdown,
     })
 
+    // Only the default output path renders; an onChunk caller owns its output
+    const writer =
+      !onChunk && renderMarkdown
+        ? outputHandler.createStreamWriter()
+        : { write: outputHandler.writeStream, end: () => {} }
+    let writerOpen = true
+    const endWriter = () => {
+      if (writerOpen) {
+        writerOpen = false
+        writer.end()
+      }
+    }
+
     const spinner = useSpinner ? createSpinner() : null
 
     if (useSpinner && spinner) {
@@ -72,7 +91,7 @@ export const createStreamCommandRunner = ({ stateManager }) => {
       if (onChunk) {
         onChunk({ content })
       } else {
-        outputHandler.writeStream(content)
+        writer.write(content)
       }
     })
 
@@ -84,6 +103,7 @@ export const createStreamCommandRunner = ({ stateManager }) => {
 
     try {
       const result = await session.start()
+      endWriter()
 
       // Close the labelled line so the next leg/prompt starts clean.
       if (streamLabel && !result.aborted) {
@@ -96,6 +116,7 @@ export const createStreamCommandRunner = ({ stateManager }) => {
 
       return result
     } finally {
+      endWriter()
       if (spinner) {
         spinner.dispose()
       }
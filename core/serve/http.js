@@ -0,0 +1,67 @@
+// HTTP plumbing for `ai serve` — node:http only. Error replies follow the
+// gateway's shape ({ error: { code, message } }) so one client can read both.
+
+export const SERVE_ERRORS = {
+  INVALID_INPUT: { status: 400, code: 'INVALID_INPUT', message: 'Invalid input.' },
+  UNAUTHORIZED: { status: 401, code: 'UNAUTHORIZED', message: 'Missing or wrong bearer token.' },
+  NOT_FOUND: { status: 404, code: 'NOT_FOUND', message: 'Not found.' },
+  BUSY: { status: 409, code: 'BUSY', message: 'This chat session is answering another request.' },
+  TOO_LARGE: { status: 413, code: 'TOO_LARGE', message: 'Request body too large.' },
+  NO_PROVIDER: { status: 503, code: 'NO_PROVIDER', message: 'No AI provider is available.' },
+  PROVIDER_ERROR: { status: 502, code: 'PROVIDER_ERROR', message: 'The provider request failed.' },
+  SERVER_ERROR: { status: 500, code: 'SERVER_ERROR', message: 'Something went wrong.' },
+}
+
+export const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
+
+// message overrides the catalog text (already sanitized by the caller).
+export const sendError = (res, apiError, message = null) => {
+  if (res.headersSent) {
+    res.end()
+    return
+  }
+  sendJson(res, apiError.status, {
+    error: { code: apiError.code, message: message || apiError.message },
+  })
+}
+
+// Body as { json } or { text } by content type, { tooLarge } past the cap,
+// { invalid } for malformed JSON. Plain-text bodies keep Shortcuts simple.
+export const readBody = async (req, maxBytes) => {
+  const chunks = []
+  let total = 0
+  for await (const chunk of req) {
+    total += chunk.length
+    if (total > maxBytes) return { tooLarge: true }
+    chunks.push(chunk)
+  }
+  const raw = Buffer.concat(chunks).toString('utf8')
+  const type = req.headers['content-type'] || ''
+  if (!type.startsWith('application/json')) return { text: raw }
+  if (!raw.trim()) return { json: {} }
+  try {
+    return { json: JSON.parse(raw) }
+  } catch (e) {
+    return { invalid: true }
+  }
+}
+
+// SSE when the client asks for it (Accept header or ?stream=1), JSON otherwise.
+export const wantsStream = (req, url) =>
+  (req.headers['accept'] || '').includes('text/event-stream') ||
+  url.searchParams.get('stream') === '1'
+
+export const startEvents = (res) => {
+  res.writeHead(200, {
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+  })
+}
+
+export const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
@@ -0,0 +1,102 @@
+import { createServer } from 'node:http'
+import { getStateManager } from '../StateManager.js'
+import { commandService } from '../../services/commands/index.js'
+import { configService } from '../../services/config/index.js'
+import { logger } from '../../utils/logger.js'
+import { EXIT_CODES, SERVE } from '../../config/constants.js'
+import { SERVE_ERRORS, sendError } from './http.js'
+import { loadServeToken, isAuthorized, serveTokenPath } from './token.js'
+import { createServeRoutes } from './routes.js'
+
+// `ai serve [--port N]` — a localhost HTTP API over the configured commands and
+// chat, for Shortcuts, editor plugins and scripts that would otherwise spawn
+// one process per request:
+//   POST /run/<commandKey>   {"input": "..."} or a plain-text body
+//   POST /chat               {"message": "...", "session"?, "provider"?, "model"?}
+//   GET  /commands           GET /models
+// Answers are JSON, or SSE (event: chunk/done/error) with Accept:
+// text/event-stream or ?stream=1. Loopback only; every request needs
+// "Authorization: Bearer <token>" (see token.js).
+
+const PORT_FLAG = '--port'
+
+const parsePort = (argv) => {
+  let value = null
+  argv.forEach((arg, index) => {
+    if (arg === PORT_FLAG) value = argv[index + 1]
+    if (arg.startsWith(`${PORT_FLAG}=`)) value = arg.slice(PORT_FLAG.length + 1)
+  })
+  if (value === null) return SERVE.PORT
+  const port = Number(value)
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : null
+}
+
+const createHandler = ({ token, routes }) => async (req, res) => {
+  if (!isAuthorized(req, token)) return sendError(res, SERVE_ERRORS.UNAUTHORIZED)
+
+  const url = new URL(req.url, `http://${SERVE.HOST}`)
+  const segments = url.pathname.split('/').filter(Boolean)
+
+  if (req.method === 'GET' && url.pathname === '/commands') return routes.handleCommands(req, res)
+  if (req.method === 'GET' && url.pathname === '/models') return routes.handleModels(req, res)
+  if (req.method === 'POST' && url.pathname === '/chat') return routes.handleChat(req, res, url)
+  if (req.method === 'POST' && segments[0] === 'run' && segments.length === 2) {
+    return routes.handleRun(req, res, url, decodeURIComponent(segments[1]))
+  }
+  return sendError(res, SERVE_ERRORS.NOT_FOUND)
+}
+
+const listen = (server, port) =>
+  new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, SERVE.HOST, () => {
+      server.off('error', reject)
+      resolve()
+    })
+  })
+
+export const runServe = async (argv) => {
+  await configService.bootstrap()
+  await commandService.bootstrap()
+
+  const port = parsePort(argv)
+  if (port === null) {
+    process.stderr.write(`Usage: ai serve [${PORT_FLAG} <1-65535>]\n`)
+    return EXIT_CODES.ERROR
+  }
+  if (configService.availableProviders().length === 0) {
+    process.stderr.write('No AI providers available - check your API keys\n')
+    return EXIT_CODES.ERROR
+  }
+
+  const token = loadServeToken()
+  const routes = createServeRoutes({ stateManager: getStateManager() })
+  const handle = createHandler({ token, routes })
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      logger.debug('serve: request failed', error)
+      sendError(res, SERVE_ERRORS.SERVER_ERROR)
+    })
+  })
+
+  try {
+    await listen(server, port)
+  } catch (error) {
+    process.stderr.write(`Cannot listen on ${SERVE.HOST}:${port}: ${error.code || error.message}\n`)
+    return EXIT_CODES.ERROR
+  }
+
+  const tokenSource = process.env[SERVE.TOKEN_ENV] ? `$${SERVE.TOKEN_ENV}` : serveTokenPath()
+  process.stdout.write(
+    `ai serve on http://${SERVE.HOST}:${port} — bearer token: ${tokenSource}\n` +
+      'POST /run/<key>  POST /chat  GET /commands  GET /models   (Ctrl+C to stop)\n',
+  )
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve)
+    process.once('SIGTERM', resolve)
+  })
+  server.closeAllConnections()
+  await new Promise((resolve) => server.close(resolve))
+  return EXIT_CODES.SUCCESS
+}
@@ -0,0 +1,323 @@
+import { randomUUID } from 'node:crypto'
+import { inputProcessingService } from '../../services/input-processing/index.js'
+import { commandService } from '../../services/commands/index.js'
+import { configService } from '../../services/config/index.js'
+import { readSession, listSessions } from '../../services/sessions/store.js'
+import { createStreamCommandRunner } from '../response/stream-runner.js'
+import { isChainMiss } from '../conversation/index.js'
+import { compactHistory } from '../conversation/compaction.js'
+import { sanitizeMessage } from '../error-system/index.js'
+import { SERVE, USAGE } from '../../config/constants.js'
+import {
+  SERVE_ERRORS,
+  sendJson,
+  sendError,
+  readBody,
+  wantsStream,
+  startEvents,
+  sendEvent,
+} from './http.js'
+
+// Endpoints of `ai serve`. Every request names its provider+model explicitly
+// (providerModel), so concurrent requests never touch the REPL's global
+// provider state; routing (gateway overlay, proxy, mock) is the usual
+// StateManager path. Answers stream as SSE chunks or come back as one JSON.
+
+const errorText = (error) => sanitizeMessage(error && error.message ? error.message : String(error))
+
+const modelIds = (models) => (models || []).map((model) => model.id || model).filter(Boolean)
+
+export const createServeRoutes = ({ stateManager }) => {
+  const runStreamCommand = createStreamCommandRunner({ stateManager })
+
+  // /chat sessions live in memory: { history, tip, provider, model, touchedAt, busy }
+  const chats = new Map()
+
+  const dropIdleChats = () => {
+    const cutoff = Date.now() - SERVE.CHAT_SESSION_TTL_MS
+    for (const [id, chat] of chats) {
+      if (!chat.busy && chat.touchedAt < cutoff) chats.delete(id)
+    }
+  }
+
+  // Explicit provider (+ model) from the request, else the first available
+  // provider; the model falls back to the provider's default.
+  const resolveTarget = async (provider = null, model = null) => {
+    const available = configService.availableProviders()
+    const key = provider || available[0]
+    if (!key) return { error: SERVE_ERRORS.NO_PROVIDER }
+    if (!available.includes(key)) {
+      return { error: SERVE_ERRORS.INVALID_INPUT, message: `Provider "${key}" is not available` }
+    }
+    if (model) return { target: { provider: key, model } }
+    try {
+      const ready = await stateManager.ensureProviderReady(key)
+      const fallback = ready.config.defaultModel || modelIds(ready.models)[0]
+      return { target: { provider: key, model: fallback } }
+    } catch (error) {
+      return { error: SERVE_ERRORS.PROVIDER_ERROR, message: errorText(error) }
+    }
+  }
+
+  const readInput = async (req, res, field) => {
+    const body = await readBody(req, SERVE.MAX_BODY_BYTES)
+    if (body.tooLarge) return sendError(res, SERVE_ERRORS.TOO_LARGE)
+    if (body.invalid) return sendError(res, SERVE_ERRORS.INVALID_INPUT, 'Body is not valid JSON')
+    const json = body.json || {}
+    const input = body.json ? json[field] : body.text
+    if (typeof input !== 'string' || !input.trim()) {
+      return sendError(res, SERVE_ERRORS.INVALID_INPUT, `Send the text as "${field}" (JSON) or as a plain-text body`)
+    }
+    return { input: input.trim(), json }
+  }
+
+  // A client that hangs up aborts whatever provider stream serves it
+  const abortOnHangUp = (res) => {
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort()
+    })
+    return controller
+  }
+
+  // One streamed completion wired to the HTTP response
+  const stream = async ({ req, res, url, messages, target, usageTag, markdown, options, first }) => {
+    const controller = abortOnHangUp(res)
+
+    // A re-anchoring retry reuses the event stream the first attempt opened
+    const streaming = wantsStream(req, url)
+    if (streaming && !res.headersSent) {
+      startEvents(res)
+      if (first) sendEvent(res, first.event, first.data)
+    }
+
+    const parts = []
+    const result = await runStreamCommand({
+      controller,
+      messages,
+      providerModel: target,
+      useSpinner: false,
+      completionOptions: options,
+      usageTag,
+      markdown,
+      onChunk: ({ content }) => {
+        parts.push(content)
+        if (streaming) sendEvent(res, 'chunk', { text: content })
+      },
+    })
+    return { result, streaming, text: parts.join('') }
+  }
+
+  const finish = (res, { streaming, text }, extra) => {
+    const body = { text, ...extra }
+    if (streaming) {
+      sendEvent(res, 'done', body)
+      res.end()
+      return
+    }
+    sendJson(res, 200, body)
+  }
+
+  const fail = (res, error) => {
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        sendEvent(res, 'error', { code: SERVE_ERRORS.PROVIDER_ERROR.code, message: errorText(error) })
+        res.end()
+      }
+      return
+    }
+    sendError(res, SERVE_ERRORS.PROVIDER_ERROR, errorText(error))
+  }
+
+  // POST /run/<commandKey>  body: {"input": "..."} or plain text.
+  // A multi-model command answers with its first model (as one-shot does).
+  const handleRun = async (req, res, url, key) => {
+    const read = await readInput(req, res, 'input')
+    if (!read) return
+
+    const instruction = await inputProcessingService.findInstructionCommand(`${key} ${read.input}`)
+    if (!instruction || instruction.commandKey !== key) {
+      return sendError(res, SERVE_ERRORS.NOT_FOUND, `No command with key "${key}"`)
+    }
+
+    const pinned = instruction.models.length > 0 ? instruction.models[0] : null
+    const resolved = pinned
+      ? { target: { provider: pinned.provider, model: pinned.model } }
+      : await resolveTarget(read.json.provider, read.json.model)
+    if (resolved.error) return sendError(res, resolved.error, resolved.message)
+
+    try {
+      const run = await stream({
+        req,
+        res,
+        url,
+        messages: [{ role: 'user', content: instruction.content }],
+        target: resolved.target,
+        usageTag: instruction.id,
+        markdown: instruction.markdown,
+      })
+      if (run.result.aborted) return
+      finish(res, run, { command: instruction.id, ...resolved.target, usage: run.result.usage })
+    } catch (error) {
+      fail(res, error)
+    }
+  }
+
+  // An existing /chat session, a saved chat (`save`) opened by its id, or null.
+  // Saved ids are matched against the list, never joined into a path as given.
+  const findChat = (id) => {
+    const live = chats.get(id)
+    if (live) return live
+    const known = listSessions().some((meta) => meta.id === id && meta.kind === 'chat')
+    const saved = known ? readSession(id) : null
+    if (!saved) return null
+    const chat = {
+      history: saved.messages.map(({ role, content }) => ({ role, content })),
+      tip: saved.lastResponseId,
+      provider: saved.provider,
+      model: saved.model,
+      touchedAt: Date.now(),
+      busy: false,
+    }
+    chats.set(id, chat)
+    return chat
+  }
+
+  // One turn of a chat. Same chain rules as the REPL: a pointer only continues
+  // on the provider+model that produced it; a lost chain re-anchors once.
+  const chatTurn = async ({ req, res, url, id, chat, read }) => {
+    const resolved = await resolveTarget(
+      read.json.provider || chat.provider,
+      read.json.model || (read.json.provider ? null : chat.model),
+    )
+    if (resolved.error) return sendError(res, resolved.error, resolved.message)
+    const target = resolved.target
+
+    // The history is held to the target's token budget, as in the REPL. The
+    // summary replaces turns the server chain still holds, so the chain
+    // re-anchors from the shorter history.
+    const compacted = await compactHistory({
+      history: chat.history,
+      input: read.input,
+      providerKey: target.provider,
+      model: target.model,
+      providerModel: target,
+      controller: abortOnHangUp(res),
+      runStreamCommand,
+    })
+    if (res.destroyed) return
+    if (compacted) {
+      chat.history = compacted
+      chat.tip = null
+    }
+
+    const strategy = stateManager.getConversationStrategy(target.provider)
+    const sameTarget = chat.provider === target.provider && chat.model === target.model
+    const token = sameTarget ? chat.tip : null
+    const first = { event: 'session', data: { session: id } }
+    const send = (continuationToken) => {
+      const turn = strategy.buildTurn({ history: chat.history, input: read.input, continuationToken })
+      return stream({
+        req,
+        res,
+        url,
+        messages: turn.messages,
+        options: turn.options,
+        target,
+        usageTag: USAGE.CHAT_COMMAND,
+        markdown: null,
+        first,
+      })
+    }
+
+    try {
+      let run
+      try {
+        run = await send(token)
+      } catch (error) {
+        if (!token || !isChainMiss(error)) throw error
+        run = await send(null)
+      }
+
+      if (run.result.aborted) {
+        strategy.discard(strategy.captureContinuation(run.result))
+        return
+      }
+
+      chat.history.push({ role: 'user', content: read.input })
+      chat.history.push({ role: 'assistant', content: run.text })
+      chat.tip = strategy.captureContinuation(run.result)
+      chat.provider = target.provider
+      chat.model = target.model
+      finish(res, run, { session: id, ...target, usage: run.result.usage })
+    } catch (error) {
+      fail(res, error)
+    }
+  }
+
+  // POST /chat  body: {"message": "...", "session"?, "provider"?, "model"?}
+  // Without a session id a new one is started; the reply carries it.
+  const handleChat = async (req, res, url) => {
+    const read = await readInput(req, res, 'message')
+    if (!read) return
+    dropIdleChats()
+
+    const sessionId = typeof read.json.session === 'string' ? read.json.session : null
+    const id = sessionId || randomUUID()
+    let chat = sessionId ? findChat(sessionId) : null
+    if (sessionId && !chat) return sendError(res, SERVE_ERRORS.NOT_FOUND, `No chat session "${sessionId}"`)
+    if (chat && chat.busy) return sendError(res, SERVE_ERRORS.BUSY)
+    if (!chat) {
+      chat = { history: [], tip: null, provider: null, model: null, touchedAt: Date.now(), busy: false }
+      chats.set(id, chat)
+    }
+
+    chat.busy = true
+    try {
+      await chatTurn({ req, res, url, id, chat, read })
+    } finally {
+      chat.busy = false
+      chat.touchedAt = Date.now()
+    }
+  }
+
+  // GET /commands — the configured instruction commands
+  const handleCommands = async (req, res) => {
+    const commands = commandService.getCommands()
+    const list = Object.entries(commands).map(([id, command]) => ({
+      id,
+      keys: command.key,
+      description: command.description,
+      models: command.models,
+      context: command.context === true,
+    }))
+    sendJson(res, 200, { commands: list })
+  }
+
+  // GET /models — every available provider with its live model list
+  const handleModels = async (req, res) => {
+    const providers = []
+    for (const key of configService.availableProviders()) {
+      const config = configService.getProviderConfig(key)
+      try {
+        const ready = await stateManager.ensureProviderReady(key)
+        providers.push({
+          provider: key,
+          name: config.name,
+          defaultModel: ready.config.defaultModel || null,
+          models: modelIds(ready.models),
+        })
+      } catch (error) {
+        providers.push({ provider: key, name: config.name, error: errorText(error) })
+      }
+    }
+    sendJson(res, 200, { providers })
+  }
+
+  return {
+    handleRun,
+    handleChat,
+    handleCommands,
+    handleModels,
+  }
+}
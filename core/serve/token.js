@@ -0,0 +1,37 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+import { configDir } from '../../services/config/paths.js'
+import { SERVE, USER_CONFIG } from '../../config/constants.js'
+
+// Bearer token for `ai serve`: OPENAI_CLI_SERVE_TOKEN wins, else the token
+// file, created (0600) on first serve. Clients read the same file.
+
+export const serveTokenPath = () => path.join(configDir(), USER_CONFIG.SERVE_TOKEN_FILE)
+
+export const loadServeToken = () => {
+  const fromEnv = (process.env[SERVE.TOKEN_ENV] || '').trim()
+  if (fromEnv) return fromEnv
+
+  const file = serveTokenPath()
+  try {
+    const stored = fs.readFileSync(file, 'utf8').trim()
+    if (stored) return stored
+  } catch (e) {
+    // first serve — create it below
+  }
+
+  const token = randomBytes(SERVE.TOKEN_BYTES).toString('base64url')
+  fs.mkdirSync(configDir(), { recursive: true })
+  fs.writeFileSync(file, `${token}\n`, { mode: 0o600 })
+  return token
+}
+
+// Constant-time comparison of the presented "Authorization: Bearer <token>".
+export const isAuthorized = (req, token) => {
+  const header = req.headers['authorization'] || ''
+  if (!header.startsWith('Bearer ')) return false
+  const presented = Buffer.from(header.slice('Bearer '.length))
+  const expected = Buffer.from(token)
+  return presented.length === expected.length && timingSafeEqual(presented, expected)
+}
@@ -72,6 +72,7 @@ const createCleanContext = (applicationLoop) => {
     conversation: {
       getHistory: () => app.stateManager.getContextHistory(),
       getLastResponseId: () => app.stateManager.getLastResponseId(),
+      restore: (messages, chain) => app.stateManager.restoreContext(messages, chain),
     },
 
     // Mode interfaces - a mode captures subsequent REPL lines until it leaves
@@ -79,6 +80,11 @@ const createCleanContext = (applicationLoop) => {
       enter: (mode) => applicationLoop.setActiveMode(mode),
       leave: () => applicationLoop.setActiveMode(null),
     },
+
+    // Input interfaces - hand composed text to the loop (Router or active mode)
+    input: {
+      submit: (text) => applicationLoop.submitInput(text),
+    },
   }
 }
 
@@ -116,6 +122,8 @@ export const runHeadless = async (systemCommand, args) => {
   try {
     const instance = await loadCommand(systemCommand)
     const result = await instance.execute(args, null)
+    // A command that wrote its own output answers with the exit code instead
+    if (typeof result === 'number') return result
     if (typeof result === 'string' && result.trim()) {
       process.stdout.write(result + '\n')
     }
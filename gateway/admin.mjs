@@ -6,11 +6,14 @@
 //   node admin.mjs passwd  <email>
 //   node admin.mjs revoke  <email>
 //   node admin.mjs list
+//   node admin.mjs usage [email]                  (today / this month / quota; per-model rows for one user)
+//   node admin.mjs quota <email> [daily] [monthly] (tokens per UTC day / month; "off" = no limit)
 
 import { homedir } from 'node:os'
 import { openDb } from './db.mjs'
 import { createUsersRepo } from './users-repo.mjs'
 import { createSessionsRepo } from './sessions-repo.mjs'
+import { createUsageRepo, windowStart } from './usage-repo.mjs'
 import { createPasswordHasher } from './kit/passwords.mjs'
 import { normalizeEmail } from './kit/email.mjs'
 import { promptLine, promptHidden } from './prompt-hidden.mjs'
@@ -24,6 +27,7 @@ const TTL_DAYS = Number(process.env.GW_SESSION_TTL_DAYS) || 90
 const db = openDb(DB_PATH)
 const users = createUsersRepo(db)
 const sessions = createSessionsRepo(db, { ttlSeconds: TTL_DAYS * 86400 })
+const usage = createUsageRepo(db)
 const hasher = createPasswordHasher()
 const now = () => Math.floor(Date.now() / 1000)
 
@@ -38,6 +42,26 @@ const requireEmail = (raw) => {
   return email
 }
 
+const REPORT_DAYS = 30
+const NO_LIMIT = 'off'
+
+const tokens = (totals) => totals.input + totals.output
+
+const limitText = (limit) => (limit === null ? 'none' : String(limit))
+
+// "off" clears a limit; otherwise a positive integer token count.
+const parseLimit = (raw) => {
+  if (raw === NO_LIMIT) return null
+  const n = Number(raw)
+  if (!Number.isInteger(n) || n <= 0) fail(`invalid limit: ${raw} (a positive token count or "${NO_LIMIT}")`)
+  return n
+}
+
+const usageLine = (email, summary) =>
+  `${email}  today=${tokens(summary.today)} tokens/${summary.today.requests} req` +
+  `  month=${tokens(summary.month)} tokens/${summary.month.requests} req` +
+  `  quota=${limitText(summary.quota.daily)}/day,${limitText(summary.quota.monthly)}/month`
+
 const readNewPassword = async () => {
   const first = await promptHidden(`New password (${PASSWORD_MIN}-${PASSWORD_MAX} chars): `)
   if (first.length < PASSWORD_MIN || first.length > PASSWORD_MAX) {
@@ -89,13 +113,53 @@ const commands = {
       console.log(`${user.email}  sessions=${sessions.countForUser(user.id)}  created=${created}`)
     }
   },
+
+  usage: async (arg) => {
+    const now = Date.now()
+    if (!arg) {
+      const rows = users.list()
+      if (rows.length === 0) console.log('no users')
+      for (const user of rows) console.log(usageLine(user.email, usage.summary(user.id, now)))
+      return
+    }
+    const email = requireEmail(arg)
+    const user = users.findByEmail(email)
+    if (!user) fail(`no such user: ${email}`)
+    console.log(usageLine(email, usage.summary(user.id, now)))
+    const rows = usage.rowsSince(user.id, windowStart(REPORT_DAYS, now))
+    if (rows.length === 0) {
+      console.log(`no requests in the last ${REPORT_DAYS} days`)
+      return
+    }
+    for (const row of rows) {
+      console.log(
+        `  ${row.day}  ${row.provider}/${row.model}  req=${row.requests}` +
+          `  in=${row.input} (cached ${row.cached})  out=${row.output} (reasoning ${row.reasoning})`,
+      )
+    }
+  },
+
+  quota: async (arg, [daily, monthly] = []) => {
+    const email = arg ? requireEmail(arg) : requireEmail(await promptLine('Email: '))
+    const user = users.findByEmail(email)
+    if (!user) fail(`no such user: ${email}`)
+    if (daily !== undefined) {
+      const current = usage.quota(user.id)
+      usage.setQuota(user.id, {
+        daily: parseLimit(daily),
+        monthly: monthly === undefined ? current.monthly : parseLimit(monthly),
+      })
+    }
+    const limits = usage.quota(user.id)
+    console.log(`${email}  quota=${limitText(limits.daily)}/day,${limitText(limits.monthly)}/month (tokens, UTC)`)
+  },
 }
 
 const run = async () => {
-  const [command, arg] = process.argv.slice(2)
+  const [command, arg, ...rest] = process.argv.slice(2)
   const handler = commands[command]
-  if (!handler) fail('usage: node admin.mjs <adduser|passwd|revoke|list> [email]')
-  await handler(arg)
+  if (!handler) fail('usage: node admin.mjs <adduser|passwd|revoke|list|usage|quota> [email]')
+  await handler(arg, rest)
 }
 
 run()
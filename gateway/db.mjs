@@ -56,6 +56,29 @@ CREATE TABLE IF NOT EXISTS action_codes (
   created_at INTEGER NOT NULL,
   PRIMARY KEY (user_id, purpose)
 );
+
+-- Metered provider traffic (see usage-repo.mjs): one row per (user, UTC day,
+-- provider, model), incremented after each proxied answer. input_tokens counts
+-- every prompt token, cached ones included (the CLI's usage shape).
+CREATE TABLE IF NOT EXISTS usage_daily (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  requests INTEGER NOT NULL DEFAULT 0,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  cached_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  reasoning_tokens INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, day, provider, model)
+);
+
+-- Optional token quotas (input + output per UTC day / calendar month). NULL = no limit.
+CREATE TABLE IF NOT EXISTS quotas (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  daily_tokens INTEGER,
+  monthly_tokens INTEGER
+);
 `
 
 export const openDb = (path) => {
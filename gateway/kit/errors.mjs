@@ -38,16 +38,41 @@ export const API_ERRORS = {
     code: 'RATE_LIMITED',
     message: 'Too many attempts. Please try again later.',
   },
+  // The account's token quota (admin.mjs quota) is used up. One distinct code for
+  // both windows so the client can show it instead of a generic rate-limit error;
+  // noRetry tells OpenAI-SDK clients not to retry a 429 that cannot succeed.
+  QUOTA_DAILY: {
+    status: 429,
+    code: 'QUOTA_EXCEEDED',
+    message: 'Daily token quota reached. It resets at 00:00 UTC.',
+    noRetry: true,
+  },
+  QUOTA_MONTHLY: {
+    status: 429,
+    code: 'QUOTA_EXCEEDED',
+    message: 'Monthly token quota reached. It resets on the 1st (UTC).',
+    noRetry: true,
+  },
   NOT_FOUND: {
     status: 404,
     code: 'NOT_FOUND',
     message: 'Not found.',
   },
+  PAYLOAD_TOO_LARGE: {
+    status: 413,
+    code: 'PAYLOAD_TOO_LARGE',
+    message: 'Request body too large.',
+  },
   BAD_GATEWAY: {
     status: 502,
     code: 'BAD_GATEWAY',
     message: 'Upstream provider unreachable.',
   },
+  UPSTREAM_TIMEOUT: {
+    status: 504,
+    code: 'UPSTREAM_TIMEOUT',
+    message: 'Upstream provider did not answer in time.',
+  },
   SERVER_ERROR: {
     status: 500,
     code: 'SERVER_ERROR',
@@ -62,6 +87,9 @@ export const sendApiError = (res, apiError) => {
     res.end()
     return
   }
-  res.writeHead(apiError.status, { 'content-type': 'application/json' })
+  res.writeHead(apiError.status, {
+    'content-type': 'application/json',
+    ...(apiError.noRetry ? { 'x-should-retry': 'false' } : {}),
+  })
   res.end(JSON.stringify({ error: { code: apiError.code, message: apiError.message } }))
 }
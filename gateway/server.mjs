@@ -9,11 +9,12 @@
 //   GW_PORT=8443 GW_DB=~/gateway/auth.db GW_SESSION_TTL_DAYS=90 \
 //   OPENAI_API_KEY="sk-..." ANTHROPIC_API_KEY="sk-ant-..." \
 //   GW_TLS_CERT=~/gateway/cert.pem GW_TLS_KEY=~/gateway/key.pem \
+//   [GW_MAX_BODY_BYTES=8388608 GW_UPSTREAM_TIMEOUT_MS=180000 GW_UPSTREAM_IDLE_MS=120000] \
 //   [GW_TOKENS="legacy,static,tokens"]   # migration-only fallback; remove after cutover
 //   node gateway/server.mjs
 import { createServer } from 'node:https'
 import { readFileSync } from 'node:fs'
-import { Readable } from 'node:stream'
+import { Readable, pipeline } from 'node:stream'
 import { homedir } from 'node:os'
 import { openDb } from './db.mjs'
 import { createUsersRepo } from './users-repo.mjs'
@@ -26,10 +27,18 @@ import { createActionCodesRepo } from './action-codes-repo.mjs'
 import { createEmailSender, createNoopEmailSender } from './kit/email-sender.mjs'
 import { createSyncRepo } from './sync-repo.mjs'
 import { createSyncRoutes } from './sync-routes.mjs'
+import { createUsageRepo } from './usage-repo.mjs'
+import { createUsageRoutes } from './usage-routes.mjs'
+import { createUsageMeter } from './usage-meter.mjs'
 
 const PORT = Number(process.env.GW_PORT) || 8443
 const DB_PATH = process.env.GW_DB || `${homedir()}/gateway/auth.db`
 const TTL_DAYS = Number(process.env.GW_SESSION_TTL_DAYS) || 90
+// Proxy limits: the largest request body forwarded, how long the provider may take
+// to start answering, and how long a started stream may stay silent.
+const MAX_BODY_BYTES = Number(process.env.GW_MAX_BODY_BYTES) || 8 * 1024 * 1024
+const UPSTREAM_TIMEOUT_MS = Number(process.env.GW_UPSTREAM_TIMEOUT_MS) || 180 * 1000
+const UPSTREAM_IDLE_MS = Number(process.env.GW_UPSTREAM_IDLE_MS) || 120 * 1000
 
 // Migration-window fallback: a static shared token still authenticates while
 // clients move to sessions. Remove GW_TOKENS from the env after cutover.
@@ -82,6 +91,8 @@ const auth = createAuthRoutes({
   requestResetLimiter, resetLimiter, clientIp, gatewayUrl: process.env.GW_PUBLIC_URL || '',
 })
 const sync = createSyncRoutes({ repo: createSyncRepo(db) })
+const usage = createUsageRepo(db)
+const usageRoutes = createUsageRoutes({ repo: usage })
 
 // Reap expired sessions + login codes on boot and daily.
 sessions.deleteExpired(nowSeconds())
@@ -97,19 +108,8 @@ const bearer = (req) => {
   return h.startsWith('Bearer ') ? h.slice(7) : ''
 }
 
-// Authorized if the token is a live session OR (migration only) a static token.
-const authorized = (presented) => {
-  if (!presented) return false
-  const row = sessions.find(sessions.hash(presented))
-  if (row && row.expires_at > nowSeconds()) {
-    sessions.touch(row.token_hash, nowSeconds())
-    return true
-  }
-  return STATIC_TOKENS.has(presented)
-}
-
-// The account id behind a live session, or null. Used by /sync (a static token has
-// no account, so it cannot sync).
+// The account id behind a live session, or null. Used by /sync, /usage and the
+// proxy's metering (a static token has no account: it cannot sync and is not metered).
 const sessionUserId = (presented) => {
   if (!presented) return null
   const row = sessions.find(sessions.hash(presented))
@@ -120,24 +120,86 @@ const sessionUserId = (presented) => {
   return null
 }
 
-const readBody = async (req) => {
+// The raw request body, or null past maxBytes.
+const readBody = async (req, maxBytes) => {
   const chunks = []
-  for await (const chunk of req) chunks.push(chunk)
+  let total = 0
+  for await (const chunk of req) {
+    total += chunk.length
+    if (total > maxBytes) return null
+    chunks.push(chunk)
+  }
   return Buffer.concat(chunks)
 }
 
+// The "model" of a JSON request body, for the usage row.
+const requestModel = (body) => {
+  try {
+    const parsed = JSON.parse(body.toString('utf8'))
+    return parsed && typeof parsed.model === 'string' && parsed.model ? parsed.model : 'unknown'
+  } catch (e) {
+    return 'unknown'
+  }
+}
+
+// Tee the answer into a usage meter and record it once the stream is over
+// (finished or cut short — an interrupted answer still used its prompt).
+const meterAnswer = (stream, { userId, provider, model, sse }) => {
+  const meter = createUsageMeter({ sse })
+  stream.on('data', meter.push)
+  stream.once('close', () => {
+    const counted = meter.finish() || { input: 0, cached: 0, output: 0, reasoning: 0 }
+    try {
+      usage.record({ userId, provider, model, usage: counted, now: Date.now() })
+    } catch (e) {
+      console.error('usage: record failed', e && e.message ? e.message : e)
+    }
+  })
+}
+
 // Forward to the real provider with the REAL key swapped in (session dropped),
-// and stream the answer straight back (SSE included, no buffering).
-const handleProxy = async (req, res) => {
+// and stream the answer straight back (SSE included, no buffering). A session's
+// POSTs are checked against its quota first and metered on the way back.
+// The upstream call is aborted as soon as the client goes away (ESC in the CLI
+// closes the socket), so a cancelled answer stops generating — and billing —
+// at the provider too; likewise when the provider is too slow or stalls.
+const handleProxy = async (req, res, userId) => {
   const url = new URL(req.url, 'http://x')
   const [, provider, ...rest] = url.pathname.split('/')
   const up = UPSTREAMS[provider]
   if (!up) return sendApiError(res, API_ERRORS.NOT_FOUND)
 
+  const metered = userId !== null && req.method === 'POST'
+  if (metered) {
+    const over = usage.exceeded(userId, Date.now())
+    if (over) return sendApiError(res, over === 'daily' ? API_ERRORS.QUOTA_DAILY : API_ERRORS.QUOTA_MONTHLY)
+  }
+
   const target = `${up.base}/${rest.join('/')}${url.search}`
   const hasBody = req.method !== 'GET' && req.method !== 'HEAD'
   const contentType = req.headers['content-type']
+  if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+    return sendApiError(res, API_ERRORS.PAYLOAD_TOO_LARGE)
+  }
+  const body = hasBody ? await readBody(req, MAX_BODY_BYTES) : undefined
+  if (body === null) return sendApiError(res, API_ERRORS.PAYLOAD_TOO_LARGE)
+
+  const controller = new AbortController()
+  res.once('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  let timedOut = false
+  let timer = null
+  const armTimeout = (ms) => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, ms)
+  }
+
   let upstream
+  armTimeout(UPSTREAM_TIMEOUT_MS)
   try {
     upstream = await fetch(target, {
       method: req.method,
@@ -146,18 +208,38 @@ const handleProxy = async (req, res) => {
         accept: req.headers['accept'] || '*/*',
         ...up.auth(),
       },
-      body: hasBody ? await readBody(req) : undefined,
+      body,
+      signal: controller.signal,
     })
   } catch (e) {
-    return sendApiError(res, API_ERRORS.BAD_GATEWAY)
+    clearTimeout(timer)
+    return sendApiError(res, timedOut ? API_ERRORS.UPSTREAM_TIMEOUT : API_ERRORS.BAD_GATEWAY)
   }
 
   const out = {}
   const ct = upstream.headers.get('content-type')
   if (ct) out['content-type'] = ct
   res.writeHead(upstream.status, out)
-  if (upstream.body) Readable.fromWeb(upstream.body).pipe(res)
-  else res.end()
+  if (!upstream.body) {
+    clearTimeout(timer)
+    return res.end()
+  }
+
+  // From here the timer is an idle timeout, re-armed by every chunk.
+  const stream = Readable.fromWeb(upstream.body)
+  armTimeout(UPSTREAM_IDLE_MS)
+  stream.on('data', () => armTimeout(UPSTREAM_IDLE_MS))
+  if (metered && upstream.ok) {
+    meterAnswer(stream, {
+      userId,
+      provider,
+      model: requestModel(body),
+      sse: (ct || '').includes('text/event-stream'),
+    })
+  }
+  // pipeline tears both sides down on an abort or a failure mid-stream; the
+  // client then sees a cut-off answer (the status line is already sent).
+  pipeline(stream, res, () => clearTimeout(timer))
 }
 
 const handle = async (req, res) => {
@@ -187,14 +269,25 @@ const handle = async (req, res) => {
     return sendApiError(res, API_ERRORS.NOT_FOUND)
   }
 
-  // 3. Everything else requires a live session (or the migration static token). This
+  // 3. The account's metered usage and quota (`ai usage --account`): session only.
+  if (req.method === 'GET' && url.pathname === '/usage') {
+    const userId = sessionUserId(bearer(req))
+    if (userId === null) return sendApiError(res, API_ERRORS.UNAUTHORIZED)
+    return usageRoutes.handleUsage(req, res, userId)
+  }
+
+  // 4. Everything else requires a live session (or the migration static token). This
   //    401 carries the distinct GATEWAY_SESSION_INVALID code — the ONLY 401 the client
   //    maps to "Run: ai login"; an upstream provider 401 is passed through verbatim so
   //    the client shows the real cause instead of a misleading re-login prompt.
-  if (!authorized(bearer(req))) return sendApiError(res, API_ERRORS.GATEWAY_SESSION)
+  const presented = bearer(req)
+  const userId = sessionUserId(presented)
+  if (userId === null && !STATIC_TOKENS.has(presented)) {
+    return sendApiError(res, API_ERRORS.GATEWAY_SESSION)
+  }
 
-  // 3. Route by the first path segment: /openai/... or /anthropic/...
-  return handleProxy(req, res)
+  // 5. Route by the first path segment: /openai/... or /anthropic/...
+  return handleProxy(req, res, userId)
 }
 
 const tls = {
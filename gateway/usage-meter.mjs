@@ -0,0 +1,116 @@
+// Reads token usage out of a proxied answer as it streams past, without
+// buffering it: SSE "data:" lines are parsed one at a time (partial lines carry
+// over to the next chunk); a plain JSON answer is kept (up to a cap) and parsed
+// at the end. The result has the CLI's shape { input, cached, output, reasoning }
+// — `input` counts every prompt token, cached ones included.
+
+const MAX_JSON_BYTES = 1024 * 1024
+const DATA_PREFIX = 'data:'
+const DONE_MARKER = '[DONE]'
+
+const count = (value) => (typeof value === 'number' && value > 0 ? value : 0)
+
+// The three wire shapes, told apart by their fields:
+//   chat/completions  prompt_tokens / completion_tokens (+ *_details)
+//   Anthropic         input_tokens EXCLUDING cache reads/writes (added back here)
+//   Responses         input_tokens / output_tokens (+ *_details)
+const normalize = (usage) => {
+  if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+    return {
+      input: count(usage.prompt_tokens),
+      cached:
+        count(usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) ||
+        count(usage.prompt_cache_hit_tokens),
+      output: count(usage.completion_tokens),
+      reasoning: count(usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens),
+    }
+  }
+  if (usage.cache_read_input_tokens !== undefined || usage.cache_creation_input_tokens !== undefined) {
+    return {
+      input:
+        count(usage.input_tokens) +
+        count(usage.cache_read_input_tokens) +
+        count(usage.cache_creation_input_tokens),
+      cached: count(usage.cache_read_input_tokens),
+      output: count(usage.output_tokens),
+      reasoning: 0,
+    }
+  }
+  return {
+    input: count(usage.input_tokens),
+    cached: count(usage.input_tokens_details && usage.input_tokens_details.cached_tokens),
+    output: count(usage.output_tokens),
+    reasoning: count(usage.output_tokens_details && usage.output_tokens_details.reasoning_tokens),
+  }
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object'
+
+export const createUsageMeter = ({ sse }) => {
+  let usage = null
+  let pending = ''
+  let json = []
+  let jsonBytes = 0
+
+  // Responses: response.completed. Anthropic: message_start (prompt side) then
+  // message_delta with the running output count. Chat: the final chunk.
+  const inspect = (event) => {
+    if (!isObject(event)) return
+    if (event.type === 'response.completed' && isObject(event.response) && isObject(event.response.usage)) {
+      usage = normalize(event.response.usage)
+      return
+    }
+    if (event.type === 'message_start' && isObject(event.message) && isObject(event.message.usage)) {
+      usage = normalize(event.message.usage)
+      return
+    }
+    if (event.type === 'message_delta' && isObject(event.usage)) {
+      if (usage) usage.output = count(event.usage.output_tokens)
+      return
+    }
+    if (isObject(event.usage)) usage = normalize(event.usage)
+  }
+
+  const readLine = (line) => {
+    const trimmed = line.trim()
+    if (!trimmed.startsWith(DATA_PREFIX)) return
+    const data = trimmed.slice(DATA_PREFIX.length).trim()
+    if (!data || data === DONE_MARKER) return
+    try {
+      inspect(JSON.parse(data))
+    } catch (e) {
+      // not JSON — nothing to meter on this line
+    }
+  }
+
+  return {
+    push: (chunk) => {
+      if (!sse) {
+        jsonBytes += chunk.length
+        if (jsonBytes <= MAX_JSON_BYTES) json.push(chunk)
+        return
+      }
+      const lines = (pending + chunk.toString('utf8')).split('\n')
+      pending = lines.pop()
+      lines.forEach(readLine)
+    },
+
+    // Usage seen so far (an interrupted stream still reports its prompt side),
+    // or null when the answer carried none.
+    finish: () => {
+      if (sse) {
+        readLine(pending)
+        pending = ''
+      } else if (jsonBytes <= MAX_JSON_BYTES && json.length > 0) {
+        try {
+          const body = JSON.parse(Buffer.concat(json).toString('utf8'))
+          if (isObject(body) && isObject(body.usage)) usage = normalize(body.usage)
+        } catch (e) {
+          // not JSON — nothing to meter
+        }
+        json = []
+      }
+      return usage
+    },
+  }
+}
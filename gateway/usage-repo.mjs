@@ -0,0 +1,86 @@
+// Usage metering + quotas. Each proxied answer adds one request and its tokens
+// to the (user, UTC day, provider, model) row, so a day or a month is a SUM over
+// a handful of rows — no per-request log to grow or reap. A quota is a token
+// ceiling (input + output) per UTC day and/or calendar month; NULL = unlimited.
+
+// ms → 'YYYY-MM-DD' (UTC). Day keys compare correctly as plain strings.
+export const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10)
+export const monthStartOf = (ms) => `${dayOf(ms).slice(0, 8)}01`
+
+const DAY_MS = 24 * 3600 * 1000
+
+// The first day of a window of `days` days ending today (inclusive).
+export const windowStart = (days, ms) => dayOf(ms - (days - 1) * DAY_MS)
+
+const tokensOf = (totals) => totals.input + totals.output
+
+export const createUsageRepo = (db) => {
+  const add = db.prepare(
+    `INSERT INTO usage_daily(user_id, day, provider, model, requests,
+       input_tokens, cached_tokens, output_tokens, reasoning_tokens)
+     VALUES(?,?,?,?,1,?,?,?,?)
+     ON CONFLICT(user_id, day, provider, model) DO UPDATE SET
+       requests = requests + 1,
+       input_tokens = input_tokens + excluded.input_tokens,
+       cached_tokens = cached_tokens + excluded.cached_tokens,
+       output_tokens = output_tokens + excluded.output_tokens,
+       reasoning_tokens = reasoning_tokens + excluded.reasoning_tokens`,
+  )
+  const sumSince = db.prepare(
+    `SELECT COALESCE(SUM(requests), 0) AS requests, COALESCE(SUM(input_tokens), 0) AS input,
+       COALESCE(SUM(cached_tokens), 0) AS cached, COALESCE(SUM(output_tokens), 0) AS output,
+       COALESCE(SUM(reasoning_tokens), 0) AS reasoning
+     FROM usage_daily WHERE user_id = ? AND day >= ?`,
+  )
+  const listSince = db.prepare(
+    `SELECT day, provider, model, requests, input_tokens AS input, cached_tokens AS cached,
+       output_tokens AS output, reasoning_tokens AS reasoning
+     FROM usage_daily WHERE user_id = ? AND day >= ? ORDER BY day DESC, provider, model`,
+  )
+  const quotaOf = db.prepare('SELECT daily_tokens, monthly_tokens FROM quotas WHERE user_id = ?')
+  const upsertQuota = db.prepare(
+    `INSERT INTO quotas(user_id, daily_tokens, monthly_tokens) VALUES(?,?,?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       daily_tokens = excluded.daily_tokens, monthly_tokens = excluded.monthly_tokens`,
+  )
+
+  const totalsSince = (userId, fromDay) => ({ ...sumSince.get(userId, fromDay) })
+
+  const quota = (userId) => {
+    const row = quotaOf.get(userId)
+    return {
+      daily: row ? row.daily_tokens : null,
+      monthly: row ? row.monthly_tokens : null,
+    }
+  }
+
+  return {
+    record: ({ userId, provider, model, usage, now }) =>
+      add.run(userId, dayOf(now), provider, model, usage.input, usage.cached, usage.output, usage.reasoning),
+    totalsSince,
+    rowsSince: (userId, fromDay) => listSince.all(userId, fromDay).map((row) => ({ ...row })),
+    quota,
+    setQuota: (userId, { daily, monthly }) => upsertQuota.run(userId, daily, monthly),
+
+    // Today, this month and the quota in one read (GET /usage, admin report).
+    summary: (userId, now) => ({
+      today: totalsSince(userId, dayOf(now)),
+      month: totalsSince(userId, monthStartOf(now)),
+      quota: quota(userId),
+    }),
+
+    // 'daily' | 'monthly' when a quota is already used up, else null. Checked
+    // before a request is forwarded, so the request that crosses the line still
+    // completes and only the next one is refused.
+    exceeded: (userId, now) => {
+      const limits = quota(userId)
+      if (limits.daily !== null && tokensOf(totalsSince(userId, dayOf(now))) >= limits.daily) {
+        return 'daily'
+      }
+      if (limits.monthly !== null && tokensOf(totalsSince(userId, monthStartOf(now))) >= limits.monthly) {
+        return 'monthly'
+      }
+      return null
+    },
+  }
+}
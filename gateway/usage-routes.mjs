@@ -0,0 +1,28 @@
+// Usage route (requires a valid session; the caller passes the resolved user id).
+//   GET /usage?days=<n>  → today, this month, the quota and per-day/model rows for
+//                          the last n days (default 30). Days are UTC.
+
+import { windowStart, dayOf } from './usage-repo.mjs'
+
+const DEFAULT_DAYS = 30
+const MAX_DAYS = 366
+
+// Parse the window length from the query without a regex.
+const parseDays = (req) => {
+  const url = new URL(req.url, 'http://x')
+  const n = Number(url.searchParams.get('days') || DEFAULT_DAYS)
+  return Number.isInteger(n) && n > 0 ? Math.min(n, MAX_DAYS) : DEFAULT_DAYS
+}
+
+export const createUsageRoutes = ({ repo }) => {
+  const handleUsage = async (req, res, userId) => {
+    const now = Date.now()
+    const days = parseDays(req)
+    const { today, month, quota } = repo.summary(userId, now)
+    const rows = repo.rowsSince(userId, windowStart(days, now))
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ day: dayOf(now), days, today, month, quota, rows }))
+  }
+
+  return { handleUsage }
+}
@@ -4,6 +4,7 @@ import { logger } from '../../utils/logger.js'
 import { commandsFilePath, legacyDbPath } from './paths.js'
 import { loadCommandsFile } from './loader.js'
 import { migrateIfNeeded } from './migrate.js'
+import { configService } from '../config/index.js'
 import { USER_CONFIG } from '../../config/constants.js'
 
 const createCommandService = () => {
@@ -26,7 +27,7 @@ const createCommandService = () => {
     const mtime = currentMtime(filePath)
     if (loadedOnce && mtime === cacheMtimeMs) return
 
-    const { commands, errors, mtimeMs } = loadCommandsFile(filePath)
+    const { commands, errors, mtimeMs } = loadCommandsFile(filePath, configService.providerIds())
     cacheMtimeMs = mtimeMs
     loadedOnce = true
     lastErrors = errors
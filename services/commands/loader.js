@@ -4,7 +4,8 @@ import { validateCommands } from './validate.js'
 
 // Read + parse + validate the commands file synchronously.
 // Returns { commands, errors, mtimeMs }. On any failure commands is {} and errors is populated.
-export const loadCommandsFile = (filePath) => {
+// knownProviders is handed to the validator (provider ids model entries may name).
+export const loadCommandsFile = (filePath, knownProviders) => {
   let stat
   try {
     stat = fs.statSync(filePath)
@@ -36,6 +37,6 @@ export const loadCommandsFile = (filePath) => {
     }
   }
 
-  const { commands, errors } = validateCommands(parsed)
+  const { commands, errors } = validateCommands(parsed, knownProviders)
   return { commands, errors, mtimeMs: stat.mtimeMs }
 }
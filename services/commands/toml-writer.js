@@ -11,6 +11,8 @@ const HEADER = `# openai-cli commands - edit this file, save, and the app reload
 #   models      = optional; omit to use the current provider/model. Multiple models = compare side by side.
 #   instruction = the prompt prepended to your input. Use ''' ... ''' for multi-line.
 #   context     = optional; set true to carry chat history into this command (default false = stateless).
+#   markdown    = optional; true lets the model answer in markdown (rendered in the terminal), false asks
+#                 for plain text. Omit to follow the provider's own setting.
 `
 
 const keyLine = (keys) => `key = [${keys.map(quote).join(', ')}]`
@@ -40,6 +42,7 @@ const commandBlock = (id, command) => {
   const models = modelsLine(command.models)
   if (models) lines.push(models)
   if (command.context) lines.push('context = true')
+  if (typeof command.markdown === 'boolean') lines.push(`markdown = ${command.markdown}`)
   lines.push(instructionLine(command.instruction))
   return lines.join('\n')
 }
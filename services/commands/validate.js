@@ -1,15 +1,15 @@
 import { PROVIDERS } from '../../config/providers.js'
 import { getAllSystemCommandNames } from '../../utils/system-commands.js'
 
-const VALID_PROVIDERS = Object.keys(PROVIDERS)
-
 const isNonEmptyString = (value) =>
   typeof value === 'string' && value.trim() !== ''
 
 // Validate a parsed commands table. Returns { commands, errors }.
-// commands: { id: { id, key, description, instruction, models, context } } (valid entries only).
+// commands: { id: { id, key, description, instruction, models, context, markdown } } (valid entries only).
 // errors: array of human-readable messages (all problems collected, not just the first).
-export const validateCommands = (parsed) => {
+// knownProviders: provider ids a model entry may name — the built-ins plus any
+// declared in config.toml (the caller passes configService.providerIds()).
+export const validateCommands = (parsed, knownProviders = Object.keys(PROVIDERS)) => {
   const errors = []
   const commands = {}
   const seenAliases = new Map()
@@ -34,6 +34,11 @@ export const validateCommands = (parsed) => {
       continue
     }
 
+    if (raw.markdown !== undefined && typeof raw.markdown !== 'boolean') {
+      errors.push(`${where}: "markdown" must be true or false`)
+      continue
+    }
+
     let models = []
     if (raw.models !== undefined) {
       if (!Array.isArray(raw.models)) {
@@ -47,9 +52,9 @@ export const validateCommands = (parsed) => {
           modelsOk = false
           break
         }
-        if (!VALID_PROVIDERS.includes(m.provider)) {
+        if (!knownProviders.includes(m.provider)) {
           errors.push(
-            `${where}: unknown provider "${m.provider}" (known: ${VALID_PROVIDERS.join(', ')})`,
+            `${where}: unknown provider "${m.provider}" (known: ${knownProviders.join(', ')})`,
           )
           modelsOk = false
           break
@@ -81,6 +86,8 @@ export const validateCommands = (parsed) => {
       instruction: raw.instruction,
       models,
       context: raw.context === true,
+      // null = the provider's own markdown flag decides
+      markdown: typeof raw.markdown === 'boolean' ? raw.markdown : null,
     }
   }
 
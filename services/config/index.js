@@ -1,23 +1,36 @@
 import fs from 'node:fs'
 import path from 'node:path'
 import { logger } from '../../utils/logger.js'
-import { PROVIDERS } from '../../config/providers.js'
+import { PROVIDERS, PROVIDER_TYPES } from '../../config/providers.js'
+import { DIALOGUE } from '../../config/constants.js'
 import { configFilePath, defaultConfigPath } from './paths.js'
 import { loadConfigFile } from './loader.js'
 import { resolveGateway, gatewayStatus } from './gateway.js'
 
 // User config service: overlays ~/.openai-cli/config.toml onto the built-in
-// provider defaults. Loaded once at startup — endpoint routing is fixed for the
+// provider defaults and adds the providers declared there. Loaded once at startup — endpoint routing is fixed for the
 // session (the provider client is built with its baseURL/credential up front),
 // so there is deliberately no mtime hot-reload here (unlike commands.toml).
 const createConfigService = () => {
   let overlay = {}
+  let custom = {}
+  let languages = {}
+  let formats = {}
   let lastErrors = []
   let loadedOnce = false
 
   const load = () => {
-    const { overlay: loaded, errors } = loadConfigFile(configFilePath())
+    const {
+      overlay: loaded,
+      custom: declared,
+      languages: declaredLanguages,
+      formats: declaredFormats,
+      errors,
+    } = loadConfigFile(configFilePath())
     overlay = loaded
+    custom = declared
+    languages = declaredLanguages
+    formats = declaredFormats
     lastErrors = errors
     loadedOnce = true
     if (errors.length > 0) {
@@ -27,16 +40,31 @@ const createConfigService = () => {
     }
   }
 
+  // Every provider id the app knows: the built-ins first (their order is the
+  // startup preference), then the ones declared in config.toml.
+  const providerIds = () => {
+    if (!loadedOnce) load()
+    return [...Object.keys(PROVIDERS), ...Object.keys(custom)]
+  }
+
+  // The provider's own definition before any routing: a built-in entry or a
+  // user-declared one. A declared provider is never gateway-eligible (the
+  // gateway only knows the built-in upstreams).
+  const baseConfig = (providerId) => {
+    if (!loadedOnce) load()
+    return PROVIDERS[providerId] || custom[providerId]
+  }
+
   // Effective provider config, layered most-general → most-specific:
-  //   1. built-in defaults (PROVIDERS) — provider connects directly.
+  //   1. built-in defaults (PROVIDERS) or a config.toml-declared provider —
+  //      provider connects directly.
   //   2. gateway overlay — auto-applied to gateway-eligible providers whenever a
   //      gateway is configured (env or `ai login`). This is what makes a fresh
   //      machine route correctly with no hand-edited file.
   //   3. explicit config.toml override — wins, for power-user per-provider tweaks.
   // Returns undefined for an unknown provider (same contract as PROVIDERS[id]).
   const getProviderConfig = (providerId) => {
-    if (!loadedOnce) load()
-    const base = PROVIDERS[providerId]
+    const base = baseConfig(providerId)
     if (!base) return undefined
 
     let gatewayOverlay = {}
@@ -52,25 +80,44 @@ const createConfigService = () => {
   }
 
   // A provider is usable if it has a gateway token OR its env API key is set.
+  // The offline mock needs neither.
   const isConfigured = (providerId) => {
     const cfg = getProviderConfig(providerId)
     if (!cfg) return false
+    if (cfg.type === PROVIDER_TYPES.MOCK) return true
     return Boolean(cfg.token) || Boolean(process.env[cfg.apiKeyEnv])
   }
 
-  const availableProviders = () =>
-    Object.keys(PROVIDERS).filter((id) => isConfigured(id))
+  // Dialogue languages by code: the built-ins with config.toml's
+  // [dialogue.languages.<code>] entries layered on top (same code = override).
+  const dialogueLanguages = () => {
+    if (!loadedOnce) load()
+    const merged = { ...DIALOGUE.LANGUAGES }
+    for (const [code, entry] of Object.entries(languages)) {
+      merged[code] = { ...merged[code], ...entry }
+    }
+    return merged
+  }
 
-  const getStatus = () => {
+  // `dd follow` line formats by name: the built-ins, then config.toml's
+  // [dialogue.formats] (same name = replace).
+  const dialogueFormats = () => {
     if (!loadedOnce) load()
-    const providers = Object.keys(PROVIDERS).map((id) => {
+    return { ...DIALOGUE.FOLLOW_FORMATS, ...formats }
+  }
+
+  const availableProviders = () => providerIds().filter((id) => isConfigured(id))
+
+  const getStatus = () => {
+    const providers = providerIds().map((id) => {
       const cfg = getProviderConfig(id)
-      const viaGateway = cfg.baseURL !== PROVIDERS[id].baseURL
+      const viaGateway = cfg.baseURL !== baseConfig(id).baseURL
       return {
         id,
         baseURL: viaGateway ? cfg.baseURL : null, // effective endpoint if repointed, else null (direct)
         viaGateway,
         configured: isConfigured(id),
+        custom: !PROVIDERS[id],
       }
     })
     return {
@@ -101,7 +148,11 @@ const createConfigService = () => {
 
   return {
     getProviderConfig,
+    providerIds,
+    isConfigured,
     availableProviders,
+    dialogueLanguages,
+    dialogueFormats,
     getStatus,
     reload,
     bootstrap,
@@ -3,14 +3,14 @@ import { parse } from 'smol-toml'
 import { validateUserConfig } from './validate.js'
 
 // Read + parse + validate the user config file synchronously.
-// Returns { overlay, errors }. A missing/unreadable file is NOT an error — it
-// simply means "no overlay", i.e. every provider connects directly.
+// Returns { overlay, custom, languages, formats, errors }. A missing/unreadable file is NOT an error —
+// it simply means "no overlay", i.e. every provider connects directly.
 export const loadConfigFile = (filePath) => {
   let text
   try {
     text = fs.readFileSync(filePath, 'utf8')
   } catch (e) {
-    return { overlay: {}, errors: [] }
+    return { overlay: {}, custom: {}, languages: {}, formats: {}, errors: [] }
   }
 
   let parsed
@@ -19,7 +19,13 @@ export const loadConfigFile = (filePath) => {
   } catch (e) {
     const where =
       typeof e.line === 'number' ? ` (line ${e.line}, column ${e.column})` : ''
-    return { overlay: {}, errors: [`TOML syntax error${where}: ${e.message}`] }
+    return {
+      overlay: {},
+      custom: {},
+      languages: {},
+      formats: {},
+      errors: [`TOML syntax error${where}: ${e.message}`],
+    }
   }
 
   return validateUserConfig(parsed)
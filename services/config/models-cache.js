@@ -0,0 +1,40 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { USER_CONFIG } from '../../config/constants.js'
+import { configDir } from './paths.js'
+
+// The model ids each provider listed last time (machine-managed JSON), so shell
+// completion can offer model names and one-shot can check --model without a
+// network round-trip.
+
+const cachePath = () => path.join(configDir(), USER_CONFIG.MODELS_CACHE_FILE)
+
+// -> { [providerId]: ['model-id', ...] }
+export const readCachedModels = () => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(cachePath(), 'utf8'))
+    return parsed && parsed.providers && typeof parsed.providers === 'object' ? parsed.providers : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+// False only when the provider's last list lacks the model; no list yet rules nothing out
+export const isListedModel = (providerId, model) => {
+  const ids = readCachedModels()[providerId]
+  return !Array.isArray(ids) || ids.length === 0 || ids.includes(model)
+}
+
+export const cacheModels = (providerId, models) => {
+  const ids = (models || []).map((model) => model.id || model).filter((id) => typeof id === 'string')
+  if (ids.length === 0) return
+  const providers = readCachedModels()
+  if (JSON.stringify(providers[providerId]) === JSON.stringify(ids)) return
+  providers[providerId] = ids
+  try {
+    fs.mkdirSync(configDir(), { recursive: true })
+    fs.writeFileSync(cachePath(), JSON.stringify({ providers }, null, 2))
+  } catch (e) {
+    // only completion reads it; failing to persist must never fail a request
+  }
+}
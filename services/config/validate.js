@@ -1,8 +1,13 @@
-import { PROVIDERS, PROVIDER_API } from '../../config/providers.js'
+import { PROVIDERS, PROVIDER_API, PROVIDER_TYPES, MOCK_WIRES } from '../../config/providers.js'
+import { DIALOGUE } from '../../config/constants.js'
+import { lineFormatProblem } from '../dialogue/follow.js'
 
 const isNonEmptyString = (value) =>
   typeof value === 'string' && value.trim() !== ''
 
+const isStringList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)
+
 // Accept only http(s) URLs for baseURL (a gateway or a custom endpoint).
 const isHttpUrl = (value) => {
   try {
@@ -18,7 +23,8 @@ const isHttpUrl = (value) => {
 // baseURL repoints a provider at a gateway; token is the credential the gateway
 // checks (the real API key then lives on the gateway, not the client).
 // api picks the completion endpoint (escape hatch: api = 'chat' reverts a
-// Responses-routed provider to chat/completions).
+// Responses-routed provider to chat/completions). contextBudget caps the
+// conversation context (tokens) before older turns are summarized.
 const fieldValidators = {
   baseURL: (value) =>
     isNonEmptyString(value) && isHttpUrl(value)
@@ -32,53 +38,256 @@ const fieldValidators = {
     Object.values(PROVIDER_API).includes(value)
       ? { value }
       : { error: `"api" must be one of: ${Object.values(PROVIDER_API).join(', ')}` },
+  contextBudget: (value) =>
+    Number.isInteger(value) && value > 0
+      ? { value }
+      : { error: '"contextBudget" must be a positive whole number of tokens' },
+}
+
+// A section whose id is NOT a built-in provider declares a whole new
+// OpenAI-compatible provider (a local Ollama/llama.cpp server, Doubao, an
+// internal proxy). It accepts the overlay fields above plus the definition
+// fields below; name/baseURL/apiKeyEnv are the same REQUIRED_FIELDS every
+// built-in entry carries.
+const definitionValidators = {
+  ...fieldValidators,
+  name: (value) =>
+    isNonEmptyString(value)
+      ? { value }
+      : { error: '"name" must be a non-empty string' },
+  apiKeyEnv: (value) =>
+    isNonEmptyString(value)
+      ? { value }
+      : { error: '"apiKeyEnv" must be the name of an environment variable' },
+  defaultModel: (value) =>
+    isNonEmptyString(value)
+      ? { value }
+      : { error: '"defaultModel" must be a non-empty string' },
+  markdown: (value) =>
+    typeof value === 'boolean'
+      ? { value }
+      : { error: '"markdown" must be true or false' },
+}
+
+const DEFINITION_REQUIRED = ['name', 'baseURL', 'apiKeyEnv']
+
+// Settings of the offline mock (type = "mock"). A built-in section may set
+// type = "mock" too: the provider keeps its id, api and default model, so
+// commands.toml model lists and dd run unchanged — just without a network.
+const mockValidators = {
+  type: (value) =>
+    value === PROVIDER_TYPES.MOCK
+      ? { value }
+      : { error: `"type" can only be "${PROVIDER_TYPES.MOCK}"` },
+  wire: (value) =>
+    Object.values(MOCK_WIRES).includes(value)
+      ? { value }
+      : { error: `"wire" must be one of: ${Object.values(MOCK_WIRES).join(', ')}` },
+  replies: (value) =>
+    isStringList(value)
+      ? { value }
+      : { error: '"replies" must be a list of strings' },
+  fixtures: (value) =>
+    isNonEmptyString(value)
+      ? { value }
+      : { error: '"fixtures" must be a directory path' },
+  delay: (value) =>
+    Number.isInteger(value) && value >= 0
+      ? { value }
+      : { error: '"delay" must be a whole number of milliseconds' },
+  models: (value) =>
+    isStringList(value)
+      ? { value }
+      : { error: '"models" must be a list of model ids' },
+}
+
+const mockDefinitionValidators = { ...definitionValidators, ...mockValidators }
+
+// A mock needs no endpoint or key — only a display name.
+const MOCK_REQUIRED = ['name']
+
+// A mock's wire decides which conversation strategy it gets.
+const WIRE_API = {
+  [MOCK_WIRES.RESPONSES]: PROVIDER_API.RESPONSES,
+  [MOCK_WIRES.CHAT]: PROVIDER_API.CHAT,
+  [MOCK_WIRES.ANTHROPIC]: PROVIDER_API.CHAT,
+}
+
+const MOCK_DEFAULTS = {
+  wire: MOCK_WIRES.RESPONSES, // exercises the chain/discard logic
+  markdown: true,
+}
+
+// Defaults for the optional definition fields: chat/completions (what every
+// OpenAI-compatible server speaks) and plain-text output.
+const DEFINITION_DEFAULTS = {
+  type: PROVIDER_TYPES.OPENAI,
+  api: PROVIDER_API.CHAT,
+  markdown: false,
+}
+
+// [dialogue.languages.<code>]: a language dd can pair. Ranges are
+// [first, last] code points, e.g. [0x3040, 0x30ff]; marks are the ranges that
+// tell this language apart from another using the same script.
+const isCodePoint = (value) =>
+  Number.isInteger(value) && value >= 0 && value <= DIALOGUE.MAX_CODE_POINT
+
+const isRangeList = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.every(
+    (range) =>
+      Array.isArray(range) &&
+      range.length === 2 &&
+      isCodePoint(range[0]) &&
+      isCodePoint(range[1]) &&
+      range[0] <= range[1],
+  )
+
+const languageValidators = {
+  name: (value) =>
+    isNonEmptyString(value)
+      ? { value: value.trim() }
+      : { error: '"name" must be a non-empty string' },
+  scripts: (value) =>
+    isRangeList(value)
+      ? { value }
+      : { error: '"scripts" must be a list of [first, last] code-point ranges' },
+  marks: (value) =>
+    isRangeList(value)
+      ? { value }
+      : { error: '"marks" must be a list of [first, last] code-point ranges' },
+}
+
+// A new code needs both; a built-in code may override any single field.
+const LANGUAGE_REQUIRED = ['name', 'scripts']
+
+// Validate one section against a validator table. Returns the accepted fields;
+// every rejected or unknown field is pushed onto errors.
+const collectFields = (where, raw, validators, errors) => {
+  const clean = {}
+  for (const [field, validate] of Object.entries(validators)) {
+    if (raw[field] === undefined) continue
+    const { value, error } = validate(raw[field])
+    if (error) {
+      errors.push(`${where}: ${error}`)
+      continue
+    }
+    clean[field] = value
+  }
+
+  // Flag typos (e.g. "baseUrl") instead of silently ignoring them.
+  for (const field of Object.keys(raw)) {
+    if (!validators[field]) {
+      errors.push(`${where}: unknown setting "${field}" (ignored)`)
+    }
+  }
+  return clean
 }
 
-const knownFields = new Set(Object.keys(fieldValidators))
+const validateLanguages = (parsed, errors) => {
+  const languages = {}
+  const table =
+    parsed && parsed.dialogue && parsed.dialogue.languages ? parsed.dialogue.languages : {}
+
+  for (const [code, raw] of Object.entries(table)) {
+    const where = `[dialogue.languages.${code}]`
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: expected a table of settings`)
+      continue
+    }
+    const clean = collectFields(where, raw, languageValidators, errors)
+    const key = code.toLowerCase()
+    const missing = DIALOGUE.LANGUAGES[key]
+      ? []
+      : LANGUAGE_REQUIRED.filter((field) => clean[field] === undefined)
+    if (missing.length > 0) {
+      errors.push(`${where}: a new language needs ${missing.map((f) => `"${f}"`).join(', ')}`)
+      continue
+    }
+    if (Object.keys(clean).length > 0) languages[key] = clean
+  }
+  return languages
+}
+
+// [dialogue.formats]: named line formats for `dd follow`, each one template or
+// a list tried in order. A built-in name (plain, speaker, wow) is replaced.
+const validateFormats = (parsed, errors) => {
+  const formats = {}
+  const table = parsed && parsed.dialogue && parsed.dialogue.formats ? parsed.dialogue.formats : {}
+
+  for (const [name, raw] of Object.entries(table)) {
+    const where = `[dialogue.formats] ${name}`
+    const templates = typeof raw === 'string' ? [raw] : raw
+    if (!isStringList(templates)) {
+      errors.push(`${where}: expected a template string or a list of them`)
+      continue
+    }
+    const problems = templates.map(lineFormatProblem).filter(Boolean)
+    if (problems.length > 0) {
+      errors.push(`${where}: ${problems[0]}`)
+      continue
+    }
+    formats[name.toLowerCase()] = templates
+  }
+  return formats
+}
 
-// Validate a parsed config table. Returns { overlay, errors }.
-// overlay: { providerId: { baseURL?, token?, api? } } — only recognized, valid fields survive.
+// Validate a parsed config table. Returns { overlay, custom, languages, formats, errors }.
+// overlay: { providerId: { baseURL?, token?, api?, contextBudget?, type?, ...mock settings } } — only recognized, valid fields survive.
+// custom: { providerId: definition } — complete user-declared providers, defaults applied.
+// languages: { code: { name?, scripts?, marks? } } — dialogue languages to add or override.
+// formats: { name: [template, ...] } — `dd follow` line formats to add or override.
 // errors: array of human-readable messages (all problems collected, not just the first).
 export const validateUserConfig = (parsed) => {
   const errors = []
   const overlay = {}
+  const custom = {}
 
   const table = parsed && parsed.providers ? parsed.providers : {}
 
   for (const [id, raw] of Object.entries(table)) {
     const where = `[providers.${id}]`
 
-    if (!PROVIDERS[id]) {
-      errors.push(
-        `${where}: unknown provider (known: ${Object.keys(PROVIDERS).join(', ')})`,
-      )
-      continue
-    }
     if (!raw || typeof raw !== 'object') {
       errors.push(`${where}: expected a table of settings`)
       continue
     }
 
-    const clean = {}
-    for (const [field, validate] of Object.entries(fieldValidators)) {
-      if (raw[field] === undefined) continue
-      const { value, error } = validate(raw[field])
-      if (error) {
-        errors.push(`${where}: ${error}`)
-        continue
-      }
-      clean[field] = value
+    const isMock = raw.type === PROVIDER_TYPES.MOCK
+
+    if (PROVIDERS[id]) {
+      const validators = isMock ? { ...fieldValidators, ...mockValidators } : fieldValidators
+      const clean = collectFields(where, raw, validators, errors)
+      if (clean.wire) clean.api = WIRE_API[clean.wire]
+      if (Object.keys(clean).length > 0) overlay[id] = clean
+      continue
     }
 
-    // Flag typos (e.g. "baseUrl") instead of silently ignoring them.
-    for (const field of Object.keys(raw)) {
-      if (!knownFields.has(field)) {
-        errors.push(`${where}: unknown setting "${field}" (ignored)`)
+    if (isMock) {
+      const clean = collectFields(where, raw, mockDefinitionValidators, errors)
+      const missing = MOCK_REQUIRED.filter((field) => clean[field] === undefined)
+      if (missing.length > 0) {
+        errors.push(`${where}: a mock provider needs ${missing.map((f) => `"${f}"`).join(', ')}`)
+        continue
       }
+      const wire = clean.wire || MOCK_DEFAULTS.wire
+      custom[id] = { ...MOCK_DEFAULTS, ...clean, wire, api: WIRE_API[wire] }
+      continue
     }
 
-    if (Object.keys(clean).length > 0) overlay[id] = clean
+    const clean = collectFields(where, raw, definitionValidators, errors)
+    const missing = DEFINITION_REQUIRED.filter((field) => clean[field] === undefined)
+    if (missing.length > 0) {
+      errors.push(
+        `${where}: a new provider needs ${missing.map((f) => `"${f}"`).join(', ')} (built-in: ${Object.keys(PROVIDERS).join(', ')})`,
+      )
+      continue
+    }
+    custom[id] = { ...DEFINITION_DEFAULTS, ...clean }
   }
 
-  return { overlay, errors }
+  const languages = validateLanguages(parsed, errors)
+  const formats = validateFormats(parsed, errors)
+  return { overlay, custom, languages, formats, errors }
 }
@@ -0,0 +1,122 @@
+import fs from 'node:fs'
+import { DIALOGUE } from '../../config/constants.js'
+
+// `dd follow <file>`: read lines appended to a chat log and split each into
+// speaker / channel / text by a line format. A format is one or more templates
+// tried in order — "{time}  [{channel}] {speaker}: {text}" — where {text} is
+// required, {speaker} and {channel} are kept and any other field ({time}) is
+// matched and dropped. Templates, not regex: each field runs up to the next
+// literal, so two fields may never touch.
+
+const FIELD_OPEN = '{'
+const FIELD_CLOSE = '}'
+const TEXT_FIELD = 'text'
+
+// "{a} - {b}" -> [{ field: 'a' }, { literal: ' - ' }, { field: 'b' }]
+export const compileLineFormat = (template) => {
+  const tokens = []
+  let rest = template
+  while (rest) {
+    const open = rest.indexOf(FIELD_OPEN)
+    const close = open === -1 ? -1 : rest.indexOf(FIELD_CLOSE, open)
+    if (close === -1) {
+      tokens.push({ literal: rest })
+      break
+    }
+    if (open > 0) tokens.push({ literal: rest.slice(0, open) })
+    tokens.push({ field: rest.slice(open + 1, close) })
+    rest = rest.slice(close + 1)
+  }
+  return tokens
+}
+
+// Why a template cannot be used, or null when it can.
+export const lineFormatProblem = (template) => {
+  const tokens = compileLineFormat(template)
+  if (!tokens.some((token) => token.field === TEXT_FIELD)) return `"${template}" has no {text}`
+  const touching = tokens.some(
+    (token, i) => token.field !== undefined && tokens[i + 1] && tokens[i + 1].field !== undefined,
+  )
+  return touching ? `"${template}" has two fields with nothing between them` : null
+}
+
+const matchTokens = (line, tokens) => {
+  const fields = {}
+  let pos = 0
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (token.literal !== undefined) {
+      if (!line.startsWith(token.literal, pos)) return null
+      pos += token.literal.length
+      continue
+    }
+    const next = tokens[i + 1]
+    const end = next ? line.indexOf(next.literal, pos) : line.length
+    if (end === -1) return null
+    fields[token.field] = line.slice(pos, end).trim()
+    pos = end
+  }
+  return pos === line.length ? fields : null
+}
+
+// line -> { speaker, channel, text } by the first template that fits, or null
+// (a system line, or nothing to translate). A "speaker" longer than a name can
+// be is a sentence with a colon in it, so that template does not fit.
+export const createLineParser = (templates) => {
+  const compiled = templates.map(compileLineFormat)
+  return (line) => {
+    for (const tokens of compiled) {
+      const fields = matchTokens(line, tokens)
+      if (!fields || !fields.text) continue
+      const speaker = fields.speaker || null
+      if (speaker && speaker.length > DIALOGUE.SPEAKER_NAME_MAX) continue
+      return { speaker, channel: fields.channel || null, text: fields.text }
+    }
+    return null
+  }
+}
+
+// New complete lines of a growing file, starting from its current end. A
+// half-written last line waits for its newline; a truncated or rotated file
+// is read again from the start.
+export const createLogFollower = (filePath) => {
+  let offset = fs.statSync(filePath).size
+  let pending = Buffer.alloc(0)
+
+  const readNewLines = () => {
+    let size
+    try {
+      size = fs.statSync(filePath).size
+    } catch (e) {
+      return [] // rotated away for a moment — try again on the next poll
+    }
+    if (size < offset) {
+      offset = 0
+      pending = Buffer.alloc(0)
+    }
+    if (size === offset) return []
+
+    const length = Math.min(size - offset, DIALOGUE.FOLLOW_MAX_READ_BYTES)
+    const chunk = Buffer.alloc(length)
+    const fd = fs.openSync(filePath, 'r')
+    try {
+      fs.readSync(fd, chunk, 0, length, offset)
+    } finally {
+      fs.closeSync(fd)
+    }
+    offset += length
+    pending = Buffer.concat([pending, chunk])
+
+    // Split on the last newline byte so a multi-byte character is never cut
+    const end = pending.lastIndexOf(0x0a)
+    if (end === -1) return []
+    const complete = pending.subarray(0, end).toString('utf8')
+    pending = pending.subarray(end + 1)
+    return complete
+      .split('\n')
+      .map((line) => (line.endsWith('\r') ? line.slice(0, -1) : line))
+      .filter((line) => line.trim())
+  }
+
+  return { readNewLines }
+}
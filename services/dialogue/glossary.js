@@ -0,0 +1,82 @@
+import { DIALOGUE } from '../../config/constants.js'
+
+// Pinned translations for dd: entries { term, translation } hold in both
+// directions (位面 → план also means план → 位面); an entry whose translation is
+// the term itself ("RT-450") must stay exactly as written. A dialogue's own
+// glossary wins over the global one for the same term.
+
+const lower = (text) => String(text).toLowerCase()
+
+const keepsAsIs = (entry) => entry.term === entry.translation
+
+// "位面 → план, RT-450" -> [{ term: '位面', translation: 'план' }, { term: 'RT-450', translation: 'RT-450' }]
+// "->" and "=" work as the arrow; the full-width comma separates too.
+export const parseGlossary = (text) =>
+  text
+    .split('，').join(',')
+    .split(',')
+    .map((item) => {
+      const arrow = DIALOGUE.GLOSSARY_ARROWS.find((candidate) => item.includes(candidate))
+      if (!arrow) return { term: item.trim(), translation: item.trim() }
+      const at = item.indexOf(arrow)
+      return { term: item.slice(0, at).trim(), translation: item.slice(at + arrow.length).trim() }
+    })
+    .filter((entry) => entry.term && entry.translation)
+
+// The entries that hold in any language — the only ones an intermediate leg
+// (into the pivot language) may be given
+export const keptAsIs = (entries) => entries.filter(keepsAsIs)
+
+export const formatEntry = (entry) =>
+  keepsAsIs(entry) ? entry.term : `${entry.term} ${DIALOGUE.GLOSSARY_ARROWS[0]} ${entry.translation}`
+
+export const formatGlossary = (entries) => entries.map(formatEntry).join(', ')
+
+export const isGlossary = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (entry) =>
+      entry &&
+      typeof entry.term === 'string' &&
+      entry.term.trim() &&
+      typeof entry.translation === 'string' &&
+      entry.translation.trim(),
+  )
+
+export const mergeGlossaries = (global, local) => {
+  const own = new Set(local.map((entry) => lower(entry.term)))
+  return [...global.filter((entry) => !own.has(lower(entry.term))), ...local]
+}
+
+// The entries a message touches, each turned to face the way this message
+// goes: a message containing "план" needs план → 位面.
+const entriesFor = (entries, text) => {
+  const haystack = lower(text)
+  const found = []
+  for (const entry of entries) {
+    if (haystack.includes(lower(entry.term))) found.push(entry)
+    else if (haystack.includes(lower(entry.translation))) {
+      found.push({ term: entry.translation, translation: entry.term })
+    }
+  }
+  return found
+}
+
+// The clause appended to a leg's instructions, or '' when no entry applies.
+// Only the entries the message contains go in — the prompt stays short however
+// long the glossary grows.
+export const glossaryClause = (entries, text) => {
+  const found = entriesFor(entries, text)
+  if (found.length === 0) return ''
+  const rules = found.map((entry) =>
+    keepsAsIs(entry) ? `"${entry.term}" stays "${entry.term}"` : `"${entry.term}" → "${entry.translation}"`,
+  )
+  return DIALOGUE.GLOSSARY_CLAUSE.split('{entries}').join(rules.join('; '))
+}
+
+// Entries the translation did not honour. A substring check, so an inflected
+// form (плана for план) still counts as honoured.
+export const glossaryMisses = (entries, text, translation) => {
+  const output = lower(translation)
+  return entriesFor(entries, text).filter((entry) => !output.includes(lower(entry.translation)))
+}
@@ -0,0 +1,60 @@
+import { configService } from '../config/index.js'
+
+// The languages dd can pair: DIALOGUE.LANGUAGES plus config.toml's
+// [dialogue.languages.<code>] entries. A dialogue stores and prompts with the
+// display names; codes are only the `dd xx yy` shorthand.
+
+const languageTable = () => configService.dialogueLanguages()
+
+export const languageNames = () => Object.values(languageTable()).map((language) => language.name)
+
+const byName = (name) => {
+  const wanted = String(name).toLowerCase()
+  return Object.values(languageTable()).find((language) => language.name.toLowerCase() === wanted) || null
+}
+
+// `dd ja ko` → display names; a full name works too; unknown args pass through.
+export const resolveLanguage = (arg) => {
+  const code = String(arg).toLowerCase()
+  const table = languageTable()
+  if (table[code]) return table[code].name
+  const named = byName(arg)
+  return named ? named.name : arg
+}
+
+const inRanges = (code, ranges) => ranges.some((range) => code >= range[0] && code <= range[1])
+
+// Which side of the pair is this message written in? Code-point ranges, no regex.
+// 1. characters only one side's script covers decide;
+// 2. failing that, characters shared by both scripts (CJK for Chinese/Japanese,
+//    Cyrillic for Russian/Kyrgyz) go to the side whose marks appear;
+// 3. shared text with no marks at all favours the side that HAS none — Japanese
+//    without a single kana is far more likely Chinese.
+// Returns null when the answer is not clean (a language outside the table, an
+// emoji/digit-only message, a tie) — the caller then falls back to asking the
+// model to infer the direction.
+export const detectLanguage = (text, pair) => {
+  const languages = pair.map(byName)
+  if (languages.some((language) => !language || !language.scripts)) return null
+
+  const own = [0, 0]
+  const marked = [0, 0]
+  let shared = 0
+  for (const ch of text) {
+    const code = ch.codePointAt(0)
+    const hits = languages.map((language) => inRanges(code, language.scripts))
+    languages.forEach((language, i) => {
+      if (language.marks && inRanges(code, language.marks)) marked[i]++
+    })
+    if (hits[0] && hits[1]) shared++
+    else if (hits[0]) own[0]++
+    else if (hits[1]) own[1]++
+  }
+
+  if (own[0] !== own[1]) return own[0] > own[1] ? pair[0] : pair[1]
+  if (marked[0] !== marked[1]) return marked[0] > marked[1] ? pair[0] : pair[1]
+  if (shared === 0) return null
+  const hasMarks = languages.map((language) => Boolean(language.marks))
+  if (hasMarks[0] === hasMarks[1]) return null
+  return hasMarks[0] ? pair[1] : pair[0]
+}
@@ -0,0 +1,24 @@
+import { DIALOGUE } from '../../config/constants.js'
+
+// How a dialogue turn's answer is stored: the translation alone, or with the
+// pivot leg on a marked first line — "[english] <pivot>\n<target>". Newer
+// records also keep the pivot text apart (pivotText), which settles a pivot
+// leg that itself spans several lines.
+
+const pivotMarker = () => `[${DIALOGUE.PIVOT_LANGUAGE.toLowerCase()}] `
+
+export const formatRecord = (pivot, target) => (pivot ? `${pivotMarker()}${pivot}\n${target}` : target)
+
+// assistant entry -> { pivot, translation } ('' when there was no pivot leg)
+export const splitRecord = (entry) => {
+  const marker = pivotMarker()
+  const content = String(entry.content || '')
+  if (typeof entry.pivotText === 'string') {
+    const prefix = `${marker}${entry.pivotText}\n`
+    if (content.startsWith(prefix)) return { pivot: entry.pivotText, translation: content.slice(prefix.length) }
+  }
+  if (!content.startsWith(marker)) return { pivot: '', translation: content }
+  const end = content.indexOf('\n')
+  if (end === -1) return { pivot: content.slice(marker.length), translation: '' }
+  return { pivot: content.slice(marker.length, end), translation: content.slice(end + 1) }
+}
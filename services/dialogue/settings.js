@@ -2,6 +2,7 @@ import fs from 'node:fs'
 import os from 'node:os'
 import path from 'node:path'
 import { USER_CONFIG, DIALOGUE } from '../../config/constants.js'
+import { isGlossary } from './glossary.js'
 
 // Persisted defaults for NEW dialogues (the settings screen would be a lie if it
 // forgot on restart). A RESUMED dialogue always uses the pair/pivot stored in its
@@ -13,9 +14,16 @@ const settingsPath = () =>
 const defaults = () => ({
   pair: [...DIALOGUE.DEFAULT_PAIR],
   pivot: DIALOGUE.PIVOT_ENABLED,
+  verify: DIALOGUE.VERIFY_ENABLED, // back-translation check after each turn
   model: DIALOGUE.MODEL,
+  participants: [],
+  glossary: [], // applies to every dialogue; see glossary.js
+  provider: null, // null = the first Responses provider, else the first configured one
 })
 
+const isNameList = (value) =>
+  Array.isArray(value) && value.every((entry) => typeof entry === 'string' && entry.trim())
+
 export const readSettings = () => {
   try {
     const parsed = JSON.parse(fs.readFileSync(settingsPath(), 'utf8'))
@@ -23,9 +31,14 @@ export const readSettings = () => {
     const pair =
       Array.isArray(parsed.pair) && parsed.pair.length === 2 ? parsed.pair : fallback.pair
     const pivot = typeof parsed.pivot === 'boolean' ? parsed.pivot : fallback.pivot
+    const verify = typeof parsed.verify === 'boolean' ? parsed.verify : fallback.verify
     const model =
       typeof parsed.model === 'string' && parsed.model ? parsed.model : fallback.model
-    return { pair, pivot, model }
+    const participants = isNameList(parsed.participants) ? parsed.participants : fallback.participants
+    const glossary = isGlossary(parsed.glossary) ? parsed.glossary : fallback.glossary
+    const provider =
+      typeof parsed.provider === 'string' && parsed.provider ? parsed.provider : fallback.provider
+    return { pair, pivot, verify, model, participants, glossary, provider }
   } catch (e) {
     return defaults()
   }
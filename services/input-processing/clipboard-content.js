@@ -1,13 +1,15 @@
-import { exec } from 'node:child_process'
+import { exec, spawn } from 'node:child_process'
 import util from 'node:util'
 import { platform } from 'node:os'
 import { createBaseError } from '../../core/error-system/index.js'
 import { sanitizeString } from '../../utils/validation.js'
-import { APP_CONSTANTS, CLIPBOARD_COMMANDS } from '../../config/constants.js'
+import { APP_CONSTANTS, CLIPBOARD_COMMANDS, CLIPBOARD_WRITE_COMMANDS } from '../../config/constants.js'
 
 const execution = util.promisify(exec)
 
-export const getClipboardContent = async () => {
+// The clipboard text; throws when it cannot be read, a missing xclip included
+// (createBaseError with status 503). For callers that report errors themselves.
+export const readClipboard = async () => {
   const os = platform()
   const command = CLIPBOARD_COMMANDS[os]
 
@@ -16,7 +18,7 @@ export const getClipboardContent = async () => {
   }
   try {
     const { stdout } = await execution(command, {
-      timeout: 5000, // 5 second timeout for clipboard operations
+      timeout: APP_CONSTANTS.CLIPBOARD_TIMEOUT,
       maxBuffer: APP_CONSTANTS.MAX_INPUT_LENGTH // Limit buffer size
     })
 
@@ -30,15 +32,53 @@ export const getClipboardContent = async () => {
     // Return sanitized content
     return sanitizeString(clipboardContent)
   } catch (error) {
-    if (os === 'linux' && error.message.includes('command not found')) {
-      console.error(
-        'Error: "xclip" is not installed. Please install it to use clipboard functionality on Linux.',
-      )
-      return ''
+    // 127: the shell found no such command (dash says "not found", bash "command not found")
+    if (os === 'linux' && (error.code === 127 || error.message.includes('command not found'))) {
+      throw createBaseError('"xclip" is not installed. Please install it to use clipboard functionality on Linux.', true, 503)
     }
     if (error.code === 'ETIMEDOUT') {
       throw createBaseError('Clipboard operation timed out', true, 408)
     }
     throw error
   }
-}
\ No newline at end of file
+}
+
+// The $$ marker's read: a missing xclip is reported and reads as empty
+export const getClipboardContent = async () => {
+  try {
+    return await readClipboard()
+  } catch (error) {
+    if (error.statusCode !== 503) throw error
+    console.error(`Error: ${error.message}`)
+    return ''
+  }
+}
+
+// Replace the clipboard with `text`. Output is ignored rather than piped: xclip
+// stays behind to own the selection, and a pipe held by it would never close.
+export const setClipboardContent = (text) => {
+  const os = platform()
+  const command = CLIPBOARD_WRITE_COMMANDS[os]
+
+  if (!command) {
+    return Promise.reject(createBaseError(`Unsupported platform: ${os}`, true, 400))
+  }
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ['pipe', 'ignore', 'ignore'] })
+    const timer = setTimeout(() => {
+      child.kill()
+      reject(createBaseError('Clipboard operation timed out', true, 408))
+    }, APP_CONSTANTS.CLIPBOARD_TIMEOUT)
+    child.on('error', (error) => {
+      clearTimeout(timer)
+      reject(error)
+    })
+    child.on('exit', (code) => {
+      clearTimeout(timer)
+      if (code === 0) resolve()
+      else reject(createBaseError(`Clipboard write failed (${command.split(' ')[0]} exited with ${code})`, true, 500))
+    })
+    child.stdin.on('error', () => {}) // reported through 'exit'
+    child.stdin.end(text)
+  })
+}
@@ -103,7 +103,9 @@ function createInputProcessingService() {
     // Search for matching command
     for (const [id, command] of Object.entries(commands)) {
       for (const key of command.key) {
-        if (prompt.startsWith(key + ' ')) {
+        // A key ends at a space, or at a line break in composed input
+        const separator = prompt.charAt(key.length)
+        if (prompt.startsWith(key) && (separator === ' ' || separator === '\n')) {
           const userInput = prompt.substring(key.length + 1).trim()
           if (userInput) {
             return {
@@ -114,6 +116,7 @@ function createInputProcessingService() {
               userInput,
               models: command.models,
               context: command.context === true,
+              markdown: command.markdown,
               hasUrl: hasUrl(userInput),
               description: command.description,
             }
@@ -130,6 +133,8 @@ function createInputProcessingService() {
    */
   function hasUrl(str) {
     return str
+      .split('\n')
+      .join(' ')
       .split(' ')
       .filter(Boolean)
       .some((word) => {
@@ -0,0 +1,248 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { DIALOGUE, SESSIONS } from '../../config/constants.js'
+import { detectLanguage } from '../dialogue/languages.js'
+import { splitRecord } from '../dialogue/record.js'
+import { csvField } from '../../utils/csv.js'
+
+// Human-readable copies of a saved session (`dd export`, `sessions export`).
+// Both kinds become one table — a row per turn, a column per side: a dialogue
+// gets its two languages side by side (each message in the column of the
+// language it was written in, the translation next to it, the pivot leg in
+// between when it was used), a chat gets user | assistant. Time and speaker
+// columns appear only when some turn has them: older records carry neither.
+
+const pad = (n) => String(n).padStart(2, '0')
+
+export const formatWhen = (ms) => {
+  const d = new Date(ms)
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+// user/assistant entries -> turns; a user entry without an answer still counts.
+const pairEntries = (messages) => {
+  const turns = []
+  for (const entry of messages) {
+    if (entry.role === 'user') turns.push({ question: entry, answer: null })
+    else if (entry.role === 'assistant' && turns.length > 0 && !turns[turns.length - 1].answer) {
+      turns[turns.length - 1].answer = entry
+    }
+  }
+  return turns
+}
+
+const dialogueTable = (session) => {
+  const pair = session.pair
+  const turns = pairEntries(session.messages || []).map(({ question, answer }) => {
+    const { pivot, translation } = answer ? splitRecord(answer) : { pivot: '', translation: '' }
+    // Which column the original goes in: its own language, else the one the
+    // translation is NOT in, else the first.
+    const source = detectLanguage(question.content, pair)
+    const target = source ? null : detectLanguage(translation, pair)
+    const sourceFirst = source ? source === pair[0] : target !== pair[0]
+    return {
+      at: question.at || null,
+      speaker: question.speaker || null,
+      cells: sourceFirst
+        ? [question.content, pivot, translation]
+        : [translation, pivot, question.content],
+      original: sourceFirst ? 0 : 2,
+    }
+  })
+  const withPivot = turns.some((turn) => turn.cells[1])
+  return {
+    columns: withPivot ? [pair[0], `${DIALOGUE.PIVOT_LANGUAGE} (pivot)`, pair[1]] : [pair[0], pair[1]],
+    turns: withPivot
+      ? turns
+      : turns.map((turn) => ({
+          ...turn,
+          cells: [turn.cells[0], turn.cells[2]],
+          original: turn.original === 0 ? 0 : 1,
+        })),
+  }
+}
+
+const chatTable = (session) => ({
+  columns: ['User', 'Assistant'],
+  turns: pairEntries(session.messages || []).map(({ question, answer }) => ({
+    at: question.at || null,
+    speaker: null,
+    cells: [question.content, answer ? answer.content : ''],
+    original: -1, // both sides are originals
+  })),
+})
+
+const isDialogue = (session) => session.kind === 'dialogue' && Array.isArray(session.pair)
+
+const tableOf = (session) => (isDialogue(session) ? dialogueTable(session) : chatTable(session))
+
+const subtitle = (session) => {
+  const parts = []
+  if (isDialogue(session)) {
+    parts.push(`${session.pair[0]} ⇄ ${session.pair[1]}`)
+  }
+  parts.push([session.provider, session.model].filter(Boolean).join('/'))
+  if (session.createdAt) parts.push(`started ${formatWhen(session.createdAt)}`)
+  if (session.updatedAt) parts.push(`saved ${formatWhen(session.updatedAt)}`)
+  return parts.filter(Boolean).join(' · ')
+}
+
+// The leading columns every row may have: [label, value(turn)].
+const leadColumns = (turns, when) => {
+  const columns = []
+  if (turns.some((turn) => turn.at)) columns.push(['Time', (turn) => (turn.at ? when(turn.at) : '')])
+  if (turns.some((turn) => turn.speaker)) columns.push(['Speaker', (turn) => turn.speaker || ''])
+  return columns
+}
+
+const markdownCell = (text) =>
+  String(text || '')
+    .split('\\').join('\\\\')
+    .split('|').join('\\|')
+    .split('<').join('&lt;')
+    .split('\r\n').join('\n')
+    .split('\n').join('<br>')
+
+const toMarkdown = (session) => {
+  const { columns, turns } = tableOf(session)
+  const lead = leadColumns(turns, formatWhen)
+  const header = [...lead.map(([label]) => label), ...columns]
+  const rows = turns.map((turn) => [
+    ...lead.map(([, value]) => markdownCell(value(turn))),
+    ...turn.cells.map((cell, i) => (cell && i === turn.original ? `**${markdownCell(cell)}**` : markdownCell(cell))),
+  ])
+  const line = (cells) => `| ${cells.join(' | ')} |`
+  return [
+    `# ${session.title}`,
+    '',
+    subtitle(session),
+    '',
+    ...(isDialogue(session) ? ['The original of each message is in bold.', ''] : []),
+    line(header.map(markdownCell)),
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.map(line),
+    '',
+  ].join('\n')
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+const escapeHtml = (text) =>
+  Array.from(String(text || ''))
+    .map((ch) => HTML_ESCAPES[ch] || ch)
+    .join('')
+
+const HTML_STYLE = [
+  'body{font-family:system-ui,sans-serif;margin:2rem;color:#222}',
+  'h1{font-size:1.4rem;margin-bottom:.2rem}',
+  '.meta{color:#777;margin-bottom:1.5rem}',
+  'table{border-collapse:collapse;width:100%}',
+  'th,td{border:1px solid #ddd;padding:.5rem .7rem;vertical-align:top;text-align:left;white-space:pre-wrap}',
+  'th{background:#f5f5f5}',
+  'td.original{font-weight:600}',
+  'td.pivot,td.lead{color:#777}',
+].join('\n')
+
+const toHtml = (session) => {
+  const { columns, turns } = tableOf(session)
+  const lead = leadColumns(turns, formatWhen)
+  const pivotColumn = columns.length === 3 ? 1 : -1
+  const header = [...lead.map(([label]) => label), ...columns].map((label) => `<th>${escapeHtml(label)}</th>`)
+  const rows = turns.map((turn) => {
+    const leads = lead.map(([, value]) => `<td class="lead">${escapeHtml(value(turn))}</td>`)
+    const cells = turn.cells.map((cell, i) => {
+      const kind = i === turn.original ? ' class="original"' : i === pivotColumn ? ' class="pivot"' : ''
+      return `<td${kind}>${escapeHtml(cell)}</td>`
+    })
+    return `<tr>${[...leads, ...cells].join('')}</tr>`
+  })
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(session.title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(session.title)}</h1>`,
+    `<div class="meta">${escapeHtml(subtitle(session))}</div>`,
+    '<table>',
+    `<thead><tr>${header.join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows,
+    '</tbody>',
+    '</table>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n')
+}
+
+// RFC 4180: quote a field holding a comma, quote or line break; double quotes.
+// A BOM so spreadsheet apps read the file as UTF-8 (Cyrillic, CJK), CRLF rows.
+// Times are ISO 8601; a dialogue names each row's original language so a sheet
+// can filter on it.
+const toCsv = (session) => {
+  const { columns, turns } = tableOf(session)
+  const lead = leadColumns(turns, (ms) => new Date(ms).toISOString())
+  const original = isDialogue(session) ? ['Original'] : []
+  const header = [...lead.map(([label]) => label), ...columns, ...original]
+  const rows = turns.map((turn) => [
+    ...lead.map(([, value]) => value(turn)),
+    ...turn.cells,
+    ...(original.length > 0 ? [columns[turn.original]] : []),
+  ])
+  return `\ufeff${[header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`
+}
+
+export const EXPORT_FORMATS = {
+  md: { render: toMarkdown, extension: 'md' },
+  markdown: { render: toMarkdown, extension: 'md' },
+  html: { render: toHtml, extension: 'html' },
+  csv: { render: toCsv, extension: 'csv' },
+}
+
+export const EXPORT_USAGE_OPTIONS = '[--format md|html|csv] [--out <file>]'
+
+// `<ref words...> [--format <f>] [--out <file>]` -> { ref, format, out } or
+// { error }. The reference (a list number or a title) may contain spaces.
+export const parseExportArgs = (args) => {
+  const flags = { '--format': 'format', '--out': 'out' }
+  const options = { format: SESSIONS.EXPORT_DEFAULT_FORMAT, out: null }
+  const refWords = []
+  for (let i = 0; i < args.length; i++) {
+    const flag = flags[args[i]]
+    if (!flag) {
+      refWords.push(args[i])
+      continue
+    }
+    if (i + 1 >= args.length) return { error: `${args[i]} needs a value` }
+    options[flag] = args[++i]
+  }
+  const format = options.format.toLowerCase()
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Unknown format "${options.format}" — use md, html or csv` }
+  }
+  return { ref: refWords.join(' ').trim(), format, out: options.out }
+}
+
+// "Trade talk: ore / prices" -> "Trade talk ore prices.md" in the current directory.
+const defaultFileName = (title, extension) => {
+  const unsafe = ['/', '\\', ':', '*', '?', '"', '<', '>', '|']
+  const base = Array.from(String(title))
+    .filter((ch) => !unsafe.includes(ch) && ch >= ' ')
+    .join('')
+    .split(' ')
+    .filter(Boolean)
+    .join(' ')
+  return `${base || 'session'}.${extension}`
+}
+
+// Render and write; returns the absolute path written.
+export const exportSession = (session, { format, out }) => {
+  const { render, extension } = EXPORT_FORMATS[format]
+  const filePath = path.resolve(out || defaultFileName(session.title, extension))
+  fs.writeFileSync(filePath, render(session))
+  return filePath
+}
@@ -25,6 +25,10 @@ export const createSessionRecord = ({
   messages,
   pair = null,
   pivot = null,
+  participants = null,
+  glossary = null,
+  summary = null,
+  summarized = 0,
 }) => {
   const now = Date.now()
   return {
@@ -37,6 +41,10 @@ export const createSessionRecord = ({
     kind,
     pair,
     pivot,
+    participants,
+    glossary,
+    summary, // dd on a local transcript: rolling summary of the older turns
+    summarized, // ...and how many messages it covers
     lastResponseId: lastResponseId || null,
     messages,
   }
@@ -84,6 +92,20 @@ export const listSessions = () => {
   return sessions.sort((a, b) => b.updatedAt - a.updatedAt)
 }
 
+// "3" is the third of `saved` (a list as shown to the user); anything else
+// matches titles (case-insensitive, an exact title beats partial matches).
+// Returns { meta }, or { matches } with how many fit when that is not one.
+export const matchSession = (saved, ref) => {
+  const number = Number(ref)
+  if (Number.isInteger(number) && number >= 1 && number <= saved.length) {
+    return { meta: saved[number - 1] }
+  }
+  const wanted = ref.toLowerCase()
+  const exact = saved.filter((meta) => meta.title.toLowerCase() === wanted)
+  const matches = exact.length > 0 ? exact : saved.filter((meta) => meta.title.toLowerCase().includes(wanted))
+  return matches.length === 1 ? { meta: matches[0] } : { matches: matches.length }
+}
+
 export const removeSession = (id) => {
   try {
     fs.unlinkSync(sessionPath(id))
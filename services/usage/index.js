@@ -0,0 +1,133 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { logger } from '../../utils/logger.js'
+import { USAGE } from '../../config/constants.js'
+import { pricesFilePath, defaultPricesPath } from './paths.js'
+import { loadPricesFile } from './prices.js'
+import {
+  emptyBucket,
+  addToBucket,
+  mergeBuckets,
+  dayKey,
+  readDays,
+  recordDay,
+} from './store.js'
+
+// Token usage and cost: every completed stream reports its usage here, tagged
+// with the command that issued it. Totals accumulate three ways — this process
+// (the REPL session), per day on disk, and within both per command id and per
+// provider/model. Costs come from prices.toml, re-read when its mtime changes
+// so an edit applies without a restart; an unpriced model still counts tokens.
+const createUsageService = () => {
+  let prices = {}
+  let pricesMtimeMs = -1
+  let lastErrors = []
+  const session = emptyBucket()
+
+  const currentMtime = (filePath) => {
+    try {
+      return fs.statSync(filePath).mtimeMs
+    } catch (e) {
+      return 0
+    }
+  }
+
+  // On a broken file keep the last-good table (same policy as commands.toml).
+  const refreshPrices = () => {
+    const filePath = pricesFilePath()
+    const mtime = currentMtime(filePath)
+    if (mtime === pricesMtimeMs) return
+
+    const { table, errors } = loadPricesFile(filePath)
+    pricesMtimeMs = mtime
+    lastErrors = errors
+    if (errors.length > 0) {
+      logger.warn(`prices.toml: ${errors.length} problem(s) (${errors[0]})`)
+      if (Object.keys(table).length === 0) return
+    }
+    prices = table
+  }
+
+  const priceOf = (provider, model) => {
+    refreshPrices()
+    const models = prices[provider]
+    return (models && models[model]) || null
+  }
+
+  // `input` includes the cached tokens, which are billed at the cached rate.
+  const costOf = (usage, price) =>
+    ((usage.input - usage.cached) * price.input +
+      usage.cached * price.cached +
+      usage.output * price.output) /
+    USAGE.PRICE_UNIT
+
+  // { cost, unpriced } of `requests` requests that used `usage` in total.
+  const price = ({ provider, model, usage, requests = 1 }) => {
+    const known = priceOf(provider, model)
+    return {
+      cost: known ? costOf(usage, known) : 0,
+      unpriced: known ? 0 : requests,
+    }
+  }
+
+  const record = ({ provider, model, command, usage }) => {
+    const entry = {
+      requests: 1,
+      ...usage,
+      ...price({ provider, model, usage }),
+    }
+    const tagged = {
+      command: command || USAGE.CHAT_COMMAND,
+      modelKey: `${provider}/${model}`,
+      entry,
+    }
+    addToBucket(session, tagged)
+    recordDay(dayKey(new Date()), tagged)
+    return entry
+  }
+
+  const getSessionTotals = () => mergeBuckets(emptyBucket(), session)
+
+  // Totals for the last `days` calendar days, today included.
+  const getRangeTotals = (days) => {
+    const stored = readDays()
+    const from = new Date()
+    from.setDate(from.getDate() - (days - 1))
+    const oldest = dayKey(from)
+    const total = emptyBucket()
+    for (const [key, bucket] of Object.entries(stored)) {
+      if (key >= oldest) mergeBuckets(total, bucket)
+    }
+    return total
+  }
+
+  const getPriceErrors = () => {
+    refreshPrices()
+    return lastErrors
+  }
+
+  // Ensure prices.toml exists (copy the shipped template) and return its path —
+  // used right before opening it in the editor.
+  const ensurePricesFile = () => {
+    const filePath = pricesFilePath()
+    if (!fs.existsSync(filePath)) {
+      const template = defaultPricesPath()
+      if (fs.existsSync(template)) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        fs.copyFileSync(template, filePath)
+      }
+    }
+    return filePath
+  }
+
+  return {
+    record,
+    price,
+    getSessionTotals,
+    getRangeTotals,
+    getPriceErrors,
+    ensurePricesFile,
+  }
+}
+
+export const usageService = createUsageService()
@@ -0,0 +1,18 @@
+import os from 'node:os'
+import path from 'node:path'
+import { USER_CONFIG } from '../../config/constants.js'
+
+// Daily totals (machine-managed JSON) under ~/.openai-cli.
+export const usageFilePath = () =>
+  path.join(os.homedir(), USER_CONFIG.DIR_NAME, USER_CONFIG.USAGE_FILE)
+
+// The price table. OPENAI_CLI_PRICES overrides it (tests, custom setups).
+export const pricesFilePath = () => {
+  const override = process.env.OPENAI_CLI_PRICES
+  if (override) return override
+  return path.join(os.homedir(), USER_CONFIG.DIR_NAME, USER_CONFIG.PRICES_FILE)
+}
+
+// Shipped commented template, copied to the user dir on first use.
+export const defaultPricesPath = () =>
+  path.join(import.meta.dirname, '../../config/prices-default.toml')
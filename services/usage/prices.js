@@ -0,0 +1,64 @@
+import fs from 'node:fs'
+import { parse } from 'smol-toml'
+
+const PRICE_FIELDS = ['input', 'cached', 'output']
+
+const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+// Read + parse + validate prices.toml: [<provider>."<model>"] tables of USD
+// per million tokens. Returns { table, errors } where table is
+// { provider: { model: { input, cached, output } } }. `cached` falls back to
+// `input` (a provider without a cache discount bills cached tokens in full).
+// A missing file is not an error — every request is simply unpriced.
+export const loadPricesFile = (filePath) => {
+  let text
+  try {
+    text = fs.readFileSync(filePath, 'utf8')
+  } catch (e) {
+    return { table: {}, errors: [] }
+  }
+
+  let parsed
+  try {
+    parsed = parse(text)
+  } catch (e) {
+    const where =
+      typeof e.line === 'number' ? ` (line ${e.line}, column ${e.column})` : ''
+    return { table: {}, errors: [`TOML syntax error${where}: ${e.message}`] }
+  }
+
+  const table = {}
+  const errors = []
+  for (const [provider, models] of Object.entries(parsed)) {
+    if (!models || typeof models !== 'object') {
+      errors.push(`[${provider}]: expected a table of models`)
+      continue
+    }
+    for (const [model, raw] of Object.entries(models)) {
+      const where = `[${provider}."${model}"]`
+      if (!raw || typeof raw !== 'object') {
+        errors.push(`${where}: expected input/cached/output prices`)
+        continue
+      }
+      const unknown = Object.keys(raw).filter((field) => !PRICE_FIELDS.includes(field))
+      if (unknown.length > 0) {
+        errors.push(`${where}: unknown setting "${unknown[0]}" (ignored)`)
+      }
+      if (!isPrice(raw.input) || !isPrice(raw.output)) {
+        errors.push(`${where}: "input" and "output" must be non-negative numbers`)
+        continue
+      }
+      if (raw.cached !== undefined && !isPrice(raw.cached)) {
+        errors.push(`${where}: "cached" must be a non-negative number`)
+        continue
+      }
+      if (!table[provider]) table[provider] = {}
+      table[provider][model] = {
+        input: raw.input,
+        cached: raw.cached === undefined ? raw.input : raw.cached,
+        output: raw.output,
+      }
+    }
+  }
+  return { table, errors }
+}
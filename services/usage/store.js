@@ -0,0 +1,90 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { USAGE } from '../../config/constants.js'
+import { usageFilePath } from './paths.js'
+
+// On-disk half of usage tracking: { days: { 'YYYY-MM-DD': bucket } } in
+// ~/.openai-cli/usage.json. A bucket keeps the same totals twice, keyed by
+// command id and by provider/model, so both breakdowns are one lookup away.
+// Every write is a synchronous read-modify-write, so a one-shot run and an open
+// REPL never lose each other's requests.
+
+export const emptyTotals = () => ({
+  requests: 0,
+  input: 0,
+  cached: 0,
+  output: 0,
+  reasoning: 0,
+  cost: 0,
+  unpriced: 0, // requests whose model has no price in prices.toml
+})
+
+export const emptyBucket = () => ({ commands: {}, models: {} })
+
+export const addTotals = (target, entry) => {
+  for (const field of Object.keys(emptyTotals())) {
+    target[field] = (target[field] || 0) + (entry[field] || 0)
+  }
+  return target
+}
+
+const addKeyed = (table, key, entry) => {
+  table[key] = addTotals(table[key] || emptyTotals(), entry)
+}
+
+export const addToBucket = (bucket, { command, modelKey, entry }) => {
+  addKeyed(bucket.commands, command, entry)
+  addKeyed(bucket.models, modelKey, entry)
+  return bucket
+}
+
+export const mergeBuckets = (target, bucket) => {
+  for (const [key, totals] of Object.entries(bucket.commands || {})) {
+    addKeyed(target.commands, key, totals)
+  }
+  for (const [key, totals] of Object.entries(bucket.models || {})) {
+    addKeyed(target.models, key, totals)
+  }
+  return target
+}
+
+export const sumTotals = (table) =>
+  Object.values(table).reduce((sum, totals) => addTotals(sum, totals), emptyTotals())
+
+// Local calendar day — "today" means the user's day, not UTC's.
+export const dayKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+export const readDays = () => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(usageFilePath(), 'utf8'))
+    return parsed && parsed.days && typeof parsed.days === 'object' ? parsed.days : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+// Add one request to a day's bucket and drop days past the retention window.
+export const recordDay = (day, record) => {
+  const days = readDays()
+  days[day] = addToBucket(
+    mergeBuckets(emptyBucket(), days[day] || emptyBucket()),
+    record,
+  )
+
+  const cutoff = new Date()
+  cutoff.setDate(cutoff.getDate() - USAGE.RETENTION_DAYS)
+  const oldest = dayKey(cutoff)
+  for (const key of Object.keys(days)) {
+    if (key < oldest) delete days[key]
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(usageFilePath()), { recursive: true })
+    fs.writeFileSync(usageFilePath(), JSON.stringify({ days }, null, 2), { mode: 0o600 })
+  } catch (e) {
+    // usage totals are bookkeeping; failing to persist must never fail a request
+  }
+}
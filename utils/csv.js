@@ -0,0 +1,53 @@
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks.
+// Shared by session export (write) and `ai batch` (read and write).
+
+export const csvField = (text) => {
+  const value = String(text || '')
+  const needsQuotes = [',', '"', '\n', '\r'].some((ch) => value.includes(ch))
+  return needsQuotes ? `"${value.split('"').join('""')}"` : value
+}
+
+export const csvRow = (values) => values.map(csvField).join(',')
+
+// text -> rows of fields. A leading BOM is dropped; CRLF and LF both end a row;
+// a trailing line break does not add an empty row.
+export const parseCsv = (text) => {
+  const source = text.startsWith('\ufeff') ? text.slice(1) : text
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    rows.push(row)
+    row = []
+  }
+
+  while (i < source.length) {
+    const ch = source[i]
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"'
+        i += 2
+        continue
+      }
+      if (ch === '"') quoted = false
+      else field += ch
+      i++
+      continue
+    }
+    if (ch === '"' && field === '') quoted = true
+    else if (ch === ',') endField()
+    else if (ch === '\n') endRow()
+    else if (ch !== '\r' || source[i + 1] !== '\n') field += ch
+    i++
+  }
+  if (field !== '' || row.length > 0) endRow()
+  return rows
+}
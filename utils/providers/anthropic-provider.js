@@ -31,6 +31,7 @@ export const createAnthropicProvider = (config) => {
       const error = new Error((body.error && body.error.message) || 'API request failed')
       error.status = response.status
       if (body.error && body.error.code === 'GATEWAY_SESSION_INVALID') error.gatewaySession = true
+      if (body.error && body.error.code === 'QUOTA_EXCEEDED') error.gatewayQuota = error.message
       throw error
     }
 
@@ -48,6 +49,7 @@ export const createAnthropicProvider = (config) => {
       const status = error && error.status ? error.status : 500
       const wrapped = createBaseError(`Failed to list Anthropic models: ${error.message}`, true, status, error)
       if (error && error.gatewaySession) wrapped.gatewaySession = true
+      if (error && error.gatewayQuota) wrapped.gatewayQuota = error.gatewayQuota
       throw wrapped
     }
 
@@ -87,6 +89,7 @@ export const createAnthropicProvider = (config) => {
       const status = error && error.status ? error.status : 500
       const wrapped = createBaseError(`Failed to create Anthropic chat completion: ${error.message}`, true, status, error)
       if (error && error.gatewaySession) wrapped.gatewaySession = true
+      if (error && error.gatewayQuota) wrapped.gatewayQuota = error.gatewayQuota
       throw wrapped
     }
 
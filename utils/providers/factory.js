@@ -3,6 +3,10 @@ import { logger } from '../logger.js'
 import { validateObject } from '../validation.js'
 import { createOpenAIProvider } from './openai-provider.js'
 import { createAnthropicProvider } from './anthropic-provider.js'
+import { createMockProvider } from './mock-provider.js'
+import { withRecorder } from './recorder.js'
+import { fixturesDir } from './fixtures.js'
+import { PROVIDER_TYPES } from '../../config/providers.js'
 
 export const createProviderFactory = () => {
   const state = {
@@ -14,6 +18,7 @@ export const createProviderFactory = () => {
     registerProvider('openai', createOpenAIProvider)
     registerProvider('deepseek', createOpenAIProvider)
     registerProvider('anthropic', createAnthropicProvider)
+    registerProvider(PROVIDER_TYPES.MOCK, createMockProvider)
   }
 
   const registerProvider = (type, providerFunction) => {
@@ -34,7 +39,13 @@ export const createProviderFactory = () => {
     validateObject(config, 'provider config')
 
     try {
-      const instance = providerFunction(config)
+      const created = providerFunction(config)
+      // OPENAI_CLI_RECORD (set by --record) captures live streams as fixtures
+      const recordDir = process.env.OPENAI_CLI_RECORD
+      const instance =
+        recordDir && type !== PROVIDER_TYPES.MOCK
+          ? withRecorder(created, config, fixturesDir(recordDir))
+          : created
       const instanceId = `${type}:${config.name || 'default'}`
       state.instances.set(instanceId, instance)
 
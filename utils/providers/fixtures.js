@@ -0,0 +1,99 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import { USER_CONFIG } from '../../config/constants.js'
+import { PROVIDER_API, MOCK_WIRES } from '../../config/providers.js'
+
+// Recorded streams: one JSON file per request, named by a hash of what was
+// sent (wire, model, messages, request options). A replayed conversation sends
+// the same requests in the same order — recorded response ids included, since
+// the next turn's previous_response_id comes from the recorded stream — so each
+// lookup is exact and there is nothing to match fuzzily.
+//
+// File shape: { wire, model, request, recordedAt, events } for the OpenAI-SDK
+// wires (the parsed event objects, in order) or { ..., sse } for anthropic
+// (the raw SSE text, byte for byte).
+
+// The stream shape a provider config speaks: an explicit mock `wire`, else
+// anthropic for Claude, else whichever OpenAI-SDK endpoint `api` selects.
+export const streamWire = (config) => {
+  if (config.wire) return config.wire
+  if (config.isClaude) return MOCK_WIRES.ANTHROPIC
+  if (config.api === PROVIDER_API.RESPONSES) return MOCK_WIRES.RESPONSES
+  return MOCK_WIRES.CHAT
+}
+
+// Transport-only options never change what the model answers.
+const TRANSPORT_OPTIONS = ['signal', 'stream', 'stream_options']
+
+export const fixturesDir = (dir = null) => {
+  if (!dir) return path.join(os.homedir(), USER_CONFIG.DIR_NAME, USER_CONFIG.FIXTURES_DIR)
+  if (dir === '~' || dir.startsWith('~/')) return path.join(os.homedir(), dir.slice(1))
+  return path.resolve(dir)
+}
+
+const requestOptions = (options = {}) => {
+  const kept = {}
+  for (const [key, value] of Object.entries(options)) {
+    if (!TRANSPORT_OPTIONS.includes(key)) kept[key] = value
+  }
+  return kept
+}
+
+export const fixtureRequest = (wire, model, messages, options) => ({
+  wire,
+  model,
+  messages,
+  options: requestOptions(options),
+})
+
+export const fixtureKey = (request) =>
+  createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 24)
+
+export const readFixture = (dir, request) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${fixtureKey(request)}.json`), 'utf8'))
+  } catch (e) {
+    return null
+  }
+}
+
+export const writeFixture = (dir, request, recorded) => {
+  try {
+    fs.mkdirSync(dir, { recursive: true })
+    const fixture = {
+      wire: request.wire,
+      model: request.model,
+      request,
+      recordedAt: new Date().toISOString(),
+      ...recorded,
+    }
+    fs.writeFileSync(path.join(dir, `${fixtureKey(request)}.json`), JSON.stringify(fixture, null, 2), {
+      mode: 0o600,
+    })
+  } catch (e) {
+    // a fixture that cannot be written only costs the replay of this request
+  }
+}
+
+// Model ids present in a fixture directory (the mock offers them in `model`).
+export const fixtureModels = (dir) => {
+  let files = []
+  try {
+    files = fs.readdirSync(dir)
+  } catch (e) {
+    return []
+  }
+  const models = new Set()
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue
+    try {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      if (fixture && fixture.model) models.add(fixture.model)
+    } catch (e) {
+      // unreadable fixtures are skipped, not fatal
+    }
+  }
+  return [...models]
+}
@@ -0,0 +1,239 @@
+import { createBaseError } from '../../core/error-system/index.js'
+import { createBaseProvider } from './base-provider.js'
+import { MOCK_WIRES } from '../../config/providers.js'
+import { MOCK } from '../../config/constants.js'
+import {
+  streamWire,
+  fixturesDir,
+  fixtureRequest,
+  readFixture,
+  fixtureModels,
+} from './fixtures.js'
+
+// Offline provider: streams scripted answers (the `replies` list in turn, or an
+// echo of the last user message) or, with `fixtures` set, replays streams
+// captured by `--record`. Either way the wire format is the real one — Responses
+// events with response ids, chat/completions chunks, or Anthropic SSE bytes —
+// so the stream parsers and the conversation strategies run exactly as live.
+// In scripted Responses mode it also keeps a small "server store": chaining off
+// an id it never stored (or deleted) fails with a 404, like the real API.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const estimateTokens = (text) => Math.ceil(text.length / MOCK.CHARS_PER_TOKEN)
+
+const lastUserText = (messages) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return String(messages[i].content)
+  }
+  return ''
+}
+
+// Word-sized pieces (spaces kept) so the answer streams like a real one.
+const splitPieces = (text) =>
+  text.split(' ').map((word, index, words) => (index < words.length - 1 ? `${word} ` : word))
+
+const sseBlock = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+// Scripted answer -> the recorded form of each wire (the same shape a fixture
+// holds), so scripted and replayed runs share one playback path.
+const scriptedStreams = {
+  [MOCK_WIRES.RESPONSES]: ({ id, text, inputTokens, outputTokens }) => ({
+    events: [
+      { type: 'response.created', response: { id, status: 'in_progress' } },
+      ...splitPieces(text).map((delta) => ({ type: 'response.output_text.delta', delta })),
+      {
+        type: 'response.completed',
+        response: {
+          id,
+          status: 'completed',
+          usage: {
+            input_tokens: inputTokens,
+            input_tokens_details: { cached_tokens: 0 },
+            output_tokens: outputTokens,
+            output_tokens_details: { reasoning_tokens: 0 },
+          },
+        },
+      },
+    ],
+  }),
+  [MOCK_WIRES.CHAT]: ({ id, text, inputTokens, outputTokens }) => ({
+    events: [
+      ...splitPieces(text).map((content) => ({
+        id,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta: { content } }],
+      })),
+      {
+        id,
+        object: 'chat.completion.chunk',
+        choices: [],
+        usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens },
+      },
+    ],
+  }),
+  [MOCK_WIRES.ANTHROPIC]: ({ id, text, inputTokens, outputTokens }) => ({
+    sse: [
+      sseBlock('message_start', {
+        type: 'message_start',
+        message: { id, role: 'assistant', usage: { input_tokens: inputTokens, output_tokens: 1 } },
+      }),
+      ...splitPieces(text).map((piece) =>
+        sseBlock('content_block_delta', {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: piece },
+        }),
+      ),
+      sseBlock('message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn' },
+        usage: { output_tokens: outputTokens },
+      }),
+      sseBlock('message_stop', { type: 'message_stop' }),
+    ].join(''),
+  }),
+}
+
+export const createMockProvider = (config) => {
+  const base = createBaseProvider(config)
+  const wire = streamWire(config)
+  const delay = config.delay === undefined ? MOCK.DELAY_MS : config.delay
+  const replayDir = config.fixtures ? fixturesDir(config.fixtures) : null
+  const stored = new Set() // response ids the mock "server" holds
+  let replyIndex = 0
+  let sequence = 0
+
+  // No endpoint, no key: only the display name is required.
+  const validateConfig = () => {
+    if (!config.name) {
+      throw createBaseError('Provider config missing required field: name', true, 400)
+    }
+  }
+
+  validateConfig()
+
+  const initializeClient = async () => {}
+
+  const listModels = async () => {
+    const ids = new Set([
+      ...(config.models || []),
+      config.defaultModel || MOCK.MODEL,
+      ...(replayDir ? fixtureModels(replayDir) : []),
+    ])
+    return [...ids].sort().map((id) => ({ id }))
+  }
+
+  const nextReply = (messages) => {
+    if (config.replies) {
+      const reply = config.replies[replyIndex % config.replies.length]
+      replyIndex++
+      return reply
+    }
+    return `Mock reply to: ${lastUserText(messages)}`
+  }
+
+  const scripted = (model, messages, options) => {
+    const chainId = options.previous_response_id
+    if (wire === MOCK_WIRES.RESPONSES && chainId && !stored.has(chainId)) {
+      throw createBaseError(`Previous response with id '${chainId}' not found.`, true, 404)
+    }
+    sequence++
+    const text = nextReply(messages)
+    return scriptedStreams[wire]({
+      id: `mock_${Date.now().toString(36)}_${sequence}`,
+      text,
+      inputTokens: estimateTokens(JSON.stringify(messages) + (options.instructions || '')),
+      outputTokens: estimateTokens(text),
+    })
+  }
+
+  const replayed = (model, messages, options) => {
+    const fixture = readFixture(replayDir, fixtureRequest(wire, model, messages, options))
+    if (!fixture) {
+      throw createBaseError(
+        `No recorded stream for this ${model} request in ${replayDir} (record one with --record)`,
+        true,
+        404,
+      )
+    }
+    return fixture
+  }
+
+  // Responses ids enter the store only when the request asked to store them
+  // (the real default here is store:false, see openai-provider.js).
+  const remember = (events, options) => {
+    if (options.store !== true) return
+    for (const event of events) {
+      if (event.type === 'response.created' && event.response && event.response.id) {
+        stored.add(event.response.id)
+      }
+    }
+  }
+
+  async function* playEvents(events, signal) {
+    for (const event of events) {
+      if (signal && signal.aborted) throw new Error('AbortError')
+      if (delay) await sleep(delay)
+      yield event
+    }
+  }
+
+  // Anthropic streams arrive as fetch bodies: a web ReadableStream of bytes.
+  const playSse = (sse, signal) => {
+    const encoder = new TextEncoder()
+    const blocks = sse.split('\n\n').filter((block) => block.trim())
+    let index = 0
+    return new ReadableStream({
+      async pull(controller) {
+        if (signal && signal.aborted) {
+          controller.error(new Error('AbortError'))
+          return
+        }
+        if (index >= blocks.length) {
+          controller.close()
+          return
+        }
+        if (delay) await sleep(delay)
+        controller.enqueue(encoder.encode(`${blocks[index]}\n\n`))
+        index++
+      },
+    })
+  }
+
+  const createChatCompletion = async (model, messages, options = {}) => {
+    const { signal, ...apiOptions } = options
+
+    const { result, error } = await base.measureTime(async () =>
+      replayDir ? replayed(model, messages, options) : scripted(model, messages, apiOptions),
+    )
+
+    if (error) throw error
+
+    if (result.sse !== undefined) return playSse(result.sse, signal)
+    remember(result.events, apiOptions)
+    return playEvents(result.events, signal)
+  }
+
+  const deleteResponse = async (responseId) => {
+    if (!stored.delete(responseId)) {
+      throw createBaseError(`Response with id '${responseId}' not found.`, true, 404)
+    }
+    return { id: responseId, object: 'response', deleted: true }
+  }
+
+  const validateModel = async (modelId) => {
+    const models = await listModels()
+    return models.some((model) => model.id === modelId)
+  }
+
+  return {
+    ...base,
+    validateConfig,
+    initializeClient,
+    listModels,
+    createChatCompletion,
+    deleteResponse,
+    validateModel,
+  }
+}
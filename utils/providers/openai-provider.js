@@ -46,6 +46,10 @@ export const createOpenAIProvider = (config) => {
     const status = error && error.status ? error.status : 500
     const wrapped = createBaseError(`Failed to create chat completion: ${error.message}`, true, status, error)
     if (error && error.code === 'GATEWAY_SESSION_INVALID') wrapped.gatewaySession = true
+    // The SDK's APIError keeps the reply's error object on error.error
+    if (error && error.code === 'QUOTA_EXCEEDED') {
+      wrapped.gatewayQuota = (error.error && error.error.message) || error.message
+    }
     throw wrapped
   }
 
@@ -80,6 +84,8 @@ export const createOpenAIProvider = (config) => {
         model,
         messages,
         stream: apiOptions.stream || true,
+        // Ask for the trailing usage chunk (usage tracking reads it)
+        stream_options: { include_usage: true },
         ...apiOptions
       }, signal ? { signal } : {})
     })
@@ -0,0 +1,49 @@
+import { streamWire, fixtureRequest, writeFixture } from './fixtures.js'
+
+// `--record`: wrap a live provider so every stream it returns is copied into a
+// fixture as it is consumed, for the mock provider to replay offline. The
+// caller sees the stream unchanged. Only streams read to the end are written —
+// an aborted or failed one would replay as a truncated answer.
+export const withRecorder = (instance, config, dir) => {
+  const wire = streamWire(config)
+
+  // OpenAI SDK streams: async iterables of parsed event objects.
+  async function* tapEvents(stream, request) {
+    const events = []
+    for await (const event of stream) {
+      events.push(event)
+      yield event
+    }
+    writeFixture(dir, request, { events })
+  }
+
+  // Anthropic: a web ReadableStream of SSE bytes, kept verbatim.
+  const tapSse = (stream, request) => {
+    const decoder = new TextDecoder()
+    let sse = ''
+    return stream.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          sse += decoder.decode(chunk, { stream: true })
+          controller.enqueue(chunk)
+        },
+        flush() {
+          writeFixture(dir, request, { sse: sse + decoder.decode() })
+        },
+      }),
+    )
+  }
+
+  const createChatCompletion = async (model, messages, options = {}) => {
+    const stream = await instance.createChatCompletion(model, messages, options)
+    const request = fixtureRequest(wire, model, messages, options)
+    // Same detection order as utils/stream-processor.js: getReader first.
+    if (stream && stream.getReader) return tapSse(stream, request)
+    return tapEvents(stream, request)
+  }
+
+  return {
+    ...instance,
+    createChatCompletion,
+  }
+}
@@ -1,3 +1,39 @@
+// Usage comes in three wire shapes; each is normalized to
+// { input, cached, output, reasoning } where `input` counts every prompt token
+// (cached ones included) and `reasoning` is the part of `output` spent thinking.
+const count = (value) => (typeof value === 'number' && value > 0 ? value : 0)
+
+// Responses API: response.completed -> response.usage
+const responsesUsage = (usage) => ({
+  input: count(usage.input_tokens),
+  cached: count(usage.input_tokens_details && usage.input_tokens_details.cached_tokens),
+  output: count(usage.output_tokens),
+  reasoning: count(usage.output_tokens_details && usage.output_tokens_details.reasoning_tokens),
+})
+
+// chat/completions: the final chunk (empty choices) when include_usage is set.
+// DeepSeek reports its cache hits under its own field name.
+const chatUsage = (usage) => ({
+  input: count(usage.prompt_tokens),
+  cached:
+    count(usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) ||
+    count(usage.prompt_cache_hit_tokens),
+  output: count(usage.completion_tokens),
+  reasoning: count(usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens),
+})
+
+// Anthropic: message_start carries the prompt side, message_delta the running
+// output count. Its input_tokens EXCLUDES cache reads/writes, so they are added.
+const anthropicUsage = (usage) => ({
+  input:
+    count(usage.input_tokens) +
+    count(usage.cache_read_input_tokens) +
+    count(usage.cache_creation_input_tokens),
+  cached: count(usage.cache_read_input_tokens),
+  output: count(usage.output_tokens),
+  reasoning: 0,
+})
+
 export const createStreamProcessor = () => {
   const state = {
     isTerminated: false,
@@ -27,7 +63,7 @@ export const createStreamProcessor = () => {
     }
   }
 
-  const processStream = async (stream, signal = null, onChunk = null, onResponseId = null) => {
+  const processStream = async (stream, signal = null, onChunk = null, onResponseId = null, onUsage = null) => {
     state.isTerminated = false
     state.currentStream = stream
 
@@ -47,10 +83,10 @@ export const createStreamProcessor = () => {
       // OpenAI streams only have Symbol.asyncIterator
       if (stream.getReader) {
         // Web ReadableStream (Anthropic)
-        await processClaudeStream(stream, response, signal, onChunk)
+        await processClaudeStream(stream, response, signal, onChunk, onUsage)
       } else if (stream[Symbol.asyncIterator]) {
         // OpenAI-compatible stream (async iterable)
-        await processOpenAIStream(stream, response, signal, onChunk, onResponseId)
+        await processOpenAIStream(stream, response, signal, onChunk, onResponseId, onUsage)
       } else {
         throw new Error('Unknown stream type - neither async iterable nor ReadableStream')
       }
@@ -62,13 +98,14 @@ export const createStreamProcessor = () => {
     return response
   }
 
-  const processClaudeStream = async (stream, response, signal = null, onChunk = null) => {
+  const processClaudeStream = async (stream, response, signal = null, onChunk = null, onUsage = null) => {
     const reader = stream.getReader()
     state.currentReader = reader
     const decoder = new TextDecoder()
     let done = false
     let buffer = ''
     let currentEvent = null
+    let usage = null
 
     while (!done) {
       if (state.isTerminated) {
@@ -124,6 +161,12 @@ export const createStreamProcessor = () => {
                 throw new Error(`Anthropic API Error (${errorType}): ${errorMessage}`)
               }
 
+              if (json.type === 'message_start' && json.message && json.message.usage) {
+                usage = json.message.usage
+              } else if (json.type === 'message_delta' && json.usage) {
+                usage = { ...(usage || {}), ...json.usage }
+              }
+
               if (json.type === 'content_block_delta' && json.delta && json.delta.text) {
                 response.push(json.delta.text)
                 if (onChunk) onChunk(json.delta.text)
@@ -145,9 +188,13 @@ export const createStreamProcessor = () => {
         }
       }
     }
+
+    if (usage && onUsage) {
+      onUsage(anthropicUsage(usage))
+    }
   }
 
-  const processOpenAIStream = async (stream, response, signal = null, onChunk = null, onResponseId = null) => {
+  const processOpenAIStream = async (stream, response, signal = null, onChunk = null, onResponseId = null, onUsage = null) => {
     try {
       for await (const chunk of stream) {
         if (state.isTerminated) {
@@ -174,6 +221,14 @@ export const createStreamProcessor = () => {
           if (onResponseId && chunk.response && chunk.response.id) {
             onResponseId(chunk.response.id)
           }
+          if (onUsage && chunk.type === 'response.completed' && chunk.response && chunk.response.usage) {
+            onUsage(responsesUsage(chunk.response.usage))
+          }
+        } else if (chunk.usage && onUsage && !chunk.type) {
+          // Trailing chat/completions usage chunk; it may still carry a choice
+          // on some OpenAI-compatible servers, so read its content too.
+          onUsage(chatUsage(chunk.usage))
+          content = chunk.choices && chunk.choices[0] && chunk.choices[0].delta ? chunk.choices[0].delta.content : null
         } else if (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) {
           content = chunk.choices[0].delta.content
         }
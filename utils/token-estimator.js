@@ -0,0 +1,32 @@
+import { CONTEXT } from '../config/constants.js'
+
+// Local token estimate — no tokenizer dependency, good to ~15% for budgeting.
+// ASCII runs ~4 chars per token, CJK ~1 char per token, other scripts
+// (Cyrillic, Arabic, accented Latin...) ~2 chars per token.
+
+const isCjk = (code) =>
+  CONTEXT.CJK_RANGES.some((range) => code >= range[0] && code <= range[1])
+
+export const estimateTokens = (text) => {
+  let latin = 0
+  let cjk = 0
+  let other = 0
+  for (const ch of String(text || '')) {
+    const code = ch.codePointAt(0)
+    if (code < 0x80) {
+      latin++
+    } else if (isCjk(code)) {
+      cjk++
+    } else {
+      other++
+    }
+  }
+  const ratio = CONTEXT.CHARS_PER_TOKEN
+  return Math.ceil(latin / ratio.LATIN + cjk / ratio.CJK + other / ratio.OTHER)
+}
+
+export const estimateMessagesTokens = (messages) =>
+  messages.reduce(
+    (sum, message) => sum + estimateTokens(message.content) + CONTEXT.MESSAGE_OVERHEAD,
+    0,
+  )
@@ -45,4 +45,23 @@ export function sanitizeString(input) {
     .replace(/[\x00-\x1F\x7F-\x9F]/g, '') // Control characters
     .replace(/[<>]/g, '') // HTML tags
     .trim()
-}
\ No newline at end of file
+}
+
+// Composed (multi-line) input: the same filtering line by line, so newlines,
+// tabs and indentation survive; trailing blanks are dropped
+export function sanitizeMultiline(input) {
+  if (typeof input !== 'string') {
+    return ''
+  }
+
+  return input
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/[\x00-\x08\x0B-\x1F\x7F-\x9F]/g, '') // Control characters except tab
+        .replace(/[<>]/g, '') // HTML tags
+        .trimEnd(),
+    )
+    .join('\n')
+    .trim()
+}